@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const { resolveWithin } = require('./paths');
+const { logger } = require('./logger');
+
+const ARCHIVE_FORMATS = {
+  zip: { extension: 'zip', contentType: 'application/zip', create: () => archiver('zip', { zlib: { level: 6 } }) },
+  'tar.gz': { extension: 'tar.gz', contentType: 'application/gzip', create: () => archiver('tar', { gzip: true }) }
+};
+
+// Name each output after its original file, numbering repeats so no entry
+// overwrites another when the archive is extracted. root is the directory
+// the results' processedPath values are relative to.
+const archiveEntries = (results, root) => {
+  const seen = new Map();
+  return results
+    .filter(result => result.status === 'succeeded' && result.processedPath)
+    .map((result) => {
+      const count = seen.get(result.originalName) || 0;
+      seen.set(result.originalName, count + 1);
+      const { dir, name, ext } = path.posix.parse(result.originalName);
+      return {
+        source: resolveWithin(root, result.processedPath),
+        name: count === 0 ? result.originalName : path.posix.join(dir, `${name} (${count})${ext}`)
+      };
+    });
+};
+
+// Outputs that still exist on disk; anything removed since the run, or
+// recorded with a path outside the root directory, is left out
+const existingEntries = async (entries) => {
+  const present = await Promise.all(entries.map(entry =>
+    entry.source && fs.promises.access(entry.source).then(() => true, () => false)));
+  return entries.filter((entry, index) => present[index]);
+};
+
+// Stream an archive of the given entries straight into res. Files are read
+// one at a time as the archive is written, so nothing is buffered on disk.
+// Problems are reported to log, normally the request's logger.
+const streamArchive = (res, entries, { format, name, log = logger }) => {
+  const { extension, contentType, create } = ARCHIVE_FORMATS[format];
+  const archive = create();
+
+  res.writeHead(200, {
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${name}.${extension}"`
+  });
+
+  archive.on('warning', (error) => log.warn('Archive warning', { error }));
+  archive.on('error', (error) => {
+    // Headers are already sent, so the only signal left is a cut connection
+    log.error('Archive failed', { error });
+    res.destroy(error);
+  });
+  res.on('close', () => {
+    if (!res.writableFinished) archive.abort();
+  });
+
+  archive.pipe(res);
+  for (const entry of entries) {
+    archive.file(entry.source, { name: entry.name });
+  }
+  archive.finalize();
+};
+
+module.exports = {
+  ARCHIVE_FORMATS,
+  archiveEntries,
+  existingEntries,
+  streamArchive
+};
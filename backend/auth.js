@@ -0,0 +1,178 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+const { createKdfParams, deriveKey } = require('./kdf');
+const { HttpError } = require('./errors');
+
+const DATA_DIR = config.dataDir;
+const USERS_FILE = path.join(DATA_DIR, 'users.json');
+const SECRET_FILE = path.join(DATA_DIR, 'auth-secret');
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Tokens in URLs, for links and streams, last this long and work only for
+// the path they were issued for, since URLs end up in browser history,
+// server logs and Referer headers
+const URL_TOKEN_TTL_SECONDS = 60;
+
+const users = new Map();
+let secret = null;
+// Checked in place of a real hash when a login names an unknown user, so
+// the answer takes as long as a wrong password
+let dummyPassword = null;
+
+const toUserSummary = ({ id, username, createdAt }) => ({ id, username, createdAt });
+
+const findUserByName = (username) =>
+  Array.from(users.values()).find(user => user.username.toLowerCase() === String(username).toLowerCase());
+
+const saveUsers = async () => {
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  await fs.writeFile(USERS_FILE, JSON.stringify(Array.from(users.values()), null, 2), { mode: 0o600 });
+};
+
+// Tokens are signed with AUTH_SECRET, or else with a secret generated on
+// first start and kept in the data directory so sessions survive restarts
+const loadSecret = async () => {
+  if (config.authSecret) return config.authSecret;
+  try {
+    return await fs.readFile(SECRET_FILE, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    const generated = crypto.randomBytes(32).toString('hex');
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    await fs.writeFile(SECRET_FILE, generated, { mode: 0o600 });
+    return generated;
+  }
+};
+
+const loadUsers = async () => {
+  secret = await loadSecret();
+  dummyPassword = await hashPassword(crypto.randomBytes(16).toString('hex'));
+  users.clear();
+  try {
+    for (const user of JSON.parse(await fs.readFile(USERS_FILE, 'utf8'))) {
+      users.set(user.id, user);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+// Passwords are stored as scrypt hashes with a per-user salt
+const hashPassword = async (password) => {
+  const params = createKdfParams('scrypt');
+  const hash = await deriveKey(password, params);
+  return { params, hash: hash.toString('base64') };
+};
+
+const checkPassword = async (password, stored) => {
+  const hash = await deriveKey(password, stored.params);
+  const expected = Buffer.from(stored.hash, 'base64');
+  return hash.length === expected.length && crypto.timingSafeEqual(hash, expected);
+};
+
+const createUser = async (username, password) => {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    throw new HttpError(400, 'Username must be 3-32 letters, digits, dots, dashes or underscores');
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new HttpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (findUserByName(username)) {
+    throw new HttpError(409, 'Username is already taken');
+  }
+
+  const user = {
+    id: `u_${crypto.randomBytes(8).toString('hex')}`,
+    username,
+    password: await hashPassword(password),
+    createdAt: Date.now()
+  };
+  users.set(user.id, user);
+  await saveUsers();
+  return toUserSummary(user);
+};
+
+// Same error, after the same work, for unknown users and wrong passwords,
+// so names can't be probed
+const authenticateUser = async (username, password) => {
+  const user = findUserByName(username);
+  const valid = typeof password === 'string' && await checkPassword(password, user ? user.password : dummyPassword);
+  if (!user || !valid) {
+    throw new HttpError(401, 'Invalid username or password');
+  }
+  return toUserSummary(user);
+};
+
+const sign = (data) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+// Token format: base64url(JSON payload) + "." + base64url(HMAC-SHA256 of it).
+// The payload names the user (sub) and expiry (exp); URL tokens add path.
+const signClaims = (claims) => {
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+};
+
+const issueToken = (user) => signClaims({
+  sub: user.id,
+  exp: Date.now() + config.tokenTtlSeconds * 1000
+});
+
+// Short-lived token that authenticates requests to urlPath only
+const issueUrlToken = (user, urlPath) => signClaims({
+  sub: user.id,
+  exp: Date.now() + URL_TOKEN_TTL_SECONDS * 1000,
+  path: urlPath
+});
+
+// The user a token belongs to, or null if it is forged, expired or orphaned.
+// Without urlPath only session tokens are accepted; with it, only URL tokens
+// issued for that path.
+const verifyToken = (token, urlPath = null) => {
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const { sub, exp, path: tokenPath = null } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const user = users.get(sub);
+    return user && exp > Date.now() && tokenPath === urlPath ? toUserSummary(user) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Routes anyone may call without signing in; /metrics checks its own token
+const PUBLIC_ROUTES = new Set(['/health', '/metrics', '/algorithms', '/auth/login', '/auth/register']);
+
+// Sets req.user from an "Authorization: Bearer" session token, or from a URL
+// token for this path in the token query parameter, for EventSource streams
+// and download links, which can't send headers
+const requireAuth = (req, res, next) => {
+  if (req.method === 'OPTIONS' || PUBLIC_ROUTES.has(req.path)) return next();
+
+  const header = req.headers.authorization || '';
+  const user = header.startsWith('Bearer ')
+    ? verifyToken(header.slice(7))
+    : req.query.token && verifyToken(req.query.token, req.path);
+  if (!user) return next(new HttpError(401, 'Authentication required'));
+
+  req.user = user;
+  next();
+};
+
+module.exports = {
+  loadUsers,
+  createUser,
+  authenticateUser,
+  issueToken,
+  issueUrlToken,
+  verifyToken,
+  requireAuth
+};
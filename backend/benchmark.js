@@ -0,0 +1,111 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { outputRoot } = require('./file-processor');
+const { holdHybridPool } = require('./processing');
+
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return 0;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+// Summary statistics over a list of durations in milliseconds
+const describe = (samples) => {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const mean = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+  const variance = samples.length > 1
+    ? samples.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (samples.length - 1)
+    : 0;
+
+  return {
+    mean,
+    median: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+    stddev: Math.sqrt(variance),
+    min: sorted[0],
+    max: sorted[sorted.length - 1]
+  };
+};
+
+// Benchmark outputs are thrown away so repeated runs don't fill the disk
+const removeOutputs = (results, root) =>
+  Promise.all(results
+    .filter(result => result.processedPath)
+    .map(result => fs.rm(path.join(root, result.processedPath), { force: true })));
+
+const timeRun = async (processor, files, operation, options, { signal, layout, hybridPool }) => {
+  if (signal) signal.throwIfAborted();
+  const start = process.hrtime.bigint();
+  const result = await processor(files, operation, options, { signal, layout, hybridPool });
+  const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+  await removeOutputs(result.results, outputRoot(options));
+  return { durationMs, label: result.method, failures: result.summary.failed };
+};
+
+const runMethods = async ({ processors, methods, files, totalBytes, operation, options, layout, warmup, iterations }, { onIteration, signal, hybridPool }) => {
+  const stats = new Map(methods.map(method => [method, { label: method, samples: [], failures: 0 }]));
+
+  for (const method of methods) {
+    for (let i = 0; i < warmup; i++) {
+      const run = await timeRun(processors[method], files, operation, options, { signal, layout, hybridPool });
+      stats.get(method).label = run.label;
+      if (onIteration) onIteration({ method, iteration: i, warmup: true, durationMs: run.durationMs });
+    }
+  }
+
+  for (let i = 0; i < iterations; i++) {
+    for (const method of methods) {
+      const run = await timeRun(processors[method], files, operation, options, { signal, layout, hybridPool });
+      const entry = stats.get(method);
+      entry.label = run.label;
+      entry.samples.push(run.durationMs);
+      entry.failures += run.failures;
+      if (onIteration) onIteration({ method, iteration: i, warmup: false, durationMs: run.durationMs });
+    }
+  }
+
+  if (signal) signal.throwIfAborted();
+  return {
+    operation,
+    algorithm: options.algorithm,
+    files: files.length,
+    totalBytes,
+    warmup,
+    iterations,
+    methods: methods.map((method) => {
+      const { label, samples, failures } = stats.get(method);
+      const summary = describe(samples);
+      return {
+        method,
+        label,
+        samples,
+        failures,
+        ...summary,
+        throughputMBps: summary.mean > 0 ? (totalBytes / 1e6) / (summary.mean / 1000) : 0
+      };
+    })
+  };
+};
+
+// Run every method over the same files: warmup runs first, then measured runs
+// interleaved across methods so drift in disk cache or CPU clock affects all
+// methods alike. onIteration({ method, iteration, warmup, durationMs }) is
+// called after every run. Aborting signal stops the benchmark between runs.
+// layout is the processes × threads of the hybrid method. Its pool is held,
+// and started if need be, before the first run, so no run's time includes
+// waiting for the pool or starting it.
+const runBenchmark = async (benchmark, { onIteration, signal } = {}) => {
+  const held = benchmark.methods.includes('hybrid') ? await holdHybridPool(benchmark.layout, signal) : null;
+  try {
+    return await runMethods(benchmark, { onIteration, signal, hybridPool: held && held.entry });
+  } finally {
+    if (held) held.release();
+  }
+};
+
+module.exports = {
+  describe,
+  runBenchmark
+};
@@ -0,0 +1,310 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const config = require('./config');
+const { HttpError } = require('./errors');
+const { logger } = require('./logger');
+const { UPLOADS_DIR, createUploadId, uploadPath } = require('./uploads');
+
+// Resumable uploads. A client opens a session for one file, sends it in
+// fixed-size chunks in any order (resending any it is unsure about), asks which
+// chunks have arrived after an interruption, and completes the session once
+// all are in. Checked chunks are copied into place in a partial file, so
+// completing is a rename into uploads/ rather than a copy.
+//
+// Sessions live in uploads/sessions/<id>.json with their data in <id>.part,
+// and survive restarts. Sessions idle for the upload TTL are swept, but open
+// ones are never evicted to meet the disk quota.
+const SESSIONS_DIR = path.join(UPLOADS_DIR, 'sessions');
+
+const SESSION_ID_PATTERN = /^us_[0-9a-f]{24}$/;
+const CHECKSUM_PATTERN = /^[0-9a-f]{64}$/;
+
+const MIN_CHUNK_SIZE = 64 * 1024;
+const MAX_CHUNK_SIZE = 32 * 1024 * 1024;
+const MAX_SESSIONS_PER_USER = 50;
+
+const sessions = new Map();
+
+// Session files are rewritten after every chunk; writes for one session are
+// chained so an older state can never land after a newer one
+const saveQueues = new Map();
+
+const sessionPath = (id) => path.join(SESSIONS_DIR, `${id}.json`);
+
+const partialPath = (id) => path.join(SESSIONS_DIR, `${id}.part`);
+
+// Each attempt at a chunk gets its own file, so concurrent resends don't mix
+const chunkTempPath = (id, index) =>
+  path.join(SESSIONS_DIR, `${id}.${index}.${crypto.randomBytes(6).toString('hex')}.chunk`);
+
+const totalChunks = (session) => Math.max(1, Math.ceil(session.size / session.chunkSize));
+
+const chunkLength = (session, index) =>
+  Math.max(0, Math.min(session.chunkSize, session.size - index * session.chunkSize));
+
+const receivedChunks = (session) => Array.from(session.received).sort((a, b) => a - b);
+
+const missingChunks = (session) => {
+  const missing = [];
+  for (let index = 0; index < totalChunks(session); index++) {
+    if (!session.received.has(index)) missing.push(index);
+  }
+  return missing;
+};
+
+// Byte ranges covered by the received chunks as [start, end) pairs, with
+// neighbouring chunks merged
+const receivedRanges = (session) => {
+  const ranges = [];
+  for (const index of receivedChunks(session)) {
+    const start = index * session.chunkSize;
+    const end = start + chunkLength(session, index);
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === start) {
+      last[1] = end;
+    } else {
+      ranges.push([start, end]);
+    }
+  }
+  return ranges;
+};
+
+// Public view of a session; the owner is only used for access checks
+const toSessionSummary = (session) => ({
+  id: session.id,
+  filename: session.originalname,
+  size: session.size,
+  chunkSize: session.chunkSize,
+  totalChunks: totalChunks(session),
+  received: receivedChunks(session),
+  ranges: receivedRanges(session),
+  createdAt: session.createdAt,
+  expiresAt: session.updatedAt + config.uploadTtlSeconds * 1000
+});
+
+const saveSession = (session) => {
+  const { completing, ...stored } = session;
+  const data = JSON.stringify({ ...stored, received: receivedChunks(session) });
+  const previous = saveQueues.get(session.id) || Promise.resolve();
+  const saved = previous
+    .catch(() => {})
+    .then(() => fs.promises.writeFile(sessionPath(session.id), data));
+  saveQueues.set(session.id, saved);
+  saved.finally(() => {
+    if (saveQueues.get(session.id) === saved) saveQueues.delete(session.id);
+  }).catch(() => {});
+  return saved;
+};
+
+const discardSession = async (session) => {
+  sessions.delete(session.id);
+  await (saveQueues.get(session.id) || Promise.resolve()).catch(() => {});
+  await fs.promises.rm(sessionPath(session.id), { force: true });
+  await fs.promises.rm(partialPath(session.id), { force: true });
+};
+
+// Open a session for a file of the given size; name checks are left to the caller
+const createSession = async ({ originalname, size, chunkSize, expandArchives, owner }) => {
+  if (!Number.isSafeInteger(size) || size < 0) {
+    throw new HttpError(400, 'size must be a non-negative integer');
+  }
+  if (size > config.uploadMaxFileBytes) {
+    throw new HttpError(413, `File is larger than the ${config.uploadMaxFileBytes} byte limit`);
+  }
+  if (!Number.isInteger(chunkSize) || chunkSize < MIN_CHUNK_SIZE || chunkSize > MAX_CHUNK_SIZE) {
+    throw new HttpError(400, `chunkSize must be an integer from ${MIN_CHUNK_SIZE} to ${MAX_CHUNK_SIZE}`);
+  }
+  const open = Array.from(sessions.values()).filter(session => session.owner === owner).length;
+  if (open >= MAX_SESSIONS_PER_USER) {
+    throw new HttpError(429, `Too many unfinished uploads; complete or cancel some of the ${open} open sessions`);
+  }
+
+  const now = Date.now();
+  const session = {
+    id: `us_${crypto.randomBytes(12).toString('hex')}`,
+    originalname,
+    size,
+    chunkSize,
+    expandArchives: Boolean(expandArchives),
+    owner,
+    createdAt: now,
+    updatedAt: now,
+    received: new Set()
+  };
+
+  await fs.promises.mkdir(SESSIONS_DIR, { recursive: true });
+  // A sparse file of the final size, so chunks can be written in any order
+  await fs.promises.writeFile(partialPath(session.id), '');
+  await fs.promises.truncate(partialPath(session.id), size);
+  await saveSession(session);
+  sessions.set(session.id, session);
+  return session;
+};
+
+// A session, if it exists and belongs to owner. Sessions whose files the
+// retention sweeper removed are forgotten.
+const getSession = async (id, owner) => {
+  const session = typeof id === 'string' && SESSION_ID_PATTERN.test(id) ? sessions.get(id) : undefined;
+  if (!session || session.owner !== owner) {
+    throw new HttpError(404, 'Upload session not found');
+  }
+  try {
+    await fs.promises.access(partialPath(session.id));
+  } catch (error) {
+    await discardSession(session);
+    throw new HttpError(404, 'Upload session not found');
+  }
+  return session;
+};
+
+// Write chunk index from stream into its place, checking its length and its
+// SHA-256 against the one the client sent. A chunk may be sent again, for
+// example when the client never saw the answer to an earlier attempt.
+// declaredLength, the request's Content-Length, lets oversized chunks be
+// refused before any data is read.
+const writeChunk = async (session, index, stream, { checksum, declaredLength }) => {
+  if (session.completing) {
+    throw new HttpError(409, 'Upload is being completed');
+  }
+  if (!Number.isInteger(index) || index < 0 || index >= totalChunks(session)) {
+    throw new HttpError(400, `Chunk index must be an integer from 0 to ${totalChunks(session) - 1}`);
+  }
+  if (typeof checksum !== 'string' || !CHECKSUM_PATTERN.test(checksum.toLowerCase())) {
+    throw new HttpError(400, 'X-Chunk-Sha256 must be the hex SHA-256 of the chunk');
+  }
+
+  const length = chunkLength(session, index);
+  if (declaredLength !== undefined && Number(declaredLength) > length) {
+    throw new HttpError(413, `Chunk ${index} must be ${length} bytes`);
+  }
+  const hash = crypto.createHash('sha256');
+  let bytes = 0;
+  const meter = new Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+      if (bytes > length) {
+        callback(new HttpError(413, `Chunk ${index} must be ${length} bytes`));
+        return;
+      }
+      hash.update(chunk);
+      callback(null, chunk);
+    }
+  });
+
+  // The chunk is checked in a file of its own and only then copied into
+  // place, so a bad resend can't overwrite a chunk that already arrived.
+  // Leftovers of a crash are removed with the other stray upload files.
+  const chunkPath = chunkTempPath(session.id, index);
+  try {
+    await pipeline(stream, meter, fs.createWriteStream(chunkPath));
+
+    if (bytes !== length) {
+      throw new HttpError(400, `Chunk ${index} must be ${length} bytes, received ${bytes}`);
+    }
+    if (hash.digest('hex') !== checksum.toLowerCase()) {
+      throw new HttpError(400, `Chunk ${index} does not match its checksum`, 'ECHECKSUM');
+    }
+
+    // Not counted as received while being copied, in case the copy fails part way
+    if (session.received.delete(index)) await saveSession(session);
+    await pipeline(fs.createReadStream(chunkPath), fs.createWriteStream(partialPath(session.id), {
+      flags: 'r+',
+      start: index * session.chunkSize
+    }));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      await discardSession(session);
+      throw new HttpError(404, 'Upload session not found');
+    }
+    throw error;
+  } finally {
+    await fs.promises.rm(chunkPath, { force: true });
+  }
+
+  session.received.add(index);
+  session.updatedAt = Date.now();
+  await saveSession(session);
+};
+
+const hashFile = async (filePath) => {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+};
+
+// Move a fully received file into uploads/ under a new upload id, after
+// checking it against the whole-file SHA-256 when the client sent one. Returns
+// the file for the caller to register; the session is gone afterwards.
+const completeSession = async (session, { sha256 } = {}) => {
+  if (session.completing) {
+    throw new HttpError(409, 'Upload is already being completed');
+  }
+  const missing = missingChunks(session);
+  if (missing.length > 0) {
+    const listed = missing.slice(0, 20).join(', ');
+    throw new HttpError(409, `Upload is missing ${missing.length} of ${totalChunks(session)} chunks: ` +
+      `${listed}${missing.length > 20 ? ', ...' : ''}`, 'EINCOMPLETE');
+  }
+  if (sha256 !== undefined && (typeof sha256 !== 'string' || !CHECKSUM_PATTERN.test(sha256.toLowerCase()))) {
+    throw new HttpError(400, 'sha256 must be the hex SHA-256 of the whole file');
+  }
+
+  session.completing = true;
+  try {
+    if (sha256 && await hashFile(partialPath(session.id)) !== sha256.toLowerCase()) {
+      throw new HttpError(400, 'Assembled file does not match its checksum', 'ECHECKSUM');
+    }
+    const id = createUploadId();
+    await fs.promises.rename(partialPath(session.id), uploadPath(id));
+    await discardSession(session);
+    return {
+      id,
+      path: uploadPath(id),
+      originalname: session.originalname,
+      size: session.size,
+      expandArchives: session.expandArchives
+    };
+  } catch (error) {
+    session.completing = false;
+    if (error.code === 'ENOENT') {
+      await discardSession(session);
+      throw new HttpError(404, 'Upload session not found');
+    }
+    throw error;
+  }
+};
+
+// Every open session of every user, for the retention sweeper
+const listSessions = () => Array.from(sessions.values());
+
+// Reload sessions whose data is still on disk
+const loadSessions = async () => {
+  await fs.promises.mkdir(SESSIONS_DIR, { recursive: true });
+  for (const entry of await fs.promises.readdir(SESSIONS_DIR)) {
+    const id = path.basename(entry, '.json');
+    if (!entry.endsWith('.json') || !SESSION_ID_PATTERN.test(id)) continue;
+    try {
+      const session = JSON.parse(await fs.promises.readFile(sessionPath(id), 'utf8'));
+      await fs.promises.access(partialPath(id));
+      sessions.set(id, { ...session, received: new Set(session.received) });
+    } catch (error) {
+      logger.warn('Skipping upload session', { session: id, error: error.message });
+    }
+  }
+};
+
+module.exports = {
+  SESSIONS_DIR,
+  partialPath,
+  createSession,
+  getSession,
+  writeChunk,
+  completeSession,
+  discardSession,
+  loadSessions,
+  listSessions,
+  toSessionSummary
+};
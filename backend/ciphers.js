@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { createKdfParams, validateKdfParams, deriveKey } = require('./kdf');
+const { createWrappedDataKey, unwrapDataKey } = require('./key-wrap');
+const { encodeHeader, decodeHeader } = require('./file-header');
+const { AuthenticationError, HeaderError } = require('./errors');
+
+// Transform stream that shifts every ASCII letter, leaving all other bytes untouched.
+// shiftAt receives the running letter index so keyed ciphers work across chunks.
+const createLetterShiftStream = (shiftAt) => {
+  let letterIndex = 0;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const output = Buffer.from(chunk);
+
+      for (let i = 0; i < output.length; i++) {
+        const byte = output[i];
+        const start = byte >= 65 && byte <= 90 ? 65 : byte >= 97 && byte <= 122 ? 97 : 0;
+        if (start === 0) continue;
+
+        const shift = shiftAt(letterIndex++);
+        output[i] = ((byte - start + (shift % 26) + 26) % 26) + start;
+      }
+
+      callback(null, output);
+    }
+  });
+};
+
+// Caesar cipher, kept for teaching purposes
+const caesar = {
+  name: 'caesar',
+  label: 'Caesar',
+  authenticated: false,
+  requires: 'shift',
+  validate: ({ shift }) => {
+    if (!Number.isInteger(Number(shift))) {
+      return 'Caesar cipher requires an integer shift';
+    }
+    return null;
+  },
+  createEncryptStream: ({ shift }) => createLetterShiftStream(() => Number(shift)),
+  createDecryptStream: ({ shift }) => createLetterShiftStream(() => -Number(shift))
+};
+
+// Vigenère cipher: each letter is shifted by the matching letter of the keyword
+const keywordShifts = (keyword) =>
+  keyword.toLowerCase().split('').map(char => char.charCodeAt(0) - 97);
+
+const vigenere = {
+  name: 'vigenere',
+  label: 'Vigenère',
+  authenticated: false,
+  requires: 'keyword',
+  validate: ({ keyword }) => {
+    if (typeof keyword !== 'string' || !/^[a-zA-Z]+$/.test(keyword)) {
+      return 'Vigenère cipher requires an alphabetic keyword';
+    }
+    return null;
+  },
+  createEncryptStream: ({ keyword }) => {
+    const shifts = keywordShifts(keyword);
+    return createLetterShiftStream((i) => shifts[i % shifts.length]);
+  },
+  createDecryptStream: ({ keyword }) => {
+    const shifts = keywordShifts(keyword);
+    return createLetterShiftStream((i) => -shifts[i % shifts.length]);
+  }
+};
+
+// Authenticated ciphers built on Node's crypto module. The key is derived from
+// a passphrase, or in public-key mode is a random data key wrapped for each
+// of options.recipients. The nonce lives in the file header, which is also
+// authenticated as additional data. Body layout: ciphertext | auth tag
+const NONCE_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+const aead = (name, label, cipherName) => ({
+  name,
+  label,
+  authenticated: true,
+  requires: 'passphrase',
+  validate: ({ passphrase, recipients }) => {
+    if (recipients) {
+      return recipients.length > 0 ? null : `${label} needs at least one recipient key`;
+    }
+    if (typeof passphrase !== 'string' || passphrase.length === 0) {
+      return `${label} requires a passphrase`;
+    }
+    return null;
+  },
+  createEncryptStream: ({ key, nonce, aad }) => {
+    const cipher = crypto.createCipheriv(cipherName, key, nonce, {
+      authTagLength: TAG_LENGTH
+    });
+    cipher.setAAD(aad);
+
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        callback(null, cipher.update(chunk));
+      },
+      flush(callback) {
+        callback(null, Buffer.concat([cipher.final(), cipher.getAuthTag()]));
+      }
+    });
+  },
+  createDecryptStream: ({ key, nonce, aad }) => {
+    const decipher = crypto.createDecipheriv(cipherName, key, nonce, {
+      authTagLength: TAG_LENGTH
+    });
+    decipher.setAAD(aad);
+
+    // The tag trails the ciphertext, so the last TAG_LENGTH bytes seen so far
+    // are held back until the input ends
+    let pending = Buffer.alloc(0);
+
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        const data = Buffer.concat([pending, chunk]);
+        const split = Math.max(0, data.length - TAG_LENGTH);
+        pending = data.subarray(split);
+        callback(null, decipher.update(data.subarray(0, split)));
+      },
+      flush(callback) {
+        if (pending.length < TAG_LENGTH) {
+          callback(new AuthenticationError(`Input is too short to be ${label} ciphertext`));
+          return;
+        }
+        try {
+          decipher.setAuthTag(pending);
+          callback(null, decipher.final());
+        } catch (error) {
+          callback(new AuthenticationError());
+        }
+      }
+    });
+  }
+});
+
+const registry = new Map();
+
+const registerCipher = (cipher) => {
+  registry.set(cipher.name, cipher);
+};
+
+registerCipher(caesar);
+registerCipher(vigenere);
+registerCipher(aead('aes-256-gcm', 'AES-256-GCM', 'aes-256-gcm'));
+registerCipher(aead('chacha20-poly1305', 'ChaCha20-Poly1305', 'chacha20-poly1305'));
+
+const getCipher = (name) => {
+  const cipher = registry.get(name);
+  if (!cipher) {
+    throw new Error(`Unknown algorithm: ${name}`);
+  }
+  return cipher;
+};
+
+const listCiphers = () =>
+  Array.from(registry.values()).map(({ name, label, authenticated, requires }) => ({
+    name,
+    label,
+    authenticated,
+    requires
+  }));
+
+// Returns an error message when the algorithm or its parameters are invalid.
+// Decryption parameters are checked per file, once the header names the algorithm.
+const validateCipherOptions = (options, operation = 'encrypt') => {
+  if (!registry.has(options.algorithm)) {
+    return `Unknown algorithm: ${options.algorithm}`;
+  }
+  if (operation === 'decrypt') return null;
+  const cipher = getCipher(options.algorithm);
+  if (options.recipients && !cipher.authenticated) {
+    return `Public-key mode needs an authenticated cipher, not ${cipher.label}`;
+  }
+  return cipher.validate(options);
+};
+
+const assertValidOptions = (cipher, options) => {
+  const message = cipher.validate(options);
+  if (message) throw new Error(message);
+};
+
+// Create a transform that encrypts its input and emits a self-describing header first
+const createEncryptStream = async (options) => {
+  const cipher = getCipher(options.algorithm);
+  assertValidOptions(cipher, options);
+
+  if (!cipher.authenticated) {
+    const stream = cipher.createEncryptStream(options);
+    stream.push(encodeHeader({ algorithm: cipher.name }));
+    return stream;
+  }
+
+  const nonce = crypto.randomBytes(NONCE_LENGTH);
+  let header;
+  let key;
+  if (options.recipients) {
+    const { dataKey, recipients } = createWrappedDataKey(options.recipients);
+    header = encodeHeader({ algorithm: cipher.name, recipients, nonce: nonce.toString('base64') });
+    key = dataKey;
+  } else {
+    const kdf = createKdfParams(options.kdf);
+    header = encodeHeader({ algorithm: cipher.name, kdf, nonce: nonce.toString('base64') });
+    key = await deriveKey(options.passphrase, kdf);
+  }
+  const stream = cipher.createEncryptStream({ key, nonce, aad: header });
+  stream.push(header);
+  return stream;
+};
+
+// Create a transform that decrypts the body following an already parsed header.
+// Files without a header fall back to the algorithm named in the request.
+// Files encrypted for public keys are opened with options.privateKeys.
+const createDecryptStream = async (header, options) => {
+  const cipher = getCipher(header ? header.metadata.algorithm : options.algorithm);
+
+  if (!cipher.authenticated) {
+    assertValidOptions(cipher, options);
+    return cipher.createDecryptStream(options);
+  }
+
+  if (!header) {
+    throw new HeaderError(`${cipher.label} input has no file header`);
+  }
+  const { kdf, recipients, nonce } = header.metadata;
+  if (typeof nonce !== 'string' || Buffer.from(nonce, 'base64').length !== NONCE_LENGTH) {
+    throw new HeaderError(`File header nonce must be ${NONCE_LENGTH} bytes`);
+  }
+  let key;
+  if (recipients) {
+    key = unwrapDataKey(recipients, options.privateKeys);
+  } else {
+    assertValidOptions(cipher, options);
+    validateKdfParams(kdf);
+    key = await deriveKey(options.passphrase, kdf);
+  }
+  return cipher.createDecryptStream({
+    key,
+    nonce: Buffer.from(nonce, 'base64'),
+    aad: header.raw
+  });
+};
+
+module.exports = {
+  registerCipher,
+  getCipher,
+  listCiphers,
+  validateCipherOptions,
+  createEncryptStream,
+  createDecryptStream
+};
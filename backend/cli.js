@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+// Engine and worker logs are JSON lines meant for a log collector. The CLI
+// reports each failed file on one line itself, so they stay off unless
+// --verbose is given or LOG_LEVEL is set. Workers read it as they start.
+if (!process.env.LOG_LEVEL && !process.argv.slice(2).includes('--verbose')) {
+  process.env.LOG_LEVEL = 'silent';
+}
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const config = require('./config');
+const { processors, startPools, stopPools } = require('./processing');
+const { runBenchmark } = require('./benchmark');
+const { parseCipherOptions, parseHybridLayout } = require('./validation');
+
+// Command-line client running the same engines as the server on local files:
+//   encryptor encrypt|decrypt|verify|bench [options] <paths...>
+
+const USAGE = `Usage: encryptor <command> [options] <paths...>
+
+Commands:
+  encrypt      Encrypt files
+  decrypt      Decrypt files; the algorithm is read from each file's header
+  verify       Encrypt, decrypt and compare each file without keeping outputs
+  bench        Time the methods against each other on the same files
+
+Directories are processed recursively and keep their layout in the output.
+
+Options:
+  -m, --method <name>          ${Object.keys(processors).join(', ')}
+                               (default multithreading; bench takes a comma-separated
+                               list and defaults to all)
+  -a, --algorithm <name>       Cipher for encrypt, verify and bench (default caesar)
+  -c, --concurrency <n>        Workers in the thread or process pool (default ${config.threadPoolSize})
+      --processes <n>          Child processes of the hybrid method (default ${config.hybridProcesses})
+      --threads <n>            Worker threads in each hybrid process (default ${config.hybridThreads})
+  -p, --passphrase-file <file> Read the passphrase for AEAD ciphers from a file
+      --kdf <name>             Key derivation function (default scrypt)
+      --shift <n>              Shift for the caesar cipher (default 3)
+      --keyword <word>         Keyword for the vigenere cipher
+  -o, --output <dir>           Where outputs are written (default current directory)
+      --operation <name>       Operation timed by bench (default encrypt)
+      --warmup <n>             Untimed bench runs per method (default 1)
+      --iterations <n>         Timed bench runs per method (default 5)
+      --json                   Print the result as JSON
+      --verbose                Also log failures in full, with stack traces, to stderr
+  -h, --help                   Show this help
+
+Exit status is 0 when every file succeeded, 1 when any failed and 2 for usage errors.`;
+
+const OPTIONS = {
+  method: { type: 'string', short: 'm' },
+  algorithm: { type: 'string', short: 'a', default: 'caesar' },
+  concurrency: { type: 'string', short: 'c' },
+  processes: { type: 'string', default: String(config.hybridProcesses) },
+  threads: { type: 'string', default: String(config.hybridThreads) },
+  'passphrase-file': { type: 'string', short: 'p' },
+  kdf: { type: 'string', default: 'scrypt' },
+  shift: { type: 'string', default: '3' },
+  keyword: { type: 'string' },
+  output: { type: 'string', short: 'o' },
+  operation: { type: 'string', default: 'encrypt' },
+  warmup: { type: 'string', default: '1' },
+  iterations: { type: 'string', default: '5' },
+  json: { type: 'boolean', default: false },
+  verbose: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const COMMANDS = ['encrypt', 'decrypt', 'verify', 'bench'];
+
+// Bad arguments; reported with the usage hint and exit status 2
+class UsageError extends Error {}
+
+const integerOption = (values, name, min, max) => {
+  const value = Number(values[name]);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new UsageError(`--${name} must be an integer from ${min} to ${max}`);
+  }
+  return value;
+};
+
+// Every file below dir, named by its path relative to base so the layout is kept
+const walk = async (dir, base) => {
+  const files = [];
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await walk(entryPath, base));
+    } else if (entry.isFile()) {
+      files.push({ path: entryPath, originalname: path.relative(base, entryPath).split(path.sep).join('/') });
+    }
+  }
+  return files;
+};
+
+// Files in the shape the processors expect. A file argument is named by its
+// basename; files inside a directory argument by "<dir>/<relative path>".
+const collectFiles = async (paths) => {
+  const files = [];
+  for (const arg of paths) {
+    const resolved = path.resolve(arg);
+    let stats;
+    try {
+      stats = await fs.stat(resolved);
+    } catch (error) {
+      throw new UsageError(`Cannot read ${arg}: ${error.code === 'ENOENT' ? 'no such file or directory' : error.message}`);
+    }
+    if (stats.isDirectory()) {
+      files.push(...await walk(resolved, path.dirname(resolved)));
+    } else {
+      files.push({ path: resolved, originalname: path.basename(resolved) });
+    }
+  }
+
+  for (const file of files) {
+    file.size = (await fs.stat(file.path)).size;
+  }
+  return files;
+};
+
+const readPassphrase = async (file) => {
+  if (!file) return undefined;
+  try {
+    return (await fs.readFile(file, 'utf8')).replace(/\r?\n$/, '');
+  } catch (error) {
+    throw new UsageError(`Cannot read passphrase file ${file}: ${error.message}`);
+  }
+};
+
+const parseMethods = (value, command) => {
+  const methods = value
+    ? value.split(',').map(method => method.trim()).filter(Boolean)
+    : command === 'bench' ? Object.keys(processors) : ['multithreading'];
+  if (methods.length === 0 || !methods.every(method => processors[method]) ||
+      (command !== 'bench' && methods.length > 1)) {
+    throw new UsageError(`--method must be ${command === 'bench' ? 'a list of' : 'one of'}: ${Object.keys(processors).join(', ')}`);
+  }
+  return methods;
+};
+
+const parseCommandLine = async (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...paths] = positionals;
+  if (values.help) return { help: true };
+  if (!COMMANDS.includes(command)) {
+    throw new UsageError(command ? `Unknown command: ${command}` : 'No command given');
+  }
+  if (paths.length === 0) {
+    throw new UsageError('No input paths given');
+  }
+
+  const operation = command === 'bench' ? values.operation : command;
+  let cipherOptions;
+  let layout;
+  try {
+    layout = parseHybridLayout({ processes: Number(values.processes), threads: Number(values.threads) });
+    cipherOptions = parseCipherOptions({
+      operation,
+      algorithm: values.algorithm,
+      shift: Number(values.shift),
+      keyword: values.keyword,
+      passphrase: await readPassphrase(values['passphrase-file']),
+      kdf: values.kdf
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  return {
+    command,
+    operation,
+    paths,
+    methods: parseMethods(values.method, command),
+    concurrency: values.concurrency === undefined
+      ? config.threadPoolSize
+      : integerOption(values, 'concurrency', 1, 256),
+    layout,
+    options: cipherOptions,
+    outputDir: path.resolve(values.output || '.'),
+    warmup: integerOption(values, 'warmup', 0, 20),
+    iterations: integerOption(values, 'iterations', 1, 100),
+    json: values.json
+  };
+};
+
+const throughputMBps = (bytes, ms) => (ms > 0 ? (bytes / 1e6) / (ms / 1000) : 0);
+
+const printProcessResult = (result, totalBytes, outputDir) => {
+  for (const file of result.results) {
+    const detail = file.processedPath
+      ? ` -> ${path.join(outputDir, file.processedPath)}`
+      : file.error ? `: ${file.error.message}` : '';
+    console.log(`${file.status.padEnd(9)} ${file.originalName}${detail}`);
+  }
+  const { succeeded, failed, skipped } = result.summary;
+  console.log(`\n${result.method}: ${succeeded} succeeded, ${failed} failed, ${skipped} skipped ` +
+    `in ${result.processingTime}ms (${throughputMBps(totalBytes, result.processingTime).toFixed(2)} MB/s)`);
+};
+
+const printBenchmark = (benchmark) => {
+  console.log(`${benchmark.operation} ${benchmark.algorithm}: ${benchmark.files} files, ${benchmark.totalBytes} bytes, ` +
+    `${benchmark.warmup} warmup + ${benchmark.iterations} timed runs per method\n`);
+  const columns = ['method', 'mean ms', 'median ms', 'p95 ms', 'stddev ms', 'MB/s', 'failures'];
+  const rows = benchmark.methods.map(method => [
+    method.label,
+    method.mean.toFixed(1),
+    method.median.toFixed(1),
+    method.p95.toFixed(1),
+    method.stddev.toFixed(1),
+    method.throughputMBps.toFixed(2),
+    String(method.failures)
+  ]);
+  const widths = columns.map((column, index) =>
+    Math.max(column.length, ...rows.map(row => row[index].length)));
+  for (const row of [columns, ...rows]) {
+    console.log(row.map((cell, index) => cell.padEnd(widths[index])).join('  '));
+  }
+};
+
+const run = async (args) => {
+  const files = await collectFiles(args.paths);
+  if (files.length === 0) {
+    throw new UsageError('No files found in the given paths');
+  }
+  const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+
+  // The hybrid method starts a pool for its layout when it first runs
+  if (args.methods.some(method => method === 'multithreading' || method === 'multiprocessing')) {
+    startPools({ threadPoolSize: args.concurrency, processPoolSize: args.concurrency });
+  }
+
+  try {
+    if (args.command === 'bench') {
+      // Benchmark outputs are deleted after every run, so they go to a scratch folder
+      const scratchDir = await fs.mkdtemp(path.join(os.tmpdir(), 'encryptor-bench-'));
+      try {
+        const benchmark = await runBenchmark({
+          processors,
+          methods: args.methods,
+          files,
+          totalBytes,
+          operation: args.operation,
+          options: { ...args.options, outputDir: scratchDir },
+          layout: args.layout,
+          warmup: args.warmup,
+          iterations: args.iterations
+        });
+        if (args.json) {
+          console.log(JSON.stringify(benchmark, null, 2));
+        } else {
+          printBenchmark(benchmark);
+        }
+        return benchmark.methods.some(method => method.failures > 0) ? 1 : 0;
+      } finally {
+        await fs.rm(scratchDir, { recursive: true, force: true });
+      }
+    }
+
+    const [method] = args.methods;
+    const result = await processors[method](files, args.operation, { ...args.options, outputDir: args.outputDir }, {
+      layout: args.layout
+    });
+    if (args.json) {
+      console.log(JSON.stringify({
+        ...result,
+        operation: args.operation,
+        algorithm: args.options.algorithm,
+        outputDir: args.outputDir,
+        totalBytes,
+        throughputMBps: throughputMBps(totalBytes, result.processingTime)
+      }, null, 2));
+    } else {
+      printProcessResult(result, totalBytes, args.outputDir);
+    }
+    return result.summary.succeeded === result.summary.total ? 0 : 1;
+  } finally {
+    await stopPools();
+  }
+};
+
+const main = async () => {
+  try {
+    const args = await parseCommandLine(process.argv.slice(2));
+    if (args.help) {
+      console.log(USAGE);
+      return 0;
+    }
+    return await run(args);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`encryptor: ${error.message}\nRun "encryptor --help" for usage.`);
+      return 2;
+    }
+    console.error('encryptor:', error);
+    return 1;
+  }
+};
+
+main().then((code) => {
+  process.exitCode = code;
+});
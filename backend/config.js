@@ -0,0 +1,63 @@
+const os = require('os');
+const path = require('path');
+
+const numberFromEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+// Comma-separated list from the environment, or fallback when unset
+const listFromEnv = (name, fallback = []) => {
+  const value = process.env[name];
+  if (!value) return fallback;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+};
+
+// Extension list such as ".txt,.csv", lower-cased with leading dots
+const extensionsFromEnv = (name) =>
+  listFromEnv(name)
+    .map(value => value.toLowerCase())
+    .map(value => (value.startsWith('.') ? value : `.${value}`));
+
+// Server settings, overridable through environment variables
+module.exports = {
+  port: numberFromEnv('PORT', 5000),
+  // Users, keys, the token secret and run history are kept here
+  dataDir: process.env.DATA_DIR || path.join(__dirname, 'data'),
+  threadPoolSize: numberFromEnv('THREAD_POOL_SIZE', os.cpus().length),
+  processPoolSize: numberFromEnv('PROCESS_POOL_SIZE', os.cpus().length),
+  datasetMaxBytes: numberFromEnv('DATASET_MAX_BYTES', 2 * 1024 * 1024 * 1024),
+  archiveMaxBytes: numberFromEnv('ARCHIVE_MAX_BYTES', 2 * 1024 * 1024 * 1024),
+  uploadMaxFileBytes: numberFromEnv('UPLOAD_MAX_FILE_BYTES', 1024 * 1024 * 1024),
+  uploadMaxFiles: numberFromEnv('UPLOAD_MAX_FILES', 1000),
+  uploadMaxRequestBytes: numberFromEnv('UPLOAD_MAX_REQUEST_BYTES', 4 * 1024 * 1024 * 1024),
+  // Empty means any file type is accepted
+  uploadAllowedExtensions: extensionsFromEnv('UPLOAD_ALLOWED_EXTENSIONS'),
+  jobMaxFiles: numberFromEnv('JOB_MAX_FILES', 10000),
+  // Default processes × threads of the hybrid method, the most threads in
+  // all a request may ask for or all hybrid pools may run at once, and how
+  // long a hybrid pool stays up after its last run
+  hybridProcesses: numberFromEnv('HYBRID_PROCESSES', Math.max(1, Math.floor(os.cpus().length / 2))),
+  hybridThreads: numberFromEnv('HYBRID_THREADS', 2),
+  hybridMaxWorkers: numberFromEnv('HYBRID_MAX_WORKERS', 64),
+  hybridIdleSeconds: numberFromEnv('HYBRID_IDLE_SECONDS', 5 * 60),
+  // Longest a job may run; requests can ask for less with timeoutSeconds
+  jobTimeoutSeconds: numberFromEnv('JOB_TIMEOUT_SECONDS', 60 * 60),
+  // Browser origins allowed to call the API
+  corsOrigins: listFromEnv('CORS_ORIGINS', ['http://localhost:3000']),
+  // Generated and stored in dataDir when unset
+  authSecret: process.env.AUTH_SECRET || null,
+  tokenTtlSeconds: numberFromEnv('TOKEN_TTL_SECONDS', 12 * 60 * 60),
+  allowRegistration: process.env.ALLOW_REGISTRATION !== 'false',
+  // debug, info, warn or error
+  logLevel: process.env.LOG_LEVEL || 'info',
+  // When set, GET /metrics requires "Authorization: Bearer <token>"
+  metricsToken: process.env.METRICS_TOKEN || null,
+  // Retention: uploads, outputs and datasets older than these are swept, and
+  // the oldest files are evicted while all of them together exceed the quota
+  uploadTtlSeconds: numberFromEnv('UPLOAD_TTL_SECONDS', 24 * 60 * 60),
+  outputTtlSeconds: numberFromEnv('OUTPUT_TTL_SECONDS', 24 * 60 * 60),
+  datasetTtlSeconds: numberFromEnv('DATASET_TTL_SECONDS', 7 * 24 * 60 * 60),
+  diskQuotaBytes: numberFromEnv('DISK_QUOTA_BYTES', 10 * 1024 * 1024 * 1024),
+  sweepIntervalSeconds: numberFromEnv('SWEEP_INTERVAL_SECONDS', 5 * 60)
+};
@@ -0,0 +1,61 @@
+const path = require('path');
+const { createWorkerPool, threadWorker } = require('./worker-pool');
+const { createProcessMetrics } = require('./resource-metrics');
+
+// Hybrid pool child process: runs a pool of worker threads of its own, sized
+// by its first command-line argument, and hands every task it receives over
+// the fork IPC channel to that pool, so the server can give it one file per
+// thread. See worker-pool.js for the message protocol; results name the
+// thread that ran the file in worker. Cancelling a task stops only the thread
+// running it, and the task is answered with a skipped result. Threads can't
+// measure the process's CPU time and RSS, so this process adds them to each
+// task's metrics.
+const threads = Number(process.argv[2]) || 1;
+const pool = createWorkerPool({
+  size: threads,
+  name: `Hybrid process ${process.pid} thread pool`,
+  spawn: threadWorker(path.join(__dirname, 'crypto-worker.js'))
+});
+const processMetrics = createProcessMetrics();
+// Abort controllers of the tasks in progress by task id
+const running = new Map();
+
+process.on('message', async (message) => {
+  if (message.type === 'cancel') {
+    const controller = running.get(message.taskId);
+    if (controller) controller.abort(new Error(message.reason));
+    return;
+  }
+  if (message.type !== 'task') return;
+
+  const { taskId, file, operation, options, context } = message;
+  let worker;
+  let metrics;
+  const controller = new AbortController();
+  running.set(taskId, controller);
+  processMetrics.start();
+  // The thread pool turns a failing file into a failed result, just as the
+  // server's pool would, so every task is answered with a result
+  const [result] = await pool.run([file], operation, options, {
+    logContext: context,
+    signal: controller.signal,
+    onStart: (taskFile, workerId) => process.send({ type: 'start', taskId, worker: workerId }),
+    onProgress: (taskFile, bytes) => {
+      processMetrics.sample();
+      process.send({ type: 'progress', taskId, bytes });
+    },
+    onOutput: (taskFile, outputPath) => process.send({ type: 'output', taskId, path: outputPath }),
+    onMetrics: (workerId, taskMetrics) => {
+      worker = workerId;
+      metrics = taskMetrics;
+    }
+  });
+  running.delete(taskId);
+  process.send({ type: 'result', taskId, result, metrics: processMetrics.finish(metrics), worker });
+});
+
+// Exit with the server instead of lingering as an orphan; the threads go too
+process.on('disconnect', () => process.exit(0));
+
+// Ready once its own threads are
+pool.ready().then(() => process.send({ type: 'ready' }));
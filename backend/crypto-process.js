@@ -1,44 +1,33 @@
-const fs = require('fs').promises;
-const path = require('path');
+const { processFile } = require('./file-processor');
+const { serializeError } = require('./errors');
+const { startTaskMetrics } = require('./resource-metrics');
+const { logger } = require('./logger');
 
-// Caesar cipher function
-const caesarCipher = (text, shift, decrypt = false) => {
-  const actualShift = decrypt ? -shift : shift;
-  return text.replace(/[a-zA-Z]/g, (char) => {
-    const start = char <= 'Z' ? 65 : 97;
-    return String.fromCharCode(((char.charCodeAt(0) - start + actualShift + 26) % 26) + start);
-  });
-};
+// Long-lived pool child process: receives tasks over the IPC channel opened by
+// child_process.fork and handles one file per task message.
+// See worker-pool.js for the message protocol.
+process.on('message', async (message) => {
+  if (message.type !== 'task') return;
 
-const processFiles = async () => {
-  try {
-    const input = JSON.parse(process.argv[2]);
-    const { files, operation, shift } = input;
-    const results = [];
-
-    for (const file of files) {
-      const content = await fs.readFile(file.path, 'utf8');
-      const processedContent = caesarCipher(content, shift, operation === 'decrypt');
-      
-      const outputPath = path.join('processed', 
-        `${operation}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}_${file.originalname}`);
-      
-      await fs.writeFile(outputPath, processedContent);
-      
-      results.push({
-        originalName: file.originalname,
-        processedPath: path.basename(outputPath),
-        size: content.length,
-        operation
-      });
-    }
+  const { taskId, file, operation, options, context } = message;
+  const log = logger.child({ ...context, taskId });
+  const metrics = startTaskMetrics();
+  const onProgress = (bytes) => {
+    metrics.sample();
+    process.send({ type: 'progress', taskId, bytes });
+  };
+  const onOutput = (outputPath) => process.send({ type: 'output', taskId, path: outputPath });
 
-    console.log(JSON.stringify(results));
+  try {
+    const result = await processFile(file, operation, options, { onProgress, onOutput });
+    process.send({ type: 'result', taskId, result, metrics: metrics.finish() });
   } catch (error) {
-    console.error('Process error:', error);
-    console.log(JSON.stringify([]));
-    process.exit(1);
+    log.error('File failed', { file: file.originalname, error });
+    process.send({ type: 'error', taskId, error: serializeError(error), metrics: metrics.finish() });
   }
-};
+});
+
+// Exit with the server instead of lingering as an orphan
+process.on('disconnect', () => process.exit(0));
 
-processFiles();
\ No newline at end of file
+process.send({ type: 'ready' });
@@ -1,43 +1,30 @@
-const { parentPort, workerData } = require('worker_threads');
-const fs = require('fs').promises;
-const path = require('path');
+const { parentPort } = require('worker_threads');
+const { processFile } = require('./file-processor');
+const { serializeError } = require('./errors');
+const { startTaskMetrics } = require('./resource-metrics');
+const { logger } = require('./logger');
 
-// Caesar cipher function
-const caesarCipher = (text, shift, decrypt = false) => {
-  const actualShift = decrypt ? -shift : shift;
-  return text.replace(/[a-zA-Z]/g, (char) => {
-    const start = char <= 'Z' ? 65 : 97;
-    return String.fromCharCode(((char.charCodeAt(0) - start + actualShift + 26) % 26) + start);
-  });
-};
+// Long-lived pool worker: handles one file per task message until terminated.
+// See worker-pool.js for the message protocol.
+parentPort.on('message', async (message) => {
+  if (message.type !== 'task') return;
 
-const processFiles = async () => {
-  const { files, operation, shift } = workerData;
-  const results = [];
+  const { taskId, file, operation, options, context } = message;
+  const log = logger.child({ ...context, taskId });
+  const metrics = startTaskMetrics();
+  const onProgress = (bytes) => {
+    metrics.sample();
+    parentPort.postMessage({ type: 'progress', taskId, bytes });
+  };
+  const onOutput = (outputPath) => parentPort.postMessage({ type: 'output', taskId, path: outputPath });
 
   try {
-    for (const file of files) {
-      const content = await fs.readFile(file.path, 'utf8');
-      const processedContent = caesarCipher(content, shift, operation === 'decrypt');
-      
-      const outputPath = path.join('processed', 
-        `${operation}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}_${file.originalname}`);
-      
-      await fs.writeFile(outputPath, processedContent);
-      
-      results.push({
-        originalName: file.originalname,
-        processedPath: path.basename(outputPath),
-        size: content.length,
-        operation
-      });
-    }
-
-    parentPort.postMessage(results);
+    const result = await processFile(file, operation, options, { onProgress, onOutput });
+    parentPort.postMessage({ type: 'result', taskId, result, metrics: metrics.finish() });
   } catch (error) {
-    console.error('Worker error:', error);
-    parentPort.postMessage([]);
+    log.error('File failed', { file: file.originalname, error });
+    parentPort.postMessage({ type: 'error', taskId, error: serializeError(error), metrics: metrics.finish() });
   }
-};
+});
 
-processFiles();
\ No newline at end of file
+parentPort.postMessage({ type: 'ready' });
@@ -0,0 +1,279 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+const { logger } = require('./logger');
+
+const DATASETS_DIR = path.join(__dirname, 'datasets');
+const MANIFEST = 'manifest.json';
+
+const MAX_FILE_COUNT = 10000;
+const MAX_FILE_SIZE = 1024 * 1024 * 1024;
+const CHUNK_SIZE = 64 * 1024;
+const PROGRESS_INTERVAL = 1024 * 1024;
+
+const WORDS = [
+  'lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipiscing', 'elit',
+  'sed', 'do', 'eiusmod', 'tempor', 'incididunt', 'ut', 'labore', 'et', 'dolore',
+  'magna', 'aliqua', 'enim', 'ad', 'minim', 'veniam', 'quis', 'nostrud',
+  'exercitation', 'ullamco', 'laboris', 'nisi', 'aliquip', 'ex', 'ea', 'commodo',
+  'consequat', 'duis', 'aute', 'irure', 'in', 'reprehenderit', 'voluptate',
+  'velit', 'esse', 'cillum', 'fugiat', 'nulla', 'pariatur'
+];
+
+const datasets = new Map();
+
+const datasetDir = (id) => path.join(DATASETS_DIR, id);
+
+// mulberry32: small, fast seeded PRNG returning floats in [0, 1)
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal sample via the Box-Muller transform
+const normal = (random) => {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+const clampSize = (size) => Math.min(MAX_FILE_SIZE, Math.max(1, Math.round(size)));
+
+// File sizes in bytes for each supported distribution:
+//   fixed     { size }
+//   uniform   { min, max }
+//   lognormal { median, sigma }
+const sampleSizes = (distribution, count, random) => {
+  const sizes = [];
+  for (let i = 0; i < count; i++) {
+    switch (distribution.type) {
+      case 'fixed':
+        sizes.push(clampSize(distribution.size));
+        break;
+      case 'uniform':
+        sizes.push(clampSize(distribution.min + random() * (distribution.max - distribution.min)));
+        break;
+      case 'lognormal':
+        sizes.push(clampSize(Math.exp(Math.log(distribution.median) + distribution.sigma * normal(random))));
+        break;
+      default:
+        throw new Error(`Unknown size distribution: ${distribution.type}`);
+    }
+  }
+  return sizes;
+};
+
+// Returns an error message for invalid generator parameters
+const validateDatasetParams = ({ name, fileCount, distribution, contentType, seed }, maxBytes) => {
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    return 'Dataset name is required';
+  }
+  if (!Number.isInteger(fileCount) || fileCount < 1 || fileCount > MAX_FILE_COUNT) {
+    return `fileCount must be between 1 and ${MAX_FILE_COUNT}`;
+  }
+  if (!['text', 'binary'].includes(contentType)) {
+    return 'contentType must be text or binary';
+  }
+  if (!Number.isInteger(seed)) {
+    return 'seed must be an integer';
+  }
+
+  const positive = (value) => Number.isFinite(value) && value > 0;
+  switch (distribution && distribution.type) {
+    case 'fixed':
+      if (!positive(distribution.size)) return 'fixed distribution requires a positive size';
+      break;
+    case 'uniform':
+      if (!positive(distribution.min) || !positive(distribution.max) || distribution.min > distribution.max) {
+        return 'uniform distribution requires 0 < min <= max';
+      }
+      break;
+    case 'lognormal':
+      if (!positive(distribution.median) || !Number.isFinite(distribution.sigma) || distribution.sigma < 0) {
+        return 'lognormal distribution requires a positive median and a non-negative sigma';
+      }
+      break;
+    default:
+      return 'distribution.type must be fixed, uniform or lognormal';
+  }
+
+  const totalBytes = sampleSizes(distribution, fileCount, createRandom(seed))
+    .reduce((sum, size) => sum + size, 0);
+  if (totalBytes > maxBytes) {
+    return `Dataset would be ${totalBytes} bytes, above the ${maxBytes} byte limit`;
+  }
+  return null;
+};
+
+const fillBinary = (buffer, random) => {
+  for (let i = 0; i < buffer.length; i += 4) {
+    const value = Math.floor(random() * 4294967296);
+    for (let j = 0; j < 4 && i + j < buffer.length; j++) {
+      buffer[i + j] = (value >>> (j * 8)) & 0xff;
+    }
+  }
+  return buffer;
+};
+
+const fillText = (buffer, random) => {
+  let offset = 0;
+  let lineLength = 0;
+  while (offset < buffer.length) {
+    const word = WORDS[Math.floor(random() * WORDS.length)];
+    const separator = lineLength > 72 ? '\n' : ' ';
+    lineLength = separator === '\n' ? 0 : lineLength + word.length + 1;
+    offset += buffer.write(word + separator, offset, 'latin1');
+  }
+  return buffer;
+};
+
+// Write one generated file chunk by chunk so memory stays flat
+const writeFile = async (filePath, size, contentType, random, onProgress) => {
+  const output = fs.createWriteStream(filePath);
+  const fill = contentType === 'binary' ? fillBinary : fillText;
+  let written = 0;
+
+  try {
+    while (written < size) {
+      const chunk = fill(Buffer.alloc(Math.min(CHUNK_SIZE, size - written)), random);
+      written += chunk.length;
+      if (!output.write(chunk)) {
+        await new Promise(resolve => output.once('drain', resolve));
+      }
+      if (written === size || written % PROGRESS_INTERVAL === 0) onProgress(written);
+    }
+  } finally {
+    await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+  }
+};
+
+const toDatasetSummary = ({ id, name, createdAt, params, fileCount, totalBytes, status }) => ({
+  id,
+  name,
+  createdAt,
+  expiresAt: createdAt + config.datasetTtlSeconds * 1000,
+  params,
+  fileCount,
+  totalBytes,
+  status
+});
+
+// Plan a dataset for its owner: sizes are fixed up front so the job knows
+// its total bytes
+const planDataset = (params, owner) => {
+  const { fileCount, distribution, contentType, seed } = params;
+  const sizes = sampleSizes(distribution, fileCount, createRandom(seed));
+  const extension = contentType === 'binary' ? 'bin' : 'txt';
+  const width = String(fileCount).length;
+
+  const dataset = {
+    id: `ds_${crypto.randomBytes(6).toString('hex')}`,
+    name: params.name.trim(),
+    createdAt: Date.now(),
+    params: { fileCount, distribution, contentType, seed },
+    fileCount,
+    totalBytes: sizes.reduce((sum, size) => sum + size, 0),
+    status: 'generating',
+    owner,
+    files: sizes.map((size, index) => ({
+      originalname: `file-${String(index + 1).padStart(width, '0')}.${extension}`,
+      size
+    }))
+  };
+  datasets.set(dataset.id, dataset);
+  return dataset;
+};
+
+// Write every file of a planned dataset, then its manifest. The same seed and
+// parameters always produce byte-identical files.
+const generateDataset = async (dataset, { onProgress, onResult, signal } = {}) => {
+  const dir = datasetDir(dataset.id);
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  // Content uses its own stream of random numbers, separate from the sizes
+  const random = createRandom(dataset.params.seed ^ 0x5bd1e995);
+
+  try {
+    for (const file of dataset.files) {
+      if (signal) signal.throwIfAborted();
+      await writeFile(path.join(dir, file.originalname), file.size, dataset.params.contentType, random,
+        (bytes) => onProgress && onProgress(file, bytes));
+      if (onResult) onResult(file, { originalName: file.originalname, status: 'succeeded', size: file.size });
+    }
+
+    dataset.status = 'ready';
+    const manifest = { ...toDatasetSummary(dataset), owner: dataset.owner, files: dataset.files };
+    await fs.promises.writeFile(path.join(dir, MANIFEST), JSON.stringify(manifest, null, 2));
+  } catch (error) {
+    datasets.delete(dataset.id);
+    await fs.promises.rm(dir, { recursive: true, force: true });
+    throw error;
+  }
+
+  return toDatasetSummary(dataset);
+};
+
+// Register every dataset already on disk
+const loadDatasets = async () => {
+  await fs.promises.mkdir(DATASETS_DIR, { recursive: true });
+  for (const entry of await fs.promises.readdir(DATASETS_DIR, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+    try {
+      const manifest = JSON.parse(
+        await fs.promises.readFile(path.join(DATASETS_DIR, entry.name, MANIFEST), 'utf8'));
+      datasets.set(manifest.id, manifest);
+    } catch (error) {
+      logger.warn('Skipping dataset', { dataset: entry.name, error: error.message });
+    }
+  }
+};
+
+// A dataset, if it exists and belongs to owner
+const getDataset = (id, owner) => {
+  const dataset = datasets.get(id);
+  return dataset && dataset.owner === owner ? dataset : undefined;
+};
+
+// Every dataset of every user, for the retention sweeper
+const listAllDatasets = () => Array.from(datasets.values());
+
+const removeDataset = async (id) => {
+  datasets.delete(id);
+  await fs.promises.rm(datasetDir(id), { recursive: true, force: true });
+};
+
+const listDatasets = (owner) =>
+  Array.from(datasets.values())
+    .filter(dataset => dataset.owner === owner)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(toDatasetSummary);
+
+// Dataset files in the shape /process expects
+const datasetFiles = (dataset) =>
+  dataset.files.map(file => ({
+    originalname: file.originalname,
+    path: path.join(datasetDir(dataset.id), file.originalname),
+    size: file.size
+  }));
+
+module.exports = {
+  DATASETS_DIR,
+  datasetDir,
+  validateDatasetParams,
+  planDataset,
+  generateDataset,
+  loadDatasets,
+  getDataset,
+  listDatasets,
+  listAllDatasets,
+  removeDataset,
+  datasetFiles,
+  toDatasetSummary
+};
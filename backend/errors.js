@@ -0,0 +1,63 @@
+// Raised when an authenticated cipher rejects its input, which almost always
+// means the passphrase is wrong or the file was modified
+class AuthenticationError extends Error {
+  constructor(message = 'Authentication failed: wrong passphrase or corrupted file') {
+    super(message);
+    this.name = 'AuthenticationError';
+    this.code = 'EAUTH';
+  }
+}
+
+// Raised when an encrypted file header is missing or cannot be parsed
+class HeaderError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HeaderError';
+    this.code = 'EHEADER';
+  }
+}
+
+// A file that was never processed or was stopped part way, for example
+// because its job was cancelled; reported with status 'skipped'
+class SkippedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SkippedError';
+    this.code = 'ESKIPPED';
+  }
+}
+
+// Raised for requests the server refuses; status is the HTTP status to send back
+class HttpError extends Error {
+  constructor(status, message, code) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    if (code) this.code = code;
+  }
+}
+
+const errorClasses = { AuthenticationError, HeaderError, SkippedError };
+
+// Errors cross thread and process boundaries as plain objects
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  code: error.code
+});
+
+const deserializeError = ({ name, message, code }) => {
+  const ErrorClass = errorClasses[name];
+  const error = ErrorClass ? new ErrorClass(message) : new Error(message);
+  if (code) error.code = code;
+  return error;
+};
+
+module.exports = {
+  AuthenticationError,
+  HeaderError,
+  SkippedError,
+  HttpError,
+  serializeError,
+  deserializeError
+};
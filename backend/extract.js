@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+const tar = require('tar-stream');
+const { normalizeRelativePath } = require('./paths');
+const { HttpError } = require('./errors');
+const { isAllowedType, saveUploadStream, removeUpload } = require('./uploads');
+
+// Most files one archive may hold; size limits come from config
+const MAX_ENTRIES = 10000;
+
+const ARCHIVE_TYPES = [
+  { suffix: '.zip', type: 'zip' },
+  { suffix: '.tar.gz', type: 'tgz' },
+  { suffix: '.tgz', type: 'tgz' },
+  { suffix: '.tar', type: 'tar' }
+];
+
+const archiveType = (filename) => {
+  const lower = filename.toLowerCase();
+  const match = ARCHIVE_TYPES.find(({ suffix }) => lower.endsWith(suffix));
+  return match ? match.type : null;
+};
+
+const isArchive = (filename) => archiveType(filename) !== null;
+
+// Stores each entry as its own upload while enforcing the limits for one
+// archive, refusing entries whose names would escape the archive's folder
+const createEntryWriter = (prefix, { owner, maxBytes, maxFileBytes }) => {
+  const files = [];
+  let totalBytes = 0;
+
+  const write = async (name, stream) => {
+    const relativePath = normalizeRelativePath(name);
+    if (!relativePath) {
+      throw new HttpError(400, `Archive entry has an unsafe path: ${name}`);
+    }
+    if (!isAllowedType(relativePath)) {
+      throw new HttpError(415, `File type not allowed: ${relativePath}`);
+    }
+    if (files.length >= MAX_ENTRIES) {
+      throw new HttpError(413, `Archive has more than ${MAX_ENTRIES} files`);
+    }
+
+    let size = 0;
+    stream.on('data', (chunk) => {
+      size += chunk.length;
+      totalBytes += chunk.length;
+      if (size > maxFileBytes) {
+        stream.destroy(new HttpError(413, `${relativePath} is larger than ${maxFileBytes} bytes`));
+      } else if (totalBytes > maxBytes) {
+        stream.destroy(new HttpError(413, `Archive expands to more than ${maxBytes} bytes`));
+      }
+    });
+    files.push(await saveUploadStream(path.posix.join(prefix, relativePath), stream, owner));
+  };
+
+  return { write, files };
+};
+
+const openZip = (archivePath) =>
+  new Promise((resolve, reject) => {
+    yauzl.open(archivePath, { lazyEntries: true }, (error, zipfile) => (error ? reject(error) : resolve(zipfile)));
+  });
+
+const extractZip = async (archivePath, writer) => {
+  const zipfile = await openZip(archivePath);
+  try {
+    await new Promise((resolve, reject) => {
+      zipfile.on('error', reject);
+      zipfile.on('end', resolve);
+      zipfile.on('entry', (entry) => {
+        // Directory entries carry no data; their files create them as needed
+        if (entry.fileName.endsWith('/')) {
+          zipfile.readEntry();
+          return;
+        }
+        zipfile.openReadStream(entry, (error, stream) => {
+          if (error) return reject(error);
+          writer.write(entry.fileName, stream)
+            .then(() => zipfile.readEntry())
+            .catch(reject);
+        });
+      });
+      zipfile.readEntry();
+    });
+  } finally {
+    zipfile.close();
+  }
+};
+
+const extractTar = async (archivePath, writer, gzip) => {
+  const extract = tar.extract();
+  const source = fs.createReadStream(archivePath);
+  const reading = gzip
+    ? pipeline(source, zlib.createGunzip(), extract)
+    : pipeline(source, extract);
+  // A broken source or gzip stream rejects reading while the loop below is
+  // still waiting on an entry, so it is handled now and awaited at the end
+  reading.catch(() => {});
+
+  try {
+    for await (const entry of extract) {
+      if (entry.header.type === 'file') {
+        await writer.write(entry.header.name, entry);
+      } else {
+        // Directories, links and other special entries are skipped
+        entry.resume();
+      }
+    }
+  } catch (error) {
+    source.destroy();
+    throw error;
+  }
+  await reading;
+};
+
+// Expand an uploaded ZIP or tar(.gz) into one upload per file, owned by
+// options.owner and within options.maxBytes and maxFileBytes. Each keeps its
+// path inside the archive as originalname (below the archive's own folder for
+// folder uploads), so the layout is kept through processing. Nothing is left
+// behind on error; errors that aren't already HttpErrors mean a bad archive.
+const extractArchive = async (archivePath, originalname, options) => {
+  const writer = createEntryWriter(path.posix.dirname(originalname), options);
+  const type = archiveType(originalname);
+
+  try {
+    if (type === 'zip') {
+      await extractZip(archivePath, writer);
+    } else {
+      await extractTar(archivePath, writer, type === 'tgz');
+    }
+  } catch (error) {
+    await Promise.all(writer.files.map(file => removeUpload(file.id)));
+    if (error instanceof HttpError) throw error;
+    throw new HttpError(400, `Could not expand ${originalname}: ${error.message}`);
+  }
+  return writer.files;
+};
+
+module.exports = {
+  isArchive,
+  extractArchive
+};
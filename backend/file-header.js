@@ -0,0 +1,80 @@
+const fs = require('fs').promises;
+const { HeaderError } = require('./errors');
+
+// Header layout: magic (4 bytes) | version (1 byte) | metadata length (uint32 BE) | JSON metadata
+const MAGIC = Buffer.from('PFEC');
+const VERSION = 1;
+const PREFIX_LENGTH = MAGIC.length + 1 + 4;
+const MAX_METADATA_LENGTH = 64 * 1024;
+
+const encodeHeader = (metadata) => {
+  const json = Buffer.from(JSON.stringify(metadata), 'utf8');
+  const prefix = Buffer.alloc(PREFIX_LENGTH);
+  MAGIC.copy(prefix, 0);
+  prefix.writeUInt8(VERSION, MAGIC.length);
+  prefix.writeUInt32BE(json.length, MAGIC.length + 1);
+  return Buffer.concat([prefix, json]);
+};
+
+const hasHeader = (data) =>
+  data.length >= PREFIX_LENGTH && data.subarray(0, MAGIC.length).equals(MAGIC);
+
+const readMetadataLength = (prefix) => {
+  const length = prefix.readUInt32BE(MAGIC.length + 1);
+  if (length > MAX_METADATA_LENGTH) {
+    throw new HeaderError('File header is too large');
+  }
+  return length;
+};
+
+// Returns { metadata, length } for data that starts with a header, or null otherwise
+const decodeHeader = (data) => {
+  if (!hasHeader(data)) return null;
+
+  const version = data.readUInt8(MAGIC.length);
+  if (version !== VERSION) {
+    throw new HeaderError(`Unsupported file header version: ${version}`);
+  }
+
+  const jsonLength = readMetadataLength(data);
+  const length = PREFIX_LENGTH + jsonLength;
+  if (data.length < length) {
+    throw new HeaderError('File header is truncated');
+  }
+
+  let metadata;
+  try {
+    metadata = JSON.parse(data.subarray(PREFIX_LENGTH, length).toString('utf8'));
+  } catch (error) {
+    throw new HeaderError('File header is corrupted');
+  }
+  // Readers look fields up on the metadata, so anything else is refused here
+  if (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new HeaderError('File header metadata must be an object');
+  }
+  return { metadata, length, raw: data.subarray(0, length) };
+};
+
+// Read just the header from the start of a file without loading the body.
+// Returns the same shape as decodeHeader, or null for files without a header.
+const readFileHeader = async (filePath) => {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const prefix = Buffer.alloc(PREFIX_LENGTH);
+    const { bytesRead } = await handle.read(prefix, 0, PREFIX_LENGTH, 0);
+    if (!hasHeader(prefix.subarray(0, bytesRead))) return null;
+
+    const data = Buffer.alloc(PREFIX_LENGTH + readMetadataLength(prefix));
+    const { bytesRead: headerBytes } = await handle.read(data, 0, data.length, 0);
+    return decodeHeader(data.subarray(0, headerBytes));
+  } finally {
+    await handle.close();
+  }
+};
+
+module.exports = {
+  VERSION,
+  encodeHeader,
+  decodeHeader,
+  readFileHeader
+};
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { createEncryptStream, createDecryptStream } = require('./ciphers');
+const { readFileHeader } = require('./file-header');
+const { normalizeRelativePath, toRelativePath } = require('./paths');
+
+const PROCESSED_DIR = path.join(__dirname, 'processed');
+
+// Each user's outputs live in their own folder below PROCESSED_DIR
+const workspaceDir = (userId) => path.join(PROCESSED_DIR, userId);
+
+// Where outputs for a request go: options.outputDir when set, else PROCESSED_DIR.
+// Result processedPath values are relative to this directory.
+const outputRoot = (options) => options.outputDir || PROCESSED_DIR;
+
+const OPERATIONS = ['encrypt', 'decrypt', 'verify'];
+
+// Files are streamed in fixed-size chunks so memory use stays flat for any file size
+const CHUNK_SIZE = 64 * 1024;
+
+// Progress is reported at most once per this many bytes read
+const PROGRESS_INTERVAL = 1024 * 1024;
+
+const outputName = (operation, basename) =>
+  `${operation}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}_${basename}`;
+
+// Outputs keep the input's relative directory, so "docs/a.txt" is written
+// to "<root>/docs/encrypt_<time>_<id>_a.txt"
+const outputPathFor = (root, operation, originalname) => {
+  const relativePath = normalizeRelativePath(originalname) || 'file';
+  return path.join(root, path.dirname(relativePath), outputName(operation, path.basename(relativePath)));
+};
+
+// Pass-through stage that feeds every chunk into a SHA-256 hash
+const createHashTap = () => {
+  const hash = crypto.createHash('sha256');
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    }
+  });
+  return {
+    stream,
+    update: (data) => hash.update(data),
+    digest: () => hash.digest('hex')
+  };
+};
+
+// Encrypt or decrypt one file from disk into the processed directory,
+// hashing both the input and the output as they stream past.
+// onOutput(path) is called before the output is written, so a caller that
+// kills the process part way knows what to clean up; signal aborts the copy.
+const transformFile = async (file, operation, options, { onProgress, onOutput, signal } = {}) => {
+  let input;
+  let transform;
+  const inputHash = createHashTap();
+
+  if (operation === 'decrypt') {
+    const header = await readFileHeader(file.path);
+    transform = await createDecryptStream(header, options);
+    input = fs.createReadStream(file.path, {
+      start: header ? header.length : 0,
+      highWaterMark: CHUNK_SIZE
+    });
+    // The header is read separately but is still part of the input file
+    if (header) inputHash.update(header.raw);
+  } else {
+    transform = await createEncryptStream(options);
+    input = fs.createReadStream(file.path, { highWaterMark: CHUNK_SIZE });
+  }
+
+  const outputHash = createHashTap();
+  const root = outputRoot(options);
+  const outputPath = outputPathFor(root, operation, file.originalname);
+  await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+  if (onOutput) onOutput(outputPath);
+  const output = fs.createWriteStream(outputPath);
+
+  if (onProgress) {
+    let bytesRead = 0;
+    let reported = 0;
+    input.on('data', (chunk) => {
+      bytesRead += chunk.length;
+      if (bytesRead - reported >= PROGRESS_INTERVAL) {
+        reported = bytesRead;
+        onProgress(bytesRead);
+      }
+    });
+  }
+
+  try {
+    await pipeline(input, inputHash.stream, transform, outputHash.stream, output, { signal });
+  } catch (error) {
+    // Never leave partial or unauthenticated plaintext behind
+    await fs.promises.rm(outputPath, { force: true });
+    throw error;
+  }
+
+  const { size } = await fs.promises.stat(file.path);
+
+  return {
+    originalName: file.originalname,
+    status: 'succeeded',
+    error: null,
+    processedPath: toRelativePath(root, outputPath),
+    size,
+    outputSize: output.bytesWritten,
+    inputSha256: inputHash.digest(),
+    outputSha256: outputHash.digest(),
+    operation
+  };
+};
+
+// Encrypt a file, decrypt the result and compare the hashes of the original
+// and the round-tripped plaintext. Intermediate files are removed afterwards.
+const verifyFile = async (file, options, hooks) => {
+  const encrypted = await transformFile(file, 'encrypt', options, hooks);
+  const root = outputRoot(options);
+  const encryptedPath = path.join(root, encrypted.processedPath);
+
+  try {
+    const decrypted = await transformFile(
+      { originalname: file.originalname, path: encryptedPath }, 'decrypt', options,
+      { onOutput: hooks.onOutput, signal: hooks.signal });
+    await fs.promises.rm(path.join(root, decrypted.processedPath), { force: true });
+
+    const verified = decrypted.outputSha256 === encrypted.inputSha256;
+    return {
+      originalName: file.originalname,
+      status: verified ? 'succeeded' : 'failed',
+      error: verified ? null : {
+        message: 'Decrypted output does not match the original file',
+        code: 'EMISMATCH'
+      },
+      processedPath: null,
+      size: encrypted.size,
+      outputSize: encrypted.outputSize,
+      inputSha256: encrypted.inputSha256,
+      encryptedSha256: encrypted.outputSha256,
+      outputSha256: decrypted.outputSha256,
+      verified,
+      operation: 'verify'
+    };
+  } finally {
+    await fs.promises.rm(encryptedPath, { force: true });
+  }
+};
+
+// Process one file for any operation: 'encrypt', 'decrypt' or 'verify'.
+// Shared by the sequential, worker thread and child process paths.
+const processFile = (file, operation, options, hooks = {}) =>
+  operation === 'verify'
+    ? verifyFile(file, options, hooks)
+    : transformFile(file, operation, options, hooks);
+
+// Result for a file that could not be processed. Files that were never
+// attempted or were stopped part way (a SkippedError) are 'skipped'.
+const failedResult = (file, operation, error) => ({
+  originalName: file.originalname,
+  status: error.code === 'ESKIPPED' ? 'skipped' : 'failed',
+  error: { message: error.message, code: error.code || null },
+  processedPath: null,
+  size: Number(file.size) || 0,
+  outputSize: 0,
+  inputSha256: null,
+  outputSha256: null,
+  operation
+});
+
+// Job-level counts over a list of per-file results
+const summarizeResults = (results) => ({
+  total: results.length,
+  succeeded: results.filter(result => result.status === 'succeeded').length,
+  failed: results.filter(result => result.status === 'failed').length,
+  skipped: results.filter(result => result.status === 'skipped').length,
+  mismatched: results.filter(result => result.error && result.error.code === 'EMISMATCH').length
+});
+
+module.exports = {
+  OPERATIONS,
+  PROCESSED_DIR,
+  workspaceDir,
+  outputRoot,
+  processFile,
+  failedResult,
+  summarizeResults
+};
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { execSync } = require('child_process');
+const config = require('./config');
+const { logger } = require('./logger');
+
+const DATA_DIR = config.dataDir;
+const HISTORY_FILE = path.join(DATA_DIR, 'history.jsonl');
+
+// Summaries of every stored record, newest last; full records stay on disk
+const index = [];
+
+// Git revision of the running code, so runs can be compared across changes
+const codeVersion = (() => {
+  try {
+    return execSync('git rev-parse --short HEAD', { cwd: __dirname, stdio: ['ignore', 'pipe', 'ignore'] })
+      .toString().trim();
+  } catch (error) {
+    return null;
+  }
+})();
+
+const toHistorySummary = (record) => ({
+  id: record.id,
+  kind: record.kind,
+  owner: record.owner,
+  status: record.status,
+  method: record.method,
+  methods: record.methods,
+  operation: record.operation,
+  algorithm: record.algorithm,
+  datasetId: record.datasetId,
+  fileCount: record.fileCount,
+  totalBytes: record.totalBytes,
+  cpuCount: record.cpuCount,
+  codeVersion: record.codeVersion,
+  timings: record.timings,
+  summary: record.summary,
+  createdAt: record.createdAt,
+  finishedAt: record.finishedAt
+});
+
+// Timing fields for each kind of job: a single run, or per-method statistics
+const jobTimings = (job) => {
+  if (!job.result) return null;
+  if (job.kind === 'benchmark') {
+    return job.result.methods.map(({ method, label, mean, median, p95, stddev, min, max, throughputMBps }) => ({
+      method, label, mean, median, p95, stddev, min, max, throughputMBps
+    }));
+  }
+  const { processingTime } = job.result;
+  return {
+    processingTime,
+    throughputMBps: processingTime > 0 ? (job.totalBytes / 1e6) / (processingTime / 1000) : 0
+  };
+};
+
+const jobToRecord = (job, { datasetId = null } = {}) => ({
+  id: job.id,
+  kind: job.kind,
+  owner: job.owner,
+  status: job.status,
+  method: job.kind === 'benchmark' ? null : job.method,
+  methods: job.kind === 'benchmark' ? job.result && job.result.methods.map(m => m.method) : [job.method],
+  label: job.result && job.result.method,
+  plan: job.plan || null,
+  operation: job.operation,
+  algorithm: job.algorithm,
+  datasetId,
+  fileCount: job.totalFiles,
+  totalBytes: job.totalBytes,
+  cpuCount: os.cpus().length,
+  codeVersion,
+  timings: jobTimings(job),
+  summary: job.kind === 'benchmark' ? null : job.summary,
+  error: job.error,
+  results: job.kind === 'benchmark' ? null : job.result && job.result.results,
+  benchmark: job.kind === 'benchmark' ? job.result : null,
+  createdAt: job.createdAt,
+  finishedAt: job.finishedAt
+});
+
+// Append a finished job to the history file
+const recordJob = async (job, extra) => {
+  const record = jobToRecord(job, extra);
+  await fs.promises.mkdir(DATA_DIR, { recursive: true });
+  await fs.promises.appendFile(HISTORY_FILE, JSON.stringify(record) + '\n');
+  index.push(toHistorySummary(record));
+  return record;
+};
+
+// Stream the history file line by line, skipping anything unreadable
+const readRecords = async (onRecord) => {
+  let input;
+  try {
+    input = fs.createReadStream(HISTORY_FILE, 'utf8');
+    await new Promise((resolve, reject) => {
+      input.once('open', resolve);
+      input.once('error', reject);
+    });
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      if (onRecord(JSON.parse(line)) === false) break;
+    } catch (error) {
+      logger.warn('Skipping malformed history line', { error: error.message });
+    }
+  }
+  lines.close();
+  input.destroy();
+};
+
+const loadHistory = async () => {
+  index.length = 0;
+  await readRecords((record) => {
+    index.push(toHistorySummary(record));
+  });
+};
+
+// A user's runs, newest first, optionally filtered by kind
+const listHistory = ({ owner, kind, limit = 100 }) =>
+  index
+    .filter(summary => summary.owner === owner && (!kind || summary.kind === kind))
+    .slice(-limit)
+    .reverse();
+
+// Newest runs of every user that match predicate, for estimates that depend on
+// the machine rather than on who ran the job
+const findRuns = (predicate, limit = 50) => {
+  const runs = [];
+  for (let i = index.length - 1; i >= 0 && runs.length < limit; i--) {
+    if (predicate(index[i])) runs.push(index[i]);
+  }
+  return runs;
+};
+
+// A stored run, if it exists and belongs to owner
+const getHistoryRecord = async (id, owner) => {
+  let found = null;
+  await readRecords((record) => {
+    if (record.id !== id) return true;
+    found = record;
+    return false;
+  });
+  return found && found.owner === owner ? found : null;
+};
+
+module.exports = {
+  recordJob,
+  loadHistory,
+  listHistory,
+  findRuns,
+  getHistoryRecord
+};
@@ -0,0 +1,257 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const config = require('./config');
+const { logger } = require('./logger');
+const { counter, gauge, histogram } = require('./metrics');
+
+// Finished jobs kept in memory for status queries; older ones are dropped first
+const MAX_FINISHED_JOBS = 200;
+
+const jobs = new Map();
+
+// Terminal statuses and the event each one ends the job's event stream with
+const FINISH_EVENTS = {
+  completed: 'complete',
+  failed: 'failed',
+  cancelled: 'cancelled',
+  timed_out: 'cancelled'
+};
+
+const isFinished = (job) => Object.hasOwn(FINISH_EVENTS, job.status);
+
+const finishEvent = (job) => FINISH_EVENTS[job.status];
+
+// Jobs are labelled by kind and method; benchmark methods are comma-separated
+const jobsFinished = counter('encryptor_jobs_total', 'Finished jobs by kind, method and final status');
+const jobDuration = histogram('encryptor_job_duration_seconds', 'Job run time by kind and method',
+  [0.1, 0.5, 1, 5, 10, 30, 60, 300, 900, 3600]);
+gauge('encryptor_jobs_active', 'Queued and running jobs by kind and status', () => {
+  const counts = new Map();
+  for (const job of jobs.values()) {
+    if (isFinished(job)) continue;
+    const key = JSON.stringify([job.kind, job.status]);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return Array.from(counts, ([key, value]) => {
+    const [kind, status] = JSON.parse(key);
+    return { labels: { kind, status }, value };
+  });
+});
+
+const pruneFinishedJobs = () => {
+  const finished = Array.from(jobs.values()).filter(isFinished);
+  for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+    jobs.delete(job.id);
+  }
+};
+
+const fileSize = async (file) => {
+  try {
+    return (await fs.stat(file.path)).size;
+  } catch (error) {
+    return Number(file.size) || 0;
+  }
+};
+
+// Public view of a job, safe to send to clients
+const toJobSummary = (job) => {
+  const elapsedMs = (job.finishedAt || Date.now()) - (job.startedAt || job.createdAt);
+  return {
+    id: job.id,
+    kind: job.kind,
+    status: job.status,
+    method: job.method,
+    plan: job.plan,
+    operation: job.operation,
+    algorithm: job.algorithm,
+    totalFiles: job.totalFiles,
+    filesCompleted: job.filesCompleted,
+    totalIterations: job.totalIterations,
+    iterationsCompleted: job.iterationsCompleted,
+    summary: job.summary,
+    totalBytes: job.totalBytes,
+    bytesProcessed: job.bytesProcessed,
+    throughput: elapsedMs > 0 ? Math.round(job.bytesProcessed / (elapsedMs / 1000)) : 0,
+    elapsedMs,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    // Outputs of process jobs are swept once their retention period ends
+    expiresAt: job.kind === 'process' && job.finishedAt
+      ? job.finishedAt + config.outputTtlSeconds * 1000
+      : null,
+    result: job.result,
+    error: job.error
+  };
+};
+
+// kind is 'process' for a single run or 'benchmark' for repeated timed runs.
+// owner is the id of the user who started the job and requestId the request
+// that started it, for logs. plan is how method was chosen when the request
+// asked for 'auto'. A job still running after timeoutMs is stopped and
+// reported as timed out.
+const createJob = ({
+  kind = 'process',
+  owner,
+  requestId = null,
+  method,
+  plan = null,
+  operation,
+  algorithm,
+  files,
+  totalIterations = 0,
+  timeoutMs = config.jobTimeoutSeconds * 1000
+}) => {
+  const job = {
+    id: crypto.randomUUID(),
+    kind,
+    owner,
+    requestId,
+    status: 'queued',
+    method,
+    plan,
+    operation,
+    algorithm,
+    files,
+    totalFiles: files.length,
+    filesCompleted: 0,
+    totalIterations,
+    iterationsCompleted: 0,
+    summary: { succeeded: 0, failed: 0, skipped: 0, mismatched: 0 },
+    totalBytes: 0,
+    bytesProcessed: 0,
+    fileBytes: new Map(),
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null,
+    timeoutMs,
+    abortController: new AbortController(),
+    events: new EventEmitter()
+  };
+  job.log = logger.child({ requestId, jobId: job.id });
+  jobs.set(job.id, job);
+  return job;
+};
+
+// A job, if it exists and belongs to owner
+const getJob = (id, owner) => {
+  const job = jobs.get(id);
+  return job && job.owner === owner ? job : undefined;
+};
+
+// Stop a job's work; the reason's code decides the status it finishes with.
+// Returns false if the job had already finished or been stopped.
+const abortJob = (job, code, message) => {
+  if (isFinished(job) || job.abortController.signal.aborted) return false;
+  const reason = new Error(message);
+  reason.code = code;
+  job.abortController.abort(reason);
+  return true;
+};
+
+const cancelJob = (job) => abortJob(job, 'ECANCELLED', 'Job was cancelled');
+
+// Forget a finished job; its outputs are the caller's to remove
+const deleteJob = (id) => jobs.delete(id);
+
+// Input files of jobs that haven't finished, which must not be swept yet
+const activeInputPaths = () => {
+  const paths = new Set();
+  for (const job of jobs.values()) {
+    if (isFinished(job)) continue;
+    for (const file of job.files) {
+      if (file.path) paths.add(file.path);
+    }
+  }
+  return paths;
+};
+
+const updateBytes = (job, file, bytes) => {
+  job.fileBytes.set(file, bytes);
+  job.bytesProcessed = 0;
+  for (const value of job.fileBytes.values()) job.bytesProcessed += value;
+};
+
+// Run work(hooks) for a job, translating its progress callbacks into job
+// state and events. hooks.signal is aborted when the job is cancelled or
+// times out; work should then stop early and may still return partial results.
+// Events: 'progress', 'file', 'iteration', then 'complete', 'failed' or 'cancelled'.
+const runJob = async (job, work) => {
+  job.totalBytes = (await Promise.all(job.files.map(fileSize))).reduce((sum, size) => sum + size, 0);
+  job.status = 'running';
+  job.startedAt = Date.now();
+  job.log.info('Job started', {
+    kind: job.kind,
+    method: job.method,
+    operation: job.operation,
+    files: job.totalFiles,
+    totalBytes: job.totalBytes
+  });
+
+  const { signal } = job.abortController;
+  const timer = setTimeout(() => {
+    abortJob(job, 'ETIMEDOUT', `Job timed out after ${job.timeoutMs / 1000}s`);
+  }, job.timeoutMs);
+
+  // logContext is passed on to workers so their logs carry the same ids
+  const hooks = {
+    signal,
+    logContext: job.log.context,
+    onProgress: (file, bytes) => {
+      updateBytes(job, file, bytes);
+      job.events.emit('progress', toJobSummary(job));
+    },
+    onResult: (file, result) => {
+      updateBytes(job, file, result.size);
+      job.filesCompleted++;
+      job.summary[result.status]++;
+      if (result.error && result.error.code === 'EMISMATCH') job.summary.mismatched++;
+      job.events.emit('file', { file: result, job: toJobSummary(job) });
+    },
+    onIteration: (iteration) => {
+      job.iterationsCompleted++;
+      job.events.emit('iteration', { iteration, job: toJobSummary(job) });
+    }
+  };
+
+  try {
+    job.result = await work(hooks);
+    job.status = 'completed';
+  } catch (error) {
+    if (!signal.aborted) {
+      job.log.error('Job failed', { error });
+      job.status = 'failed';
+      job.error = { message: error.message, code: error.code };
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (signal.aborted) {
+    job.status = signal.reason.code === 'ETIMEDOUT' ? 'timed_out' : 'cancelled';
+    job.error = { message: signal.reason.message, code: signal.reason.code };
+  }
+
+  job.finishedAt = Date.now();
+  const durationMs = job.finishedAt - job.startedAt;
+  jobsFinished.inc({ kind: job.kind, method: job.method, status: job.status });
+  jobDuration.observe({ kind: job.kind, method: job.method }, durationMs / 1000);
+  job.log.info('Job finished', { status: job.status, durationMs, summary: job.summary });
+  job.events.emit(finishEvent(job), toJobSummary(job));
+  pruneFinishedJobs();
+};
+
+module.exports = {
+  createJob,
+  getJob,
+  deleteJob,
+  activeInputPaths,
+  cancelJob,
+  runJob,
+  isFinished,
+  finishEvent,
+  toJobSummary
+};
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { HeaderError } = require('./errors');
+
+const scrypt = promisify(crypto.scrypt);
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+
+// Default cost parameters for each supported key derivation function
+const kdfDefaults = {
+  scrypt: { N: 16384, r: 8, p: 1 },
+  pbkdf2: { iterations: 600000, digest: 'sha256' }
+};
+
+// Largest costs accepted from a file header: well above the defaults, but
+// low enough that a crafted header can't make decryption run for hours or
+// allocate gigabytes. scrypt needs about 128 * N * r bytes.
+const kdfLimits = {
+  scrypt: { maxN: 2 ** 20, maxR: 32, maxP: 16, maxMemory: 256 * 1024 * 1024, maxWork: 2 ** 22 },
+  pbkdf2: { maxIterations: 5000000, digests: ['sha256', 'sha512'] }
+};
+const MAX_SALT_LENGTH = 64;
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+const isIntegerIn = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+// Check KDF parameters read from a file header before any key is derived,
+// throwing HeaderError for unknown functions and out-of-range costs
+const validateKdfParams = (params) => {
+  if (!params || typeof params !== 'object' || !kdfDefaults[params.name]) {
+    throw new HeaderError('File header names an unknown key derivation function');
+  }
+  const { salt } = params;
+  const saltLength = typeof salt === 'string' && BASE64_PATTERN.test(salt)
+    ? Buffer.from(salt, 'base64').length
+    : 0;
+  if (saltLength < SALT_LENGTH || saltLength > MAX_SALT_LENGTH) {
+    throw new HeaderError(`File header salt must be ${SALT_LENGTH} to ${MAX_SALT_LENGTH} bytes`);
+  }
+
+  if (params.name === 'scrypt') {
+    const { maxN, maxR, maxP, maxMemory, maxWork } = kdfLimits.scrypt;
+    const { N, r, p } = params;
+    // N must be a power of two
+    if (!isIntegerIn(N, 2, maxN) || (N & (N - 1)) !== 0 || !isIntegerIn(r, 1, maxR) || !isIntegerIn(p, 1, maxP) ||
+      128 * N * r > maxMemory || N * r * p > maxWork) {
+      throw new HeaderError('File header has scrypt parameters outside the supported range');
+    }
+  } else {
+    const { maxIterations, digests } = kdfLimits.pbkdf2;
+    if (!isIntegerIn(params.iterations, 1, maxIterations) || !digests.includes(params.digest)) {
+      throw new HeaderError('File header has PBKDF2 parameters outside the supported range');
+    }
+  }
+};
+
+const listKdfs = () => Object.keys(kdfDefaults);
+
+// Build fresh KDF parameters with a random per-file salt
+const createKdfParams = (name = 'scrypt') => {
+  if (!kdfDefaults[name]) {
+    throw new Error(`Unknown key derivation function: ${name}`);
+  }
+  return {
+    name,
+    salt: crypto.randomBytes(SALT_LENGTH).toString('base64'),
+    ...kdfDefaults[name]
+  };
+};
+
+// Turn a passphrase into a 256-bit key using the parameters stored in a file header
+const deriveKey = async (passphrase, params) => {
+  const salt = Buffer.from(params.salt, 'base64');
+
+  switch (params.name) {
+    case 'scrypt': {
+      const { N, r, p } = params;
+      return scrypt(passphrase, salt, KEY_LENGTH, { N, r, p, maxmem: 256 * N * r });
+    }
+    case 'pbkdf2':
+      return pbkdf2(passphrase, salt, params.iterations, KEY_LENGTH, params.digest);
+    default:
+      throw new Error(`Unknown key derivation function: ${params.name}`);
+  }
+};
+
+module.exports = {
+  listKdfs,
+  createKdfParams,
+  validateKdfParams,
+  deriveKey
+};
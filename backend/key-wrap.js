@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const { AuthenticationError, HeaderError } = require('./errors');
+
+// Public-key (hybrid) encryption: every file gets a random data key, which is
+// wrapped separately for each recipient's public key and listed in the file
+// header. RSA keys wrap it with RSA-OAEP (SHA-256). X25519 keys agree a secret
+// with a one-off ephemeral key pair, turn it into a key-encryption key with
+// HKDF-SHA256 and wrap the data key with AES-256-GCM.
+//
+// Keys travel as PEM strings so they can be sent to pool workers.
+
+const KEY_TYPES = ['rsa', 'x25519'];
+const DATA_KEY_LENGTH = 32;
+const WRAP_NONCE_LENGTH = 12;
+const WRAP_TAG_LENGTH = 16;
+const HKDF_INFO = Buffer.from('PFEC x25519 key wrap');
+
+// DER-encoded public key from a public or private KeyObject or PEM string
+const publicKeyDer = (key) => {
+  const publicKey = key instanceof crypto.KeyObject && key.type === 'public' ? key : crypto.createPublicKey(key);
+  return publicKey.export({ type: 'spki', format: 'der' });
+};
+
+// SHA-256 of the DER-encoded public key; identifies a recipient in file headers
+const keyFingerprint = (key) => crypto.createHash('sha256').update(publicKeyDer(key)).digest('hex');
+
+// Key-encryption key for X25519, bound to both public keys
+const x25519WrapKey = (sharedSecret, ephemeralDer, recipientDer) =>
+  Buffer.from(crypto.hkdfSync('sha256', sharedSecret, Buffer.concat([ephemeralDer, recipientDer]), HKDF_INFO, 32));
+
+const wrapForRecipient = (dataKey, publicKeyPem) => {
+  const key = crypto.createPublicKey(publicKeyPem);
+  const fingerprint = keyFingerprint(key);
+
+  if (key.asymmetricKeyType === 'rsa') {
+    const wrapped = crypto.publicEncrypt(
+      { key, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' },
+      dataKey
+    );
+    return { type: 'rsa', fingerprint, wrappedKey: wrapped.toString('base64') };
+  }
+
+  if (key.asymmetricKeyType === 'x25519') {
+    const ephemeral = crypto.generateKeyPairSync('x25519');
+    const ephemeralDer = publicKeyDer(ephemeral.publicKey);
+    const sharedSecret = crypto.diffieHellman({ privateKey: ephemeral.privateKey, publicKey: key });
+    const nonce = crypto.randomBytes(WRAP_NONCE_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', x25519WrapKey(sharedSecret, ephemeralDer, publicKeyDer(key)), nonce, {
+      authTagLength: WRAP_TAG_LENGTH
+    });
+    const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final(), cipher.getAuthTag()]);
+    return {
+      type: 'x25519',
+      fingerprint,
+      ephemeralPublicKey: ephemeralDer.toString('base64'),
+      nonce: nonce.toString('base64'),
+      wrappedKey: wrapped.toString('base64')
+    };
+  }
+
+  throw new Error(`Unsupported key type: ${key.asymmetricKeyType}`);
+};
+
+const unwrapForRecipient = (recipient, privateKey) => {
+  const wrapped = Buffer.from(recipient.wrappedKey, 'base64');
+
+  if (recipient.type === 'rsa') {
+    return crypto.privateDecrypt(
+      { key: privateKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' },
+      wrapped
+    );
+  }
+
+  if (recipient.type === 'x25519') {
+    const ephemeralDer = Buffer.from(recipient.ephemeralPublicKey, 'base64');
+    const ephemeral = crypto.createPublicKey({ key: ephemeralDer, format: 'der', type: 'spki' });
+    const sharedSecret = crypto.diffieHellman({ privateKey, publicKey: ephemeral });
+    const decipher = crypto.createDecipheriv(
+      'aes-256-gcm',
+      x25519WrapKey(sharedSecret, ephemeralDer, publicKeyDer(privateKey)),
+      Buffer.from(recipient.nonce, 'base64'),
+      { authTagLength: WRAP_TAG_LENGTH }
+    );
+    decipher.setAuthTag(wrapped.subarray(wrapped.length - WRAP_TAG_LENGTH));
+    return Buffer.concat([decipher.update(wrapped.subarray(0, wrapped.length - WRAP_TAG_LENGTH)), decipher.final()]);
+  }
+
+  throw new Error(`Unsupported key type: ${recipient.type}`);
+};
+
+// A fresh data key and its header entries, one per recipient public key
+const createWrappedDataKey = (publicKeys) => {
+  const dataKey = crypto.randomBytes(DATA_KEY_LENGTH);
+  return {
+    dataKey,
+    recipients: publicKeys.map(publicKey => wrapForRecipient(dataKey, publicKey))
+  };
+};
+
+const isString = (value) => typeof value === 'string';
+
+// Whether a header recipient entry has the fields its key type needs
+const isRecipientEntry = (entry) =>
+  entry !== null && typeof entry === 'object' && !Array.isArray(entry) &&
+  KEY_TYPES.includes(entry.type) && isString(entry.fingerprint) && isString(entry.wrappedKey) &&
+  (entry.type !== 'x25519' || (isString(entry.ephemeralPublicKey) && isString(entry.nonce)));
+
+// Recover the data key from a header's recipient entries with whichever of
+// privateKeys the file was encrypted for
+const unwrapDataKey = (recipients, privateKeys = []) => {
+  if (!Array.isArray(recipients) || !recipients.every(isRecipientEntry)) {
+    throw new HeaderError('File header has an invalid recipient list');
+  }
+  if (privateKeys.length === 0) {
+    throw new AuthenticationError('File is encrypted for public keys; decrypt it with a private key');
+  }
+  for (const privateKeyPem of privateKeys) {
+    const privateKey = crypto.createPrivateKey(privateKeyPem);
+    const fingerprint = keyFingerprint(privateKey);
+    const recipient = recipients.find(entry => entry.fingerprint === fingerprint);
+    if (!recipient) continue;
+
+    try {
+      const dataKey = unwrapForRecipient(recipient, privateKey);
+      if (dataKey.length === DATA_KEY_LENGTH) return dataKey;
+    } catch (error) {
+      // Reported below; a wrapped key that fails to open means tampering
+    }
+    throw new AuthenticationError('Could not unwrap the data key: the file header was modified');
+  }
+  throw new AuthenticationError('File is not encrypted for any of the chosen private keys');
+};
+
+module.exports = {
+  KEY_TYPES,
+  keyFingerprint,
+  createWrappedDataKey,
+  unwrapDataKey
+};
@@ -0,0 +1,154 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const config = require('./config');
+const { HttpError } = require('./errors');
+const { KEY_TYPES, keyFingerprint } = require('./key-wrap');
+
+// Key pairs for public-key mode, kept per user in data/keys.json. A key may
+// be a full pair, generated here or imported from a private key, or just the
+// public key of someone else to encrypt for. Private keys are stored with the
+// same file permissions as the user database and never leave the server.
+const DATA_DIR = config.dataDir;
+const KEYS_FILE = path.join(DATA_DIR, 'keys.json');
+
+const KEY_ID_PATTERN = /^key_[0-9a-f]{24}$/;
+const RSA_MODULUS_LENGTHS = [2048, 3072, 4096];
+const MIN_RSA_MODULUS_LENGTH = 2048;
+const MAX_NAME_LENGTH = 100;
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+const keys = new Map();
+
+const saveKeys = async () => {
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  await fs.writeFile(KEYS_FILE, JSON.stringify(Array.from(keys.values()), null, 2), { mode: 0o600 });
+};
+
+const loadKeys = async () => {
+  keys.clear();
+  try {
+    for (const key of JSON.parse(await fs.readFile(KEYS_FILE, 'utf8'))) {
+      keys.set(key.id, key);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+// Public view of a key; the private half is never included
+const toKeySummary = ({ id, name, type, modulusLength, fingerprint, privateKey, createdAt }) => ({
+  id,
+  name,
+  type,
+  modulusLength,
+  fingerprint,
+  hasPrivateKey: Boolean(privateKey),
+  createdAt
+});
+
+const validateName = (name) => {
+  if (typeof name !== 'string' || name.trim().length === 0 || name.length > MAX_NAME_LENGTH) {
+    throw new HttpError(400, `name must be 1 to ${MAX_NAME_LENGTH} characters`);
+  }
+  return name.trim();
+};
+
+const addKey = async ({ name, owner, publicKey, privateKey }) => {
+  const keyObject = crypto.createPublicKey(publicKey);
+  const key = {
+    id: `key_${crypto.randomBytes(12).toString('hex')}`,
+    owner,
+    name,
+    type: keyObject.asymmetricKeyType,
+    modulusLength: keyObject.asymmetricKeyDetails.modulusLength || null,
+    fingerprint: keyFingerprint(keyObject),
+    publicKey,
+    privateKey,
+    createdAt: Date.now()
+  };
+  if (Array.from(keys.values()).some(existing => existing.owner === owner && existing.fingerprint === key.fingerprint)) {
+    throw new HttpError(409, 'You already have this key');
+  }
+  keys.set(key.id, key);
+  await saveKeys();
+  return key;
+};
+
+// Generate an RSA (with modulusLength bits) or X25519 key pair for owner
+const generateKey = async ({ name, type = 'x25519', modulusLength = 3072 }, owner) => {
+  const keyName = validateName(name);
+  if (!KEY_TYPES.includes(type)) {
+    throw new HttpError(400, `type must be one of: ${KEY_TYPES.join(', ')}`);
+  }
+  if (type === 'rsa' && !RSA_MODULUS_LENGTHS.includes(modulusLength)) {
+    throw new HttpError(400, `modulusLength must be one of: ${RSA_MODULUS_LENGTHS.join(', ')}`);
+  }
+
+  const { publicKey, privateKey } = await generateKeyPair(type, {
+    ...(type === 'rsa' ? { modulusLength } : {}),
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+  return addKey({ name: keyName, owner, publicKey, privateKey });
+};
+
+// Import a PEM public key, or a private key (whose public half is derived).
+// Passphrase-protected PEM files must be decrypted first.
+const importKey = async ({ name, pem }, owner) => {
+  const keyName = validateName(name);
+  if (typeof pem !== 'string' || !pem.includes('-----BEGIN')) {
+    throw new HttpError(400, 'pem must be a PEM-encoded public or private key');
+  }
+
+  let publicKey;
+  let privateKey = null;
+  try {
+    if (/PRIVATE KEY-----/.test(pem)) {
+      const keyObject = crypto.createPrivateKey(pem);
+      privateKey = keyObject.export({ type: 'pkcs8', format: 'pem' });
+      publicKey = crypto.createPublicKey(keyObject).export({ type: 'spki', format: 'pem' });
+    } else {
+      publicKey = crypto.createPublicKey(pem).export({ type: 'spki', format: 'pem' });
+    }
+  } catch (error) {
+    throw new HttpError(400, `Could not read key: ${error.message}`);
+  }
+
+  const keyObject = crypto.createPublicKey(publicKey);
+  if (!KEY_TYPES.includes(keyObject.asymmetricKeyType)) {
+    throw new HttpError(400, `Key type ${keyObject.asymmetricKeyType} is not supported; use ${KEY_TYPES.join(' or ')}`);
+  }
+  if (keyObject.asymmetricKeyType === 'rsa' && keyObject.asymmetricKeyDetails.modulusLength < MIN_RSA_MODULUS_LENGTH) {
+    throw new HttpError(400, `RSA keys must be at least ${MIN_RSA_MODULUS_LENGTH} bits`);
+  }
+  return addKey({ name: keyName, owner, publicKey, privateKey });
+};
+
+const listKeys = (owner) =>
+  Array.from(keys.values())
+    .filter(key => key.owner === owner)
+    .sort((a, b) => a.createdAt - b.createdAt);
+
+// A key, if it exists and belongs to owner
+const getKey = (id, owner) => {
+  const key = typeof id === 'string' && KEY_ID_PATTERN.test(id) ? keys.get(id) : undefined;
+  return key && key.owner === owner ? key : undefined;
+};
+
+const removeKey = async (id) => {
+  keys.delete(id);
+  await saveKeys();
+};
+
+module.exports = {
+  loadKeys,
+  generateKey,
+  importKey,
+  listKeys,
+  getKey,
+  removeKey,
+  toKeySummary
+};
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const { isMainThread, threadId } = require('worker_threads');
+const config = require('./config');
+
+// Structured logging: one JSON object per line, with the time, level, message
+// and any context fields such as requestId and jobId. Warnings and errors go
+// to stderr, everything else to stdout. LOG_LEVEL=silent turns it off.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const minLevel = config.logLevel === 'silent' ? Infinity : LEVELS[config.logLevel] || LEVELS.info;
+
+const serializeValue = (value) => {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, code: value.code, stack: value.stack };
+  }
+  return value;
+};
+
+const write = (level, context, message, fields) => {
+  if (LEVELS[level] < minLevel) return;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    pid: process.pid,
+    ...(isMainThread ? {} : { threadId }),
+    ...context
+  };
+  for (const [key, value] of Object.entries(fields || {})) {
+    entry[key] = serializeValue(value);
+  }
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+};
+
+// A logger that adds context to every entry; child() adds more
+const createLogger = (context = {}) => ({
+  debug: (message, fields) => write('debug', context, message, fields),
+  info: (message, fields) => write('info', context, message, fields),
+  warn: (message, fields) => write('warn', context, message, fields),
+  error: (message, fields) => write('error', context, message, fields),
+  child: (fields) => createLogger({ ...context, ...fields }),
+  context
+});
+
+const logger = createLogger();
+
+// Give every request an id, taken from X-Request-Id when the caller sent a
+// sane one, expose it as req.id and req.log, and log each request as it ends
+const requestLogger = (req, res, next) => {
+  const header = req.get('X-Request-Id');
+  req.id = header && /^[\w.:-]{1,128}$/.test(header) ? header : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set('X-Request-Id', req.id);
+
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    req.log.info('Request completed', {
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+      user: req.user ? req.user.id : null
+    });
+  });
+  next();
+};
+
+module.exports = {
+  logger,
+  requestLogger
+};
@@ -0,0 +1,129 @@
+// In-process metrics exposed by GET /metrics in the Prometheus text format.
+// Each module registers the metrics it owns; gauges are read when scraped.
+
+const registry = [];
+
+const escapeLabel = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const register = (metric) => {
+  if (registry.some(existing => existing.name === metric.name)) {
+    throw new Error(`Metric already registered: ${metric.name}`);
+  }
+  registry.push(metric);
+  return metric;
+};
+
+// Monotonic count per label set
+const counter = (name, help) => {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: 'counter',
+    inc: (labels = {}, value = 1) => {
+      const key = formatLabels(labels);
+      series.set(key, (series.get(key) || 0) + value);
+    },
+    lines: () => Array.from(series, ([labels, value]) => `${name}${labels} ${value}`)
+  });
+};
+
+// Values read on every scrape; collect() returns [{ labels, value }]
+const collected = (type) => (name, help, collect) =>
+  register({
+    name,
+    help,
+    type,
+    lines: () => collect().map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`)
+  });
+
+const gauge = collected('gauge');
+
+// A total that only grows but is kept elsewhere, such as the process CPU time
+const collectedCounter = collected('counter');
+
+// Default buckets for durations in seconds
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+// Distribution of observed values per label set, with cumulative buckets
+const histogram = (name, help, buckets = DURATION_BUCKETS) => {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: 'histogram',
+    observe: (labels, value) => {
+      const key = formatLabels(labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    lines: () => Array.from(series.values()).flatMap(({ labels, counts, sum, count }) => [
+      ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+      `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${name}_sum${formatLabels(labels)} ${sum}`,
+      `${name}_count${formatLabels(labels)} ${count}`
+    ])
+  });
+};
+
+// Every registered metric in the text exposition format
+const renderMetrics = () =>
+  registry
+    .map(metric => [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.lines()].join('\n'))
+    .join('\n') + '\n';
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Process-level metrics
+const startTime = Date.now() / 1000;
+
+collectedCounter('process_cpu_seconds_total', 'User and system CPU time of the server process, including worker threads', () => {
+  const { user, system } = process.cpuUsage();
+  return [{ value: (user + system) / 1e6 }];
+});
+gauge('process_resident_memory_bytes', 'Resident memory of the server process', () =>
+  [{ value: process.memoryUsage().rss }]);
+gauge('process_start_time_seconds', 'Start time of the server process since the Unix epoch', () =>
+  [{ value: startTime }]);
+
+// Request count and latency per route. The route is the Express pattern, such
+// as /jobs/:id, so ids don't create new series; requests refused before
+// routing (bad tokens, unknown paths) are counted as "none".
+const httpRequests = counter('http_requests_total', 'HTTP requests by method, route and status');
+const httpDuration = histogram('http_request_duration_seconds', 'HTTP request latency by method and route');
+
+const httpMetrics = (req, res, next) => {
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'none';
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+  });
+  next();
+};
+
+module.exports = {
+  counter,
+  collectedCounter,
+  gauge,
+  histogram,
+  renderMetrics,
+  httpMetrics,
+  CONTENT_TYPE
+};
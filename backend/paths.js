@@ -0,0 +1,49 @@
+const path = require('path');
+
+const MAX_NAME_LENGTH = 255;
+
+// Characters that are reserved or invisible in file names on common filesystems
+const UNSAFE_CHARACTERS = /[<>:"|?*\u0000-\u001f\u007f]/g;
+
+// Replace unsafe characters and drop the trailing dots and spaces that
+// Windows strips silently
+const sanitizeName = (name) =>
+  name
+    .replace(UNSAFE_CHARACTERS, '_')
+    .replace(/[. ]+$/, '')
+    .trim()
+    .slice(0, MAX_NAME_LENGTH);
+
+// Clean a client-supplied relative path such as "photos/2023/a.jpg" into
+// sanitized, forward-slash form. Returns null for anything that could escape
+// the directory it is joined onto, or that has no file name at all.
+const normalizeRelativePath = (name) => {
+  const parts = String(name)
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter(part => part !== '' && part !== '.');
+  if (parts.some(part => part === '..')) return null;
+
+  const sanitized = parts.map(sanitizeName).filter(Boolean);
+  return sanitized.length > 0 ? sanitized.join('/') : null;
+};
+
+// Absolute path of relativePath inside root, or null if it would land outside
+const resolveWithin = (root, relativePath) => {
+  const resolved = path.resolve(root, String(relativePath));
+  const relative = path.relative(root, resolved);
+  if (!relative || path.isAbsolute(relative) || relative.split(path.sep)[0] === '..') {
+    return null;
+  }
+  return resolved;
+};
+
+// Path of a file relative to a managed directory, always with forward slashes
+const toRelativePath = (root, filePath) =>
+  path.relative(root, filePath).split(path.sep).join('/');
+
+module.exports = {
+  normalizeRelativePath,
+  resolveWithin,
+  toRelativePath
+};
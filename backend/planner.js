@@ -0,0 +1,202 @@
+const os = require('os');
+const { getCipher } = require('./ciphers');
+const { getPoolStats } = require('./processing');
+const { findRuns } = require('./history');
+
+// Chooses the processing method and concurrency for method: 'auto'. Each
+// method's run time is estimated from a cost model of the batch: a fixed cost
+// per file, a cost per megabyte for the cipher, key derivation or key
+// wrapping per file, and for the pools the cost of handing each file to a
+// worker. Pools spread the work over at most one worker per CPU, but can't
+// finish before their largest file does.
+//
+// The default costs were measured on a single core. Past runs of the same
+// operation and algorithm on this machine scale each method's estimate by how
+// far off the defaults were for them.
+
+// Candidates in order of preference when estimates tie
+const METHODS = ['sequential', 'multithreading', 'multiprocessing'];
+
+const METHOD_LABELS = {
+  sequential: 'sequential',
+  multithreading: 'worker threads',
+  multiprocessing: 'child processes'
+};
+
+const POOLS = { multithreading: 'threads', multiprocessing: 'processes' };
+
+// Default costs in milliseconds
+const COSTS = {
+  perFileMs: 1.5,
+  perMegabyteMs: { letterShift: 30, authenticated: 15 },
+  kdfMs: { scrypt: 75, pbkdf2: 250 },
+  keyWrapMs: 1,
+  dispatchMs: { multithreading: 2.5, multiprocessing: 3 },
+  runStartMs: { multithreading: 5, multiprocessing: 10 }
+};
+
+// Past runs used to scale the estimates, and the most they may scale them by
+const CALIBRATION_RUNS = 20;
+const MIN_CALIBRATION = 0.1;
+const MAX_CALIBRATION = 10;
+
+// Per-file and per-megabyte costs of a request. Decryption reads the
+// algorithm and key derivation from each file, so the request's are a guess.
+const workloadCosts = (operation, options) => {
+  const cipher = getCipher(options.algorithm);
+  let keyMs = 0;
+  let keyWork = null;
+  if (cipher.authenticated) {
+    const keyCount = (options.recipients || []).length + (operation === 'encrypt' ? 0 : (options.privateKeys || []).length);
+    if (keyCount > 0) {
+      keyMs = COSTS.keyWrapMs * keyCount;
+      keyWork = `${keyCount} key wrap${keyCount === 1 ? '' : 's'}`;
+    } else {
+      keyMs = COSTS.kdfMs[options.kdf] || 0;
+      keyWork = `${options.kdf} key derivation`;
+    }
+  }
+  return {
+    perFileMs: COSTS.perFileMs,
+    keyMs,
+    keyWork,
+    perMegabyteMs: cipher.authenticated ? COSTS.perMegabyteMs.authenticated : COSTS.perMegabyteMs.letterShift,
+    // Verifying encrypts and then decrypts every file
+    passes: operation === 'verify' ? 2 : 1
+  };
+};
+
+const fileWorkMs = (size, costs) =>
+  (costs.perFileMs + costs.keyMs + costs.perMegabyteMs * (size / 1e6)) * costs.passes;
+
+// Uncalibrated run time of method over files of the given sizes
+const estimateMs = (method, sizes, concurrency, costs) => {
+  let totalMs = 0;
+  let largestMs = 0;
+  for (const size of sizes) {
+    const workMs = fileWorkMs(size, costs);
+    totalMs += workMs;
+    largestMs = Math.max(largestMs, workMs);
+  }
+  if (method === 'sequential') return totalMs;
+
+  const dispatchMs = COSTS.dispatchMs[method];
+  return COSTS.runStartMs[method] +
+    Math.max((totalMs + dispatchMs * sizes.length) / concurrency, largestMs + dispatchMs);
+};
+
+// Workers worth using: no more than the pool has, the machine has CPUs, or
+// the batch has files
+const concurrencyFor = (method, fileCount, pools) => {
+  if (method === 'sequential') return 1;
+  return Math.max(1, Math.min(pools[POOLS[method]].size, os.cpus().length, fileCount));
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Time a past run took with method: its processing time, or for benchmarks
+// the mean of the method's timed runs
+const measuredMs = (run, method) => {
+  if (run.kind === 'benchmark') {
+    const timing = Array.isArray(run.timings) && run.timings.find(entry => entry.method === method);
+    return timing ? timing.mean : null;
+  }
+  return run.method === method && run.timings ? run.timings.processingTime : null;
+};
+
+// How much slower (above 1) or faster than estimated method ran in this
+// machine's recent runs of the same operation and algorithm, or null when
+// there are none. Past runs only record their totals, so their files are
+// taken to be of equal size.
+const calibrate = (method, operation, algorithm, costs, pools) => {
+  const cpuCount = os.cpus().length;
+  const runs = findRuns(run =>
+    run.status === 'completed' &&
+    run.operation === operation &&
+    run.algorithm === algorithm &&
+    run.cpuCount === cpuCount &&
+    run.fileCount > 0 &&
+    measuredMs(run, method) > 0, CALIBRATION_RUNS);
+  if (runs.length === 0) return null;
+
+  const ratios = runs.map((run) => {
+    const sizes = new Array(run.fileCount).fill(run.totalBytes / run.fileCount);
+    return measuredMs(run, method) / estimateMs(method, sizes, concurrencyFor(method, run.fileCount, pools), costs);
+  });
+  return {
+    factor: Math.min(MAX_CALIBRATION, Math.max(MIN_CALIBRATION, median(ratios))),
+    runs: runs.length
+  };
+};
+
+const formatMs = (ms) => (ms >= 1000 ? `${(ms / 1000).toFixed(1)} s` : `${Math.round(ms)} ms`);
+
+const formatMegabytes = (bytes) => `${(bytes / 1e6).toFixed(bytes >= 1e7 ? 0 : 2)} MB`;
+
+const explain = (chosen, estimates, { files, totalBytes, algorithm, costs }) => {
+  const workload = `${files} file${files === 1 ? '' : 's'}, ${formatMegabytes(totalBytes)} with ${algorithm}` +
+    (costs.keyWork ? ` (${costs.keyWork} per file)` : '');
+  const compared = estimates
+    .map(({ method, concurrency, estimatedMs }) =>
+      `${METHOD_LABELS[method]} ~${formatMs(estimatedMs)}` +
+        (method === 'sequential' ? '' : ` with ${concurrency} worker${concurrency === 1 ? '' : 's'}`))
+    .join(', ');
+
+  const notes = [];
+  if (chosen.method === 'sequential' && os.cpus().length === 1) {
+    notes.push('With a single CPU the pools can only add hand-off costs.');
+  } else if (chosen.method === 'sequential' && files === 1) {
+    notes.push('A single file can\'t be split across workers, so the pools can only add hand-off costs.');
+  } else if (chosen.method === 'sequential') {
+    notes.push('The batch is too small for the pools to make up for handing each file to a worker.');
+  }
+  const calibrated = estimates.filter(estimate => estimate.calibrationRuns > 0);
+  notes.push(calibrated.length > 0
+    ? `Estimates for ${calibrated.map(estimate => METHOD_LABELS[estimate.method]).join(', ')} are scaled by ` +
+      `up to ${Math.max(...calibrated.map(estimate => estimate.calibrationRuns))} past runs of this workload on this machine.`
+    : 'No past runs of this workload on this machine yet, so default costs were used.');
+
+  return `${workload}: estimated ${compared}. Chose ${METHOD_LABELS[chosen.method]} as the fastest. ${notes.join(' ')}`;
+};
+
+// Plan a batch for method: 'auto'. Returns { method, concurrency, reason,
+// estimates }, where estimates lists every method that could run it.
+const planProcessing = (files, operation, options) => {
+  const costs = workloadCosts(operation, options);
+  const sizes = files.map(file => file.size || 0);
+  const pools = getPoolStats();
+
+  const estimates = METHODS
+    .filter(method => method === 'sequential' || pools[POOLS[method]])
+    .map((method) => {
+      const concurrency = concurrencyFor(method, files.length, pools);
+      const calibration = calibrate(method, operation, options.algorithm, costs, pools);
+      return {
+        method,
+        concurrency,
+        estimatedMs: Math.round(estimateMs(method, sizes, concurrency, costs) * (calibration ? calibration.factor : 1)),
+        calibrationRuns: calibration ? calibration.runs : 0
+      };
+    });
+
+  const chosen = estimates.reduce((best, estimate) => (estimate.estimatedMs < best.estimatedMs ? estimate : best));
+  return {
+    method: chosen.method,
+    concurrency: chosen.concurrency,
+    reason: explain(chosen, estimates, {
+      files: files.length,
+      totalBytes: sizes.reduce((sum, size) => sum + size, 0),
+      algorithm: options.algorithm,
+      costs
+    }),
+    estimates
+  };
+};
+
+module.exports = {
+  planProcessing
+};
@@ -0,0 +1,336 @@
+const path = require('path');
+const config = require('./config');
+const { processFile, failedResult, summarizeResults } = require('./file-processor');
+const { createWorkerPool, threadWorker, childWorker } = require('./worker-pool');
+const { SkippedError } = require('./errors');
+const { startTaskMetrics, collectWorkerMetrics, startRunMetrics } = require('./resource-metrics');
+const { logger } = require('./logger');
+const { counter, gauge } = require('./metrics');
+const { trackPool } = require('./telemetry');
+
+let threadPool = null;
+let processPool = null;
+let untrackPools = [];
+
+const bytesProcessed = counter('encryptor_bytes_processed_total',
+  'Input bytes of successfully processed files by operation and method');
+const workerRestarts = counter('encryptor_pool_worker_restarts_total', 'Pool workers replaced after dying');
+
+// One series per running pool, labelled threads or processes
+const poolSeries = (read) => Object.entries(getPoolStats())
+  .filter(([, stats]) => stats)
+  .map(([pool, stats]) => ({ labels: { pool }, value: read(stats) }));
+
+gauge('encryptor_pool_workers', 'Workers in each pool', () => poolSeries(stats => stats.size));
+gauge('encryptor_pool_workers_busy', 'Workers currently processing a file', () => poolSeries(stats => stats.busy));
+gauge('encryptor_pool_queue_depth', 'Files waiting for a free worker', () => poolSeries(stats => stats.queued));
+
+const countBytes = (results, method) => {
+  for (const result of results) {
+    if (result.status === 'succeeded') bytesProcessed.inc({ operation: result.operation, method }, result.size);
+  }
+};
+
+// Start the long-lived pools shared by every request
+const startPools = ({ threadPoolSize, processPoolSize }) => {
+  threadPool = createWorkerPool({
+    size: threadPoolSize,
+    name: 'Thread pool',
+    spawn: threadWorker(path.join(__dirname, 'crypto-worker.js'))
+  });
+  processPool = createWorkerPool({
+    size: processPoolSize,
+    name: 'Process pool',
+    spawn: childWorker(path.join(__dirname, 'crypto-process.js'))
+  });
+  threadPool.on('restart', () => workerRestarts.inc({ pool: 'threads' }));
+  processPool.on('restart', () => workerRestarts.inc({ pool: 'processes' }));
+  untrackPools = [
+    trackPool('threads', 'Worker threads', threadPool),
+    trackPool('processes', 'Child processes', processPool)
+  ];
+};
+
+const stopPools = async () => {
+  for (const untrack of untrackPools.splice(0)) untrack();
+  await Promise.all([
+    ...[threadPool, processPool].filter(Boolean).map(pool => pool.close()),
+    ...Array.from(hybridPools.values(), closeHybridPool)
+  ]);
+  threadPool = null;
+  processPool = null;
+};
+
+const getPoolStats = () => ({
+  threads: threadPool ? threadPool.stats() : null,
+  processes: processPool ? processPool.stats() : null
+});
+
+// Run a batch on a pool, measuring the server and every worker that took part.
+// resources is { main, workers }; see resource-metrics.js for the fields.
+const runOnPool = async (pool, method, files, operation, options, hooks) => {
+  const runMetrics = startRunMetrics();
+  const workerMetrics = collectWorkerMetrics();
+  const startTime = Date.now();
+  const results = await pool.run(files, operation, options, { ...hooks, onMetrics: workerMetrics.add });
+  const endTime = Date.now();
+  countBytes(results, method);
+
+  return {
+    results,
+    summary: summarizeResults(results),
+    processingTime: endTime - startTime,
+    workers: hooks.concurrency ? Math.min(hooks.concurrency, pool.stats().size) : pool.stats().size,
+    resources: { main: runMetrics.finish(), workers: workerMetrics.list() }
+  };
+};
+
+// Worker thread implementation: files are pulled one at a time from the
+// shared queue of the persistent thread pool
+const processWithWorkerThreads = async (files, operation, options, hooks = {}) => ({
+  ...(await runOnPool(threadPool, 'multithreading', files, operation, options, hooks)),
+  method: 'Worker Threads'
+});
+
+// Child process implementation: same shared-queue scheduling as the thread
+// pool, with tasks and results exchanged over the fork IPC channel
+const processWithChildProcesses = async (files, operation, options, hooks = {}) => ({
+  ...(await runOnPool(processPool, 'multiprocessing', files, operation, options, hooks)),
+  method: 'Child Processes'
+});
+
+// Hybrid pools by layout, "<processes>x<threads>". A pool is started by the
+// first run with its layout and kept up between runs, so starting processes
+// and threads isn't timed again and again, until it has been idle for
+// config.hybridIdleSeconds. Together the pools run at most
+// config.hybridMaxWorkers threads: a run whose layout has no pool yet and
+// doesn't fit closes idle pools of other layouts, or else waits in
+// hybridWaiters until running ones are released.
+const hybridPools = new Map();
+const hybridWaiters = [];
+
+const layoutKey = ({ processes, threads }) => `${processes}x${threads}`;
+
+const hybridThreadsInUse = () =>
+  Array.from(hybridPools.values()).reduce((sum, entry) => sum + entry.processes * entry.threads, 0);
+
+const closeHybridPool = (entry) => {
+  clearTimeout(entry.idleTimer);
+  hybridPools.delete(layoutKey(entry));
+  entry.untrack();
+  return entry.pool.close().catch(error => logger.error('Could not close hybrid pool', { layout: layoutKey(entry), error }));
+};
+
+const startHybridPool = ({ processes, threads }) => {
+  const pool = createWorkerPool({
+    size: processes,
+    capacity: threads,
+    name: 'Hybrid pool',
+    spawn: childWorker(path.join(__dirname, 'crypto-hybrid.js'), [String(threads)])
+  });
+  pool.on('restart', () => workerRestarts.inc({ pool: 'hybrid' }));
+  const entry = {
+    processes,
+    threads,
+    pool,
+    runs: 0,
+    lastUsed: Date.now(),
+    idleTimer: null,
+    untrack: trackPool(`hybrid-${processes}x${threads}`, `Hybrid (${processes} × ${threads})`, pool)
+  };
+  hybridPools.set(layoutKey(entry), entry);
+  return entry;
+};
+
+// The pool for layout with the run counted against it, or null when it
+// would take the pools over the thread limit
+const takeHybridPool = (layout) => {
+  let entry = hybridPools.get(layoutKey(layout));
+  if (!entry) {
+    const needed = layout.processes * layout.threads;
+    const idle = Array.from(hybridPools.values())
+      .filter(candidate => candidate.runs === 0)
+      .sort((a, b) => a.lastUsed - b.lastUsed);
+    while (hybridThreadsInUse() + needed > config.hybridMaxWorkers && idle.length > 0) {
+      closeHybridPool(idle.shift());
+    }
+    if (hybridThreadsInUse() + needed > config.hybridMaxWorkers) return null;
+    entry = startHybridPool(layout);
+  }
+  entry.runs++;
+  clearTimeout(entry.idleTimer);
+  return entry;
+};
+
+// Wait for a pool for layout. Waiters are served in order, so a large layout
+// isn't passed over forever by smaller ones. Aborting signal gives up waiting.
+const acquireHybridPool = (layout, signal) => {
+  const entry = hybridWaiters.length === 0 ? takeHybridPool(layout) : null;
+  if (entry) return Promise.resolve(entry);
+
+  return new Promise((resolve, reject) => {
+    const waiter = { layout, resolve };
+    const onAbort = () => {
+      hybridWaiters.splice(hybridWaiters.indexOf(waiter), 1);
+      reject(new SkippedError(signal.reason.message));
+    };
+    waiter.resolve = (taken) => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve(taken);
+    };
+    if (signal) {
+      if (signal.aborted) return onAbort();
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    hybridWaiters.push(waiter);
+  });
+};
+
+const serveHybridWaiters = () => {
+  while (hybridWaiters.length > 0) {
+    const entry = takeHybridPool(hybridWaiters[0].layout);
+    if (!entry) return;
+    hybridWaiters.shift().resolve(entry);
+  }
+};
+
+const releaseHybridPool = (entry) => {
+  entry.runs--;
+  entry.lastUsed = Date.now();
+  if (entry.runs === 0) {
+    entry.idleTimer = setTimeout(() => closeHybridPool(entry), config.hybridIdleSeconds * 1000);
+    entry.idleTimer.unref();
+  }
+  serveHybridWaiters();
+};
+
+const hybridLayout = (hooks) => hooks.layout || { processes: config.hybridProcesses, threads: config.hybridThreads };
+
+// Hold the pool for layout (the default one when unset) across several runs,
+// such as a benchmark's: waits as a run would, then resolves once the pool's
+// processes and threads are up. Runs given the held pool as hooks.hybridPool
+// start straight away. release() lets it go.
+const holdHybridPool = async (layout, signal) => {
+  const entry = await acquireHybridPool(hybridLayout({ layout }), signal);
+  await entry.pool.ready();
+  return { entry, release: () => releaseHybridPool(entry) };
+};
+
+// Results for a run that was stopped before it got any workers
+const skippedRun = (files, operation, error, hooks) => files.map((file) => {
+  const result = failedResult(file, operation, error);
+  if (hooks.onResult) hooks.onResult(file, result);
+  return result;
+});
+
+// Hybrid implementation: child processes that each run a pool of worker
+// threads, pulling files from one shared queue whenever one of their threads
+// is free. Runs with the same processes × threads layout share a pool, as
+// the other methods share theirs; processingTime leaves out time spent
+// waiting for one. hooks.hybridPool is a pool from holdHybridPool to use
+// instead of acquiring one.
+const processHybrid = async (files, operation, options, hooks = {}) => {
+  const layout = hybridLayout(hooks);
+  const { processes, threads } = layout;
+  const method = `Hybrid (${processes} × ${threads})`;
+
+  const held = hooks.hybridPool || null;
+  let entry = held;
+  try {
+    if (!entry) entry = await acquireHybridPool(layout, hooks.signal);
+  } catch (error) {
+    const results = skippedRun(files, operation, error, hooks);
+    return {
+      results,
+      summary: summarizeResults(results),
+      processingTime: 0,
+      workers: processes * threads,
+      method,
+      layout: { processes, threads },
+      resources: null
+    };
+  }
+
+  try {
+    return {
+      ...(await runOnPool(entry.pool, 'hybrid', files, operation, options, hooks)),
+      workers: processes * threads,
+      method,
+      layout: { processes, threads }
+    };
+  } finally {
+    if (!held) releaseHybridPool(entry);
+  }
+};
+
+// Sequential processing for comparison.
+// Every method takes the same hooks: onProgress(file, bytes), onResult(file, result),
+// an AbortSignal that stops the run, leaving unfinished files skipped, and
+// logContext, fields such as jobId added to every log entry about the run.
+// The pool methods also take concurrency, the most workers the run may use,
+// and hybrid takes layout, { processes, threads }.
+const processSequentially = async (files, operation, options, hooks = {}) => {
+  const runMetrics = startRunMetrics();
+  const workerMetrics = collectWorkerMetrics();
+  const startTime = Date.now();
+  const results = [];
+  const { signal } = hooks;
+  const log = logger.child(hooks.logContext || {});
+
+  for (const file of files) {
+    let result;
+    try {
+      if (signal && signal.aborted) throw new SkippedError(signal.reason.message);
+      const taskMetrics = startTaskMetrics();
+      const onProgress = (bytes) => {
+        taskMetrics.sample();
+        if (hooks.onProgress) hooks.onProgress(file, bytes);
+      };
+      try {
+        result = await processFile(file, operation, options, { onProgress, signal });
+      } finally {
+        workerMetrics.add('main', taskMetrics.finish());
+      }
+    } catch (error) {
+      if (signal && signal.aborted) {
+        result = failedResult(file, operation, new SkippedError(signal.reason.message));
+      } else {
+        log.error('File failed', { file: file.originalname, error });
+        result = failedResult(file, operation, error);
+      }
+    }
+    if (hooks.onResult) hooks.onResult(file, result);
+    results.push(result);
+  }
+
+  const endTime = Date.now();
+  countBytes(results, 'sequential');
+
+  return {
+    results,
+    summary: summarizeResults(results),
+    processingTime: endTime - startTime,
+    method: 'Sequential',
+    resources: { main: runMetrics.finish(), workers: workerMetrics.list() }
+  };
+};
+
+// Processing functions by the method name used in API requests
+const processors = {
+  multithreading: processWithWorkerThreads,
+  multiprocessing: processWithChildProcesses,
+  hybrid: processHybrid,
+  sequential: processSequentially
+};
+
+module.exports = {
+  processors,
+  startPools,
+  stopPools,
+  getPoolStats,
+  processWithWorkerThreads,
+  processWithChildProcesses,
+  processHybrid,
+  holdHybridPool,
+  processSequentially
+};
@@ -0,0 +1,174 @@
+const { performance, monitorEventLoopDelay } = require('perf_hooks');
+const { isMainThread, threadId } = require('worker_threads');
+
+// Resource usage of processing runs. Pool workers measure each task they run
+// and send the figures back with its result; the server measures itself for
+// the whole run.
+
+// How often the server samples its memory and how finely it tracks event-loop delay
+const SAMPLE_INTERVAL_MS = 100;
+const DELAY_RESOLUTION_MS = 10;
+
+const microsToMs = (micros) => micros / 1000;
+
+// The delay histogram records the time between its timer ticks, so the
+// resolution itself is subtracted to leave only the lag
+const lagMs = (nanos) => Math.max(0, nanos / 1e6 - DELAY_RESOLUTION_MS);
+
+// Peak RSS and heap seen across sample() calls
+const createMemoryPeaks = () => {
+  const peaks = { rss: 0, heapUsed: 0 };
+  const sample = () => {
+    const { rss, heapUsed } = process.memoryUsage();
+    peaks.rss = Math.max(peaks.rss, rss);
+    peaks.heapUsed = Math.max(peaks.heapUsed, heapUsed);
+  };
+  sample();
+  return { peaks, sample };
+};
+
+// Measure one task inside a worker thread or child process. CPU time and RSS
+// belong to the whole process, so a worker thread, which shares them with the
+// server and every other thread, reports only its own event-loop active time
+// and heap. Call sample() as the task progresses to catch memory peaks.
+const startTaskMetrics = () => {
+  const cpuStart = process.cpuUsage();
+  const eluStart = performance.eventLoopUtilization();
+  const memory = createMemoryPeaks();
+
+  const finish = () => {
+    memory.sample();
+    const cpu = process.cpuUsage(cpuStart);
+    return {
+      pid: process.pid,
+      threadId: isMainThread ? null : threadId,
+      cpuUserMs: isMainThread ? microsToMs(cpu.user) : null,
+      cpuSystemMs: isMainThread ? microsToMs(cpu.system) : null,
+      activeMs: performance.eventLoopUtilization(eluStart).active,
+      peakRssBytes: isMainThread ? memory.peaks.rss : null,
+      peakHeapBytes: memory.peaks.heapUsed
+    };
+  };
+
+  return { sample: memory.sample, finish };
+};
+
+// Measure a process whose tasks run side by side on worker threads of its
+// own, such as a hybrid pool child. Its CPU time and RSS can't be split
+// between overlapping tasks, so finish() gives each task the process's CPU
+// time since the task before it finished, or since the process last became
+// busy, and its peak RSS over that time. A run's tasks then add up to the
+// CPU time the process spent on them, with nothing counted twice.
+const createProcessMetrics = () => {
+  let running = 0;
+  let cpuStart = null;
+  let peakRss = 0;
+
+  const sample = () => {
+    peakRss = Math.max(peakRss, process.memoryUsage.rss());
+  };
+
+  const start = () => {
+    if (running++ === 0) {
+      cpuStart = process.cpuUsage();
+      peakRss = 0;
+    }
+    sample();
+  };
+
+  // The task's metrics from its thread with the process-wide fields filled
+  // in. A task whose thread died has none; its time goes to the next task.
+  const finish = (metrics) => {
+    running--;
+    if (!metrics) return undefined;
+    sample();
+    const cpu = process.cpuUsage(cpuStart);
+    const peakRssBytes = peakRss;
+    cpuStart = process.cpuUsage();
+    peakRss = 0;
+    sample();
+    return {
+      ...metrics,
+      cpuUserMs: microsToMs(cpu.user),
+      cpuSystemMs: microsToMs(cpu.system),
+      peakRssBytes
+    };
+  };
+
+  return { start, sample, finish };
+};
+
+// Sum a value that may be unavailable (null) for some tasks
+const addNullable = (a, b) => (a === null || b === null ? null : a + b);
+const maxNullable = (a, b) => (a === null || b === null ? null : Math.max(a, b));
+
+// Per-worker totals over the tasks of one run, keyed by pool slot
+const collectWorkerMetrics = () => {
+  const workers = new Map();
+
+  const add = (workerId, metrics) => {
+    const total = workers.get(workerId);
+    workers.set(workerId, total
+      ? {
+        ...total,
+        pid: metrics.pid,
+        threadId: metrics.threadId,
+        tasks: total.tasks + 1,
+        cpuUserMs: addNullable(total.cpuUserMs, metrics.cpuUserMs),
+        cpuSystemMs: addNullable(total.cpuSystemMs, metrics.cpuSystemMs),
+        activeMs: total.activeMs + metrics.activeMs,
+        peakRssBytes: maxNullable(total.peakRssBytes, metrics.peakRssBytes),
+        peakHeapBytes: Math.max(total.peakHeapBytes, metrics.peakHeapBytes)
+      }
+      : { worker: workerId, tasks: 1, ...metrics });
+  };
+
+  const list = () => Array.from(workers.values()).sort((a, b) => String(a.worker).localeCompare(String(b.worker)));
+
+  return { add, list };
+};
+
+// Measure the server process over a run: CPU time from resourceUsage (which
+// includes every worker thread, but not child processes), peak memory,
+// event-loop utilization and event-loop delay. finish() stops measuring.
+const startRunMetrics = () => {
+  const usageStart = process.resourceUsage();
+  const eluStart = performance.eventLoopUtilization();
+  const memory = createMemoryPeaks();
+  const timer = setInterval(memory.sample, SAMPLE_INTERVAL_MS);
+  timer.unref();
+  const delay = monitorEventLoopDelay({ resolution: DELAY_RESOLUTION_MS });
+  delay.enable();
+
+  const finish = () => {
+    clearInterval(timer);
+    delay.disable();
+    memory.sample();
+    const usage = process.resourceUsage();
+    return {
+      pid: process.pid,
+      cpuUserMs: microsToMs(usage.userCPUTime - usageStart.userCPUTime),
+      cpuSystemMs: microsToMs(usage.systemCPUTime - usageStart.systemCPUTime),
+      eventLoopUtilization: performance.eventLoopUtilization(eluStart).utilization,
+      peakRssBytes: memory.peaks.rss,
+      peakHeapBytes: memory.peaks.heapUsed,
+      // The histogram is empty when the run finished before its first sample
+      eventLoopDelay: delay.count > 0
+        ? {
+          meanMs: lagMs(delay.mean),
+          p99Ms: lagMs(delay.percentile(99)),
+          maxMs: lagMs(delay.max)
+        }
+        : null
+    };
+  };
+
+  return { finish };
+};
+
+module.exports = {
+  startTaskMetrics,
+  createProcessMetrics,
+  collectWorkerMetrics,
+  startRunMetrics
+};
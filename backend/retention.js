@@ -0,0 +1,254 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('./config');
+const { PROCESSED_DIR } = require('./file-processor');
+const { UPLOADS_DIR, uploadPath, metadataPath, listUploads, removeUpload } = require('./uploads');
+const { DATASETS_DIR, datasetDir, listAllDatasets, removeDataset, datasetFiles } = require('./datasets');
+const { SESSIONS_DIR, listSessions, partialPath, discardSession } = require('./chunked-uploads');
+const { activeInputPaths } = require('./jobs');
+const { resolveWithin } = require('./paths');
+const { logger } = require('./logger');
+
+// Files modified more recently than this may still be being written and are
+// never evicted to meet the quota
+const MIN_EVICTION_AGE_MS = 60 * 1000;
+
+let sweepTimer = null;
+let sweeping = false;
+
+// Every file below dir as { path, size, mtimeMs }
+const listFiles = async (dir) => {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(entryPath));
+    } else if (entry.isFile()) {
+      const { size, mtimeMs } = await fs.stat(entryPath);
+      files.push({ path: entryPath, size, mtimeMs });
+    }
+  }
+  return files;
+};
+
+// Remove empty folders left behind below dir, keeping dir itself
+const removeEmptyDirs = async (dir, isRoot = true) => {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    return;
+  }
+  for (const entry of entries) {
+    if (entry.isDirectory()) await removeEmptyDirs(path.join(dir, entry.name), false);
+  }
+  if (!isRoot && (await fs.readdir(dir)).length === 0) await fs.rmdir(dir);
+};
+
+// Remove the outputs listed in a job's results from root, returning how many
+// were deleted. Paths that would leave root are ignored.
+const removeOutputs = async (results, root) => {
+  let removed = 0;
+  for (const result of results || []) {
+    const filePath = result.processedPath && resolveWithin(root, result.processedPath);
+    if (!filePath) continue;
+    try {
+      await fs.unlink(filePath);
+      removed++;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  await removeEmptyDirs(root);
+  return removed;
+};
+
+// Generated datasets, each removed as a whole, and folders in DATASETS_DIR
+// left without a manifest by an interrupted generator. Datasets still being
+// generated are left alone. inputs are the files jobs may be reading.
+const collectDatasetCandidates = async () => {
+  const candidates = [];
+  const registered = new Set();
+  for (const dataset of listAllDatasets()) {
+    registered.add(datasetDir(dataset.id));
+    if (dataset.status !== 'ready') continue;
+    candidates.push({
+      path: datasetDir(dataset.id),
+      size: dataset.totalBytes,
+      mtimeMs: dataset.createdAt,
+      dataset,
+      inputs: datasetFiles(dataset).map(file => file.path),
+      expiresAt: dataset.createdAt + config.datasetTtlSeconds * 1000
+    });
+  }
+
+  let entries;
+  try {
+    entries = await fs.readdir(DATASETS_DIR, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return candidates;
+    throw error;
+  }
+  for (const entry of entries) {
+    const dir = path.join(DATASETS_DIR, entry.name);
+    if (!entry.isDirectory() || registered.has(dir)) continue;
+    const files = await listFiles(dir);
+    const mtimeMs = Math.max((await fs.stat(dir)).mtimeMs, ...files.map(file => file.mtimeMs));
+    candidates.push({
+      path: dir,
+      size: files.reduce((sum, file) => sum + file.size, 0),
+      mtimeMs,
+      inputs: [],
+      expiresAt: mtimeMs + config.datasetTtlSeconds * 1000
+    });
+  }
+  return candidates;
+};
+
+// The open upload session a file in SESSIONS_DIR belongs to, if any: its
+// state, its partial data and chunks being checked are named "<id>.*"
+const sessionOfFile = (filePath, sessions) =>
+  path.dirname(filePath) === SESSIONS_DIR ? sessions.get(path.basename(filePath).split('.')[0]) : undefined;
+
+// Everything the sweeper may remove, each with its expiry: output files,
+// registered uploads (data and metadata together), open upload sessions (all
+// their files together), stray upload files and datasets
+const collectCandidates = async () => {
+  const registered = new Map();
+  for (const upload of listUploads()) {
+    registered.set(uploadPath(upload.id), upload);
+    registered.set(metadataPath(upload.id), upload);
+  }
+  const sessions = new Map(listSessions().map(session => [session.id, session]));
+
+  const candidates = [];
+  for (const file of await listFiles(PROCESSED_DIR)) {
+    candidates.push({ ...file, expiresAt: file.mtimeMs + config.outputTtlSeconds * 1000 });
+  }
+
+  const seenUploads = new Set();
+  for (const file of await listFiles(UPLOADS_DIR)) {
+    const upload = registered.get(file.path);
+    if (sessionOfFile(file.path, sessions)) continue;
+    if (!upload) {
+      candidates.push({ ...file, expiresAt: file.mtimeMs + config.uploadTtlSeconds * 1000 });
+    } else if (!seenUploads.has(upload.id)) {
+      // An upload's data and metadata files go together
+      seenUploads.add(upload.id);
+      const { size, mtimeMs } = await fs.stat(uploadPath(upload.id));
+      candidates.push({
+        path: uploadPath(upload.id),
+        size,
+        mtimeMs,
+        upload,
+        expiresAt: upload.createdAt + config.uploadTtlSeconds * 1000
+      });
+    }
+  }
+  for (const session of sessions.values()) {
+    candidates.push({
+      path: partialPath(session.id),
+      size: session.size,
+      mtimeMs: session.updatedAt,
+      session,
+      expiresAt: session.updatedAt + config.uploadTtlSeconds * 1000
+    });
+  }
+  candidates.push(...await collectDatasetCandidates());
+  return candidates;
+};
+
+const removeCandidate = async (candidate) => {
+  if (candidate.upload) {
+    await removeUpload(candidate.upload.id);
+  } else if (candidate.session) {
+    await discardSession(candidate.session);
+  } else if (candidate.dataset) {
+    await removeDataset(candidate.dataset.id);
+  } else {
+    await fs.rm(candidate.path, { recursive: true, force: true });
+  }
+};
+
+const isInUse = (candidate, inUse) => (candidate.inputs || [candidate.path]).some(input => inUse.has(input));
+
+// The candidates a sweep at now removes: the expired ones, then the oldest
+// of the rest while their total size is over quotaBytes. Files that may still
+// be being written and open upload sessions, which are still being sent, are
+// only removed once they expire. usedBytes is the size of what is left.
+const chooseRemovals = (candidates, now, quotaBytes) => {
+  const expired = candidates.filter(candidate => candidate.expiresAt <= now);
+  const kept = candidates.filter(candidate => candidate.expiresAt > now);
+
+  let usedBytes = kept.reduce((sum, candidate) => sum + candidate.size, 0);
+  const evicted = [];
+  const evictable = kept
+    .filter(candidate => !candidate.session && now - candidate.mtimeMs >= MIN_EVICTION_AGE_MS)
+    .sort((a, b) => a.mtimeMs - b.mtimeMs);
+  for (const candidate of evictable) {
+    if (usedBytes <= quotaBytes) break;
+    evicted.push(candidate);
+    usedBytes -= candidate.size;
+  }
+  return { removals: [...expired, ...evicted], usedBytes };
+};
+
+// Delete expired uploads, outputs, sessions and datasets, then the oldest
+// remaining ones while their total size is over the disk quota. Inputs of
+// running jobs are kept.
+const sweep = async () => {
+  if (sweeping) return null;
+  sweeping = true;
+
+  try {
+    const inUse = activeInputPaths();
+    const candidates = (await collectCandidates()).filter(candidate => !isInUse(candidate, inUse));
+    const { removals, usedBytes } = chooseRemovals(candidates, Date.now(), config.diskQuotaBytes);
+    let removedFiles = 0;
+    let freedBytes = 0;
+    for (const candidate of removals) {
+      await removeCandidate(candidate);
+      removedFiles++;
+      freedBytes += candidate.size;
+    }
+
+    await removeEmptyDirs(PROCESSED_DIR);
+    if (removedFiles > 0) {
+      logger.info('Retention sweep removed files', { removedFiles, freedBytes, usedBytes });
+    }
+    return { removedFiles, freedBytes, usedBytes };
+  } finally {
+    sweeping = false;
+  }
+};
+
+const runSweep = () => sweep().catch(error => logger.error('Retention sweep failed', { error }));
+
+// Sweep once now and then every config.sweepIntervalSeconds
+const startSweeper = () => {
+  runSweep();
+  sweepTimer = setInterval(runSweep, config.sweepIntervalSeconds * 1000);
+  sweepTimer.unref();
+};
+
+const stopSweeper = () => {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+};
+
+module.exports = {
+  removeOutputs,
+  collectCandidates,
+  chooseRemovals,
+  sweep,
+  startSweeper,
+  stopSweeper
+};
@@ -2,255 +2,807 @@ const express = require('express');
 const multer = require('multer');
 const cors = require('cors');
 const path = require('path');
-const fs = require('fs').promises;
 const crypto = require('crypto');
-const { Worker } = require('worker_threads');
-const { spawn } = require('child_process');
-const os = require('os');
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const { listCiphers } = require('./ciphers');
+const { PROCESSED_DIR, workspaceDir } = require('./file-processor');
+const { listKdfs } = require('./kdf');
+const config = require('./config');
+const { logger, requestLogger } = require('./logger');
+const { renderMetrics, httpMetrics, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const { processors, startPools, getPoolStats } = require('./processing');
+const {
+  createJob,
+  getJob,
+  deleteJob,
+  cancelJob,
+  runJob,
+  isFinished,
+  activeInputPaths,
+  finishEvent,
+  toJobSummary
+} = require('./jobs');
+const { runBenchmark } = require('./benchmark');
+const { planProcessing } = require('./planner');
+const { recordJob, loadHistory, listHistory, getHistoryRecord } = require('./history');
+const { ARCHIVE_FORMATS, archiveEntries, existingEntries, streamArchive } = require('./archive');
+const { isArchive, extractArchive } = require('./extract');
+const { resolveWithin } = require('./paths');
+const { HttpError } = require('./errors');
+const {
+  UPLOADS_DIR,
+  uploadPath,
+  createUploadId,
+  isAllowedType,
+  uploadName,
+  registerUpload,
+  removeUpload,
+  loadUploads,
+  getUpload,
+  toUploadSummary
+} = require('./uploads');
+const {
+  parseKeyOptions,
+  parseCipherOptions,
+  resolveInputFiles,
+  parseJobTimeout,
+  parseHybridLayout,
+  limitRequestSize,
+  meterUploadBytes,
+  fromMulterError
+} = require('./validation');
+const {
+  createSession,
+  getSession,
+  writeChunk,
+  completeSession,
+  discardSession,
+  loadSessions,
+  toSessionSummary
+} = require('./chunked-uploads');
+const { loadKeys, generateKey, importKey, listKeys, getKey, removeKey, toKeySummary } = require('./keys');
+const { loadUsers, createUser, authenticateUser, issueToken, issueUrlToken, requireAuth } = require('./auth');
+const { removeOutputs, startSweeper } = require('./retention');
+const { attachTelemetrySocket } = require('./telemetry-socket');
+const {
+  validateDatasetParams,
+  planDataset,
+  generateDataset,
+  loadDatasets,
+  getDataset,
+  listDatasets,
+  removeDataset,
+  datasetFiles,
+  toDatasetSummary
+} = require('./datasets');
 
 const app = express();
-const PORT = 5000;
+const PORT = config.port;
 
-// Middleware
-app.use(cors());
+// Middleware. Files are never served statically; downloads go through
+// routes that check the signed-in user owns them.
+app.use(requestLogger);
+app.use(httpMetrics);
+app.use(cors({ origin: config.corsOrigins, exposedHeaders: ['X-Request-Id'] }));
 app.use(express.json());
-app.use('/uploads', express.static('uploads'));
-app.use('/processed', express.static('processed'));
+app.use(requireAuth);
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/');
+// multer storage engine for file uploads. Data is stored under a server-issued
+// id, so nothing the client sends ends up in a path on disk, and is metered on
+// the way so a request can't store more than config.uploadMaxRequestBytes.
+const storage = {
+  _handleFile: (req, file, cb) => {
+    file.uploadId = createUploadId();
+    const filePath = uploadPath(file.uploadId);
+    const output = createWriteStream(filePath);
+    // multer's file stream is piped in rather than joined to the pipeline,
+    // which would destroy it when the meter fails; multer reports its own errors
+    const meter = file.stream.pipe(meterUploadBytes(req));
+    file.stream.on('error', error => meter.destroy(error));
+    // A client that goes away mid-file leaves no partial file behind
+    req.once('close', () => {
+      if (!req.complete) meter.destroy(new HttpError(400, 'Upload was interrupted'));
+    });
+    pipeline(meter, output)
+      .then(() => cb(null, { path: filePath, size: output.bytesWritten }))
+      .catch(error => fs.rm(filePath, { force: true }).finally(() => cb(error)));
   },
-  filename: (req, file, cb) => {
-    cb(null, Date.now() + '-' + file.originalname);
+  _removeFile: (req, file, cb) => {
+    fs.rm(file.path, { force: true }).then(() => cb(null), cb);
   }
-});
+};
 
-const upload = multer({ storage });
+// preservePath keeps "folder/sub/file.txt" names from directory uploads.
+// Archives being expanded are let through; their entries are checked instead.
+const upload = multer({
+  storage,
+  preservePath: true,
+  limits: {
+    fileSize: config.uploadMaxFileBytes,
+    files: config.uploadMaxFiles
+  },
+  fileFilter: (req, file, cb) => {
+    const expanding = req.body.expandArchives === 'true' && isArchive(file.originalname);
+    if (expanding || isAllowedType(file.originalname)) return cb(null, true);
+    cb(new HttpError(415, `File type not allowed: ${path.basename(file.originalname)}`));
+  }
+});
 
 // Ensure directories exist
 const ensureDirectories = async () => {
   try {
-    await fs.mkdir('uploads', { recursive: true });
-    await fs.mkdir('processed', { recursive: true });
-    await fs.mkdir('workers', { recursive: true });
+    await fs.mkdir(UPLOADS_DIR, { recursive: true });
+    await fs.mkdir(PROCESSED_DIR, { recursive: true });
   } catch (error) {
-    console.error('Error creating directories:', error);
+    logger.error('Could not create directories', { error });
   }
 };
 
-// Simple Caesar cipher for demonstration
-const caesarCipher = (text, shift, decrypt = false) => {
-  const actualShift = decrypt ? -shift : shift;
-  return text.replace(/[a-zA-Z]/g, (char) => {
-    const start = char <= 'Z' ? 65 : 97;
-    return String.fromCharCode(((char.charCodeAt(0) - start + actualShift + 26) % 26) + start);
+// Routes
+app.post('/auth/register', async (req, res, next) => {
+  try {
+    if (!config.allowRegistration) {
+      throw new HttpError(403, 'Registration is disabled');
+    }
+    const user = await createUser(req.body.username, req.body.password);
+    res.status(201).json({
+      success: true,
+      user,
+      token: issueToken(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/auth/login', async (req, res, next) => {
+  try {
+    const user = await authenticateUser(req.body.username, req.body.password);
+    res.json({
+      success: true,
+      user,
+      token: issueToken(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/auth/me', (req, res) => {
+  res.json({
+    success: true,
+    user: req.user
+  });
+});
+
+// A token for one API path, to put in a link or stream URL instead of the
+// session token. None are issued for /auth/ paths, so a URL token can't be
+// used to get more of them.
+app.post('/auth/url-token', (req, res, next) => {
+  const { path: urlPath } = req.body;
+  if (typeof urlPath !== 'string' || !urlPath.startsWith('/') || urlPath.length > 1024 ||
+    urlPath.includes('?') || urlPath.startsWith('/auth/')) {
+    return next(new HttpError(400, 'path must be an API path without a query string'));
+  }
+  res.json({
+    success: true,
+    token: issueUrlToken(req.user, urlPath)
   });
+});
+
+// Register data already written to file.path as an upload. With
+// expandArchives, a ZIP or tar(.gz) file is replaced by the files inside it.
+const storeUpload = async (file, { expandArchives, owner }) => {
+  if (expandArchives && isArchive(file.originalname)) {
+    try {
+      return await extractArchive(file.path, file.originalname, {
+        owner,
+        maxBytes: config.archiveMaxBytes,
+        maxFileBytes: config.uploadMaxFileBytes
+      });
+    } finally {
+      await fs.rm(file.path, { force: true });
+    }
+  }
+  return [await registerUpload({ id: file.id, originalname: file.originalname, size: file.size, owner })];
 };
 
-// Worker thread implementation
-const processWithWorkerThreads = async (files, operation, shift) => {
-  const startTime = Date.now();
-  const numWorkers = Math.min(os.cpus().length, files.length);
-  const filesPerWorker = Math.ceil(files.length / numWorkers);
-  
-  const workers = [];
-  const results = [];
-
-  for (let i = 0; i < numWorkers; i++) {
-    const workerFiles = files.slice(i * filesPerWorker, (i + 1) * filesPerWorker);
-    if (workerFiles.length === 0) break;
-
-    const worker = new Worker(path.join(__dirname, 'crypto-worker.js'), {
-      workerData: {
-        files: workerFiles,
-        operation,
-        shift
-      }
+// Files may carry relative paths from a folder upload. With expandArchives
+// set, ZIP and tar(.gz) uploads are replaced by the files inside them. Send
+// expandArchives before the files so it is known when they arrive.
+app.post('/upload', limitRequestSize, upload.array('files'), async (req, res, next) => {
+  const files = [];
+  try {
+    const expandArchives = req.body.expandArchives === 'true';
+
+    for (const file of req.files) {
+      files.push(...await storeUpload({
+        id: file.uploadId,
+        path: file.path,
+        originalname: uploadName(file.originalname, file.uploadId),
+        size: file.size
+      }, { expandArchives, owner: req.user.id }));
+    }
+
+    res.json({
+      success: true,
+      message: `${files.length} files uploaded successfully`,
+      files: files.map(toUploadSummary)
     });
+  } catch (error) {
+    // A request is accepted whole or not at all
+    await Promise.all([
+      ...files.map(file => removeUpload(file.id)),
+      ...req.files.map(file => fs.rm(file.path, { force: true }))
+    ]);
+    next(error);
+  }
+});
 
-    const workerPromise = new Promise((resolve, reject) => {
-      worker.on('message', (result) => {
-        results.push(...result);
-        resolve();
-      });
-      worker.on('error', reject);
+// Resumable uploads for large files: open a session, PUT each chunk as a raw
+// body with its SHA-256 in X-Chunk-Sha256, ask which chunks arrived after an
+// interruption, then complete the session to turn it into an upload.
+app.post('/uploads/chunked', async (req, res, next) => {
+  try {
+    const { filename, size, chunkSize, expandArchives = false } = req.body;
+    if (typeof filename !== 'string' || filename.length === 0) {
+      throw new HttpError(400, 'filename is required');
+    }
+    const originalname = uploadName(filename, null);
+    if (!originalname) {
+      throw new HttpError(400, `Invalid file name: ${filename}`);
+    }
+    const expanding = expandArchives === true && isArchive(originalname);
+    if (!expanding && !isAllowedType(originalname)) {
+      throw new HttpError(415, `File type not allowed: ${originalname}`);
+    }
+
+    const session = await createSession({ originalname, size, chunkSize, expandArchives: expanding, owner: req.user.id });
+    res.status(201).json({
+      success: true,
+      message: 'Upload session created',
+      session: toSessionSummary(session)
     });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    workers.push(workerPromise);
+app.get('/uploads/chunked/:id', async (req, res, next) => {
+  try {
+    const session = await getSession(req.params.id, req.user.id);
+    res.json({
+      success: true,
+      session: toSessionSummary(session)
+    });
+  } catch (error) {
+    next(error);
   }
+});
 
-  await Promise.all(workers);
-  const endTime = Date.now();
-  
-  return {
-    results,
-    processingTime: endTime - startTime,
-    method: 'Worker Threads'
-  };
-};
+app.put('/uploads/chunked/:id/chunks/:index', async (req, res, next) => {
+  try {
+    const session = await getSession(req.params.id, req.user.id);
+    const index = /^\d+$/.test(req.params.index) ? Number(req.params.index) : NaN;
+    await writeChunk(session, index, req, {
+      checksum: req.get('X-Chunk-Sha256'),
+      declaredLength: req.get('Content-Length')
+    });
+    res.json({
+      success: true,
+      message: `Chunk ${index} received`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-// Child process implementation
-const processWithChildProcesses = async (files, operation, shift) => {
-  const startTime = Date.now();
-  const numProcesses = Math.min(os.cpus().length, files.length);
-  const filesPerProcess = Math.ceil(files.length / numProcesses);
-  
-  const processes = [];
-  const results = [];
-
-  for (let i = 0; i < numProcesses; i++) {
-    const processFiles = files.slice(i * filesPerProcess, (i + 1) * filesPerProcess);
-    if (processFiles.length === 0) break;
-
-    const processPromise = new Promise((resolve, reject) => {
-      const child = spawn('node', [
-        path.join(__dirname, 'crypto-process.js'),
-        JSON.stringify({ files: processFiles, operation, shift })
-      ]);
-
-      let output = '';
-      child.stdout.on('data', (data) => {
-        output += data.toString();
+// Assemble the upload. sha256, when sent, is checked against the whole file.
+app.post('/uploads/chunked/:id/complete', async (req, res, next) => {
+  try {
+    const session = await getSession(req.params.id, req.user.id);
+    const file = await completeSession(session, { sha256: req.body.sha256 });
+    const files = await storeUpload(file, { expandArchives: file.expandArchives, owner: req.user.id })
+      .catch(async (error) => {
+        await fs.rm(file.path, { force: true });
+        throw error;
       });
+    res.json({
+      success: true,
+      message: `${files.length} files uploaded successfully`,
+      files: files.map(toUploadSummary)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-      child.on('close', (code) => {
-        if (code === 0) {
-          try {
-            const result = JSON.parse(output);
-            results.push(...result);
-            resolve();
-          } catch (error) {
-            reject(error);
-          }
-        } else {
-          reject(new Error(`Process exited with code ${code}`));
-        }
-      });
+app.delete('/uploads/chunked/:id', async (req, res, next) => {
+  try {
+    const session = await getSession(req.params.id, req.user.id);
+    await discardSession(session);
+    res.json({
+      success: true,
+      message: 'Upload session cancelled'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Persist a finished job; a failed write is logged but never fails the job
+const recordHistory = (job, { datasetId = null }) =>
+  recordJob(job, { datasetId }).catch((error) => {
+    job.log.error('Could not record job in history', { error });
+  });
+
+app.delete('/uploads/:id', async (req, res, next) => {
+  try {
+    const upload = getUpload(req.params.id, req.user.id);
+    if (!upload) {
+      throw new HttpError(404, 'Upload not found');
+    }
+    await removeUpload(upload.id);
+    res.json({
+      success: true,
+      message: 'Upload deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/process', async (req, res, next) => {
+  try {
+    const { operation, method } = req.body;
+
+    const files = resolveInputFiles(req.body, req.user);
+    const options = {
+      ...parseCipherOptions(req.body, parseKeyOptions(req.body, req.user)),
+      outputDir: workspaceDir(req.user.id)
+    };
+    const { algorithm } = options;
+    const timeoutMs = parseJobTimeout(req.body);
+
+    // 'auto' picks the method and how many workers to use from the workload
+    const plan = method === 'auto' ? planProcessing(files, operation, options) : null;
+    const processor = processors[plan ? plan.method : method];
+    if (!processor) {
+      throw new HttpError(400, `method must be auto or one of: ${Object.keys(processors).join(', ')}`);
+    }
+    const layout = method === 'hybrid' ? parseHybridLayout(req.body) : undefined;
 
-      child.on('error', reject);
+    const job = createJob({
+      owner: req.user.id,
+      requestId: req.id,
+      method: plan ? plan.method : method,
+      plan,
+      operation,
+      algorithm,
+      files,
+      timeoutMs
     });
+    if (plan) job.log.info('Planned processing method', { method: plan.method, concurrency: plan.concurrency });
+    runJob(job, async (hooks) => ({
+      algorithm,
+      ...(await processor(files, operation, options, {
+        ...hooks,
+        concurrency: plan ? plan.concurrency : undefined,
+        layout
+      }))
+    })).then(() => recordHistory(job, req.body));
 
-    processes.push(processPromise);
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      method: job.method,
+      plan
+    });
+  } catch (error) {
+    next(error);
   }
+});
 
-  await Promise.all(processes);
-  const endTime = Date.now();
-  
-  return {
-    results,
-    processingTime: endTime - startTime,
-    method: 'Child Processes'
-  };
-};
+// Repeated, timed runs of several methods over the same files
+app.post('/benchmark', async (req, res, next) => {
+  try {
+    const {
+      methods = Object.keys(processors),
+      operation = 'encrypt',
+      warmup = 1,
+      iterations = 5
+    } = req.body;
 
-// Sequential processing for comparison
-const processSequentially = async (files, operation, shift) => {
-  const startTime = Date.now();
-  const results = [];
+    const files = resolveInputFiles(req.body, req.user);
 
-  for (const file of files) {
-    try {
-      const content = await fs.readFile(file.path, 'utf8');
-      const processedContent = caesarCipher(content, shift, operation === 'decrypt');
-      
-      const outputPath = path.join('processed', 
-        `${operation}_${Date.now()}_${file.originalname}`);
-      
-      await fs.writeFile(outputPath, processedContent);
-      
-      results.push({
-        originalName: file.originalname,
-        processedPath: outputPath,
-        size: content.length
-      });
-    } catch (error) {
-      console.error('Error processing file:', error);
+    if (!Array.isArray(methods) || methods.length === 0 || !methods.every(method => processors[method])) {
+      throw new HttpError(400, `methods must be a non-empty list of: ${Object.keys(processors).join(', ')}`);
+    }
+
+    if (!Number.isInteger(warmup) || warmup < 0 || warmup > 20 ||
+        !Number.isInteger(iterations) || iterations < 1 || iterations > 100) {
+      throw new HttpError(400, 'warmup must be 0-20 and iterations 1-100');
     }
+
+    const options = {
+      ...parseCipherOptions({ ...req.body, operation }, parseKeyOptions({ ...req.body, operation }, req.user)),
+      outputDir: workspaceDir(req.user.id)
+    };
+    const timeoutMs = parseJobTimeout(req.body);
+    const layout = methods.includes('hybrid') ? parseHybridLayout(req.body) : undefined;
+
+    const job = createJob({
+      kind: 'benchmark',
+      owner: req.user.id,
+      requestId: req.id,
+      method: methods.join(','),
+      operation,
+      algorithm: options.algorithm,
+      files,
+      totalIterations: (warmup + iterations) * methods.length,
+      timeoutMs
+    });
+    runJob(job, (hooks) => runBenchmark({
+      processors,
+      methods,
+      files,
+      totalBytes: job.totalBytes,
+      operation,
+      options,
+      layout,
+      warmup,
+      iterations
+    }, hooks)).then(() => recordHistory(job, req.body));
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status
+    });
+  } catch (error) {
+    next(error);
   }
+});
 
-  const endTime = Date.now();
-  
-  return {
-    results,
-    processingTime: endTime - startTime,
-    method: 'Sequential'
-  };
-};
+// Generate a reproducible synthetic dataset as a background job
+app.post('/datasets', (req, res, next) => {
+  try {
+    const {
+      name,
+      fileCount = 100,
+      distribution = { type: 'fixed', size: 64 * 1024 },
+      contentType = 'text',
+      seed = 1
+    } = req.body;
+    const params = { name, fileCount, distribution, contentType, seed };
 
-// Routes
-app.post('/upload', upload.array('files', 1000), (req, res) => {
+    const paramsError = validateDatasetParams(params, config.datasetMaxBytes);
+    if (paramsError) {
+      throw new HttpError(400, paramsError);
+    }
+
+    const dataset = planDataset(params, req.user.id);
+    const job = createJob({
+      kind: 'dataset',
+      owner: req.user.id,
+      requestId: req.id,
+      method: 'generator',
+      operation: 'generate',
+      files: dataset.files
+    });
+    runJob(job, (hooks) => generateDataset(dataset, hooks));
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      dataset: toDatasetSummary(dataset)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/datasets', (req, res) => {
+  res.json({
+    success: true,
+    datasets: listDatasets(req.user.id)
+  });
+});
+
+app.get('/datasets/:id', (req, res) => {
+  const dataset = getDataset(req.params.id, req.user.id);
+  if (!dataset) {
+    return res.status(404).json({
+      success: false,
+      message: 'Dataset not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    dataset: {
+      ...toDatasetSummary(dataset),
+      files: dataset.files.map(({ originalname, size }) => ({ originalname, size }))
+    }
+  });
+});
+
+// Delete a dataset with its files. Datasets being generated or read by a
+// running job are kept.
+app.delete('/datasets/:id', async (req, res, next) => {
   try {
-    const files = req.files.map(file => ({
-      originalname: file.originalname,
-      filename: file.filename,
-      path: file.path,
-      size: file.size
-    }));
-    
+    const dataset = getDataset(req.params.id, req.user.id);
+    if (!dataset) {
+      throw new HttpError(404, 'Dataset not found');
+    }
+    const inUse = activeInputPaths();
+    if (dataset.status !== 'ready' || datasetFiles(dataset).some(file => inUse.has(file.path))) {
+      throw new HttpError(409, 'Dataset is in use by a running job');
+    }
+    await removeDataset(dataset.id);
     res.json({
       success: true,
-      message: `${files.length} files uploaded successfully`,
-      files
+      message: 'Dataset deleted'
     });
   } catch (error) {
-    res.status(500).json({
+    next(error);
+  }
+});
+
+app.get('/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id, req.user.id);
+  if (!job) {
+    return res.status(404).json({
       success: false,
-      message: 'Error uploading files',
-      error: error.message
+      message: 'Job not found'
     });
   }
+
+  res.json({
+    success: true,
+    job: toJobSummary(job)
+  });
 });
 
-app.post('/process', async (req, res) => {
+// Delete a finished job's outputs. Jobs no longer held in memory are looked
+// up in the history store; the history record itself is kept.
+app.delete('/jobs/:id', async (req, res, next) => {
   try {
-    const { files, operation, method, shift = 3 } = req.body;
-    
-    if (!files || !Array.isArray(files) || files.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'No files provided'
-      });
+    const job = getJob(req.params.id, req.user.id);
+    if (job && !isFinished(job)) {
+      throw new HttpError(409, 'Job is still running');
     }
 
-    let result;
-    
-    switch (method) {
-      case 'multithreading':
-        result = await processWithWorkerThreads(files, operation, shift);
-        break;
-      case 'multiprocessing':
-        result = await processWithChildProcesses(files, operation, shift);
-        break;
-      case 'sequential':
-        result = await processSequentially(files, operation, shift);
-        break;
-      default:
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid processing method'
-        });
+    const run = job
+      ? { results: job.result && job.result.results }
+      : await getHistoryRecord(req.params.id, req.user.id);
+    if (!run) {
+      throw new HttpError(404, 'Job not found');
     }
 
+    const removedFiles = await removeOutputs(run.results, workspaceDir(req.user.id));
+    if (job) deleteJob(job.id);
+
     res.json({
       success: true,
-      ...result
+      message: `Deleted ${removedFiles} output files`,
+      removedFiles
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Stop a running job. Workers busy with its files are terminated, partial
+// outputs removed, and files not yet finished are reported as skipped.
+app.post('/jobs/:id/cancel', (req, res, next) => {
+  try {
+    const job = getJob(req.params.id, req.user.id);
+    if (!job) {
+      throw new HttpError(404, 'Job not found');
+    }
+    if (!cancelJob(job)) {
+      throw new HttpError(409, 'Job has already finished');
+    }
+    res.status(202).json({
+      success: true,
+      message: 'Job is being cancelled'
     });
   } catch (error) {
-    console.error('Processing error:', error);
-    res.status(500).json({
+    next(error);
+  }
+});
+
+// Server-Sent Events stream of job progress. Sends the current state first,
+// then 'progress', 'file' and 'iteration' events, and ends with 'complete',
+// 'failed' or 'cancelled' (for cancelled and timed out jobs).
+app.get('/jobs/:id/events', (req, res) => {
+  const job = getJob(req.params.id, req.user.id);
+  if (!job) {
+    return res.status(404).json({
       success: false,
-      message: 'Error processing files',
-      error: error.message
+      message: 'Job not found'
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  send('status', toJobSummary(job));
+  if (isFinished(job)) {
+    send(finishEvent(job), toJobSummary(job));
+    res.end();
+    return;
+  }
+
+  const onProgress = (summary) => send('progress', summary);
+  const onFile = (data) => send('file', data);
+  const onIteration = (data) => send('iteration', data);
+  const onFinish = (event) => (summary) => {
+    send(event, summary);
+    res.end();
+  };
+  const onComplete = onFinish('complete');
+  const onFailed = onFinish('failed');
+  const onCancelled = onFinish('cancelled');
+
+  job.events.on('progress', onProgress);
+  job.events.on('file', onFile);
+  job.events.on('iteration', onIteration);
+  job.events.once('complete', onComplete);
+  job.events.once('failed', onFailed);
+  job.events.once('cancelled', onCancelled);
+
+  res.on('close', () => {
+    job.events.off('progress', onProgress);
+    job.events.off('file', onFile);
+    job.events.off('iteration', onIteration);
+    job.events.off('complete', onComplete);
+    job.events.off('failed', onFailed);
+    job.events.off('cancelled', onCancelled);
+  });
+});
+
+// Every output of a finished process job as one streamed ZIP or tar.gz.
+// Jobs no longer held in memory are looked up in the history store.
+app.get('/jobs/:id/archive', async (req, res, next) => {
+  try {
+    const { format = 'zip' } = req.query;
+    if (!ARCHIVE_FORMATS[format]) {
+      throw new HttpError(400, `format must be one of: ${Object.keys(ARCHIVE_FORMATS).join(', ')}`);
+    }
+
+    const job = getJob(req.params.id, req.user.id);
+    const run = job
+      ? job.result && { kind: job.kind, results: job.result.results }
+      : await getHistoryRecord(req.params.id, req.user.id);
+    if (!run || run.kind !== 'process' || !run.results) {
+      throw new HttpError(404, 'No finished process job with that id');
+    }
+
+    const entries = await existingEntries(archiveEntries(run.results, workspaceDir(req.user.id)));
+    if (entries.length === 0) {
+      throw new HttpError(404, 'Job has no outputs to download');
+    }
+
+    streamArchive(res, entries, { format, name: `job-${req.params.id}`, log: req.log });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Past process and benchmark runs, newest first, without per-file results
+app.get('/history', (req, res) => {
+  const { kind } = req.query;
+  const limit = Number.parseInt(req.query.limit, 10);
+  res.json({
+    success: true,
+    runs: listHistory({ owner: req.user.id, kind, limit: limit > 0 ? limit : undefined })
+  });
+});
+
+app.get('/history/:id', async (req, res, next) => {
+  try {
+    const run = await getHistoryRecord(req.params.id, req.user.id);
+    if (!run) {
+      throw new HttpError(404, 'Run not found');
+    }
+    res.json({
+      success: true,
+      run
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Key pairs for public-key mode. Private keys stay on the server; only
+// public keys can be exported.
+app.get('/keys', (req, res) => {
+  res.json({
+    success: true,
+    keys: listKeys(req.user.id).map(toKeySummary)
+  });
+});
+
+// Generate a key pair: { name, type: 'rsa' | 'x25519', modulusLength }
+app.post('/keys', async (req, res, next) => {
+  try {
+    const key = await generateKey(req.body, req.user.id);
+    res.status(201).json({
+      success: true,
+      message: 'Key generated',
+      key: toKeySummary(key)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Import a PEM key: { name, pem }. A public key can only be encrypted for.
+app.post('/keys/import', async (req, res, next) => {
+  try {
+    const key = await importKey(req.body, req.user.id);
+    res.status(201).json({
+      success: true,
+      message: key.privateKey ? 'Key pair imported' : 'Public key imported',
+      key: toKeySummary(key)
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/keys/:id/public', (req, res, next) => {
+  const key = getKey(req.params.id, req.user.id);
+  if (!key) {
+    return next(new HttpError(404, 'Key not found'));
   }
+  const filename = `${key.name.replace(/[^\w.-]+/g, '_')}.pub.pem`;
+  res.set('Content-Type', 'application/x-pem-file');
+  res.attachment(filename);
+  res.send(key.publicKey);
 });
 
-app.get('/download/:filename', async (req, res) => {
+app.delete('/keys/:id', async (req, res, next) => {
   try {
-    const filename = req.params.filename;
-    const filePath = path.join(__dirname, 'processed', filename);
+    const key = getKey(req.params.id, req.user.id);
+    if (!key) {
+      throw new HttpError(404, 'Key not found');
+    }
+    await removeKey(key.id);
+    res.json({
+      success: true,
+      message: 'Key deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/algorithms', (req, res) => {
+  res.json({
+    success: true,
+    algorithms: listCiphers(),
+    kdfs: listKdfs()
+  });
+});
+
+// Outputs of folder uploads live in subdirectories, so the name may contain slashes
+app.get('/download/*', async (req, res) => {
+  try {
+    const filePath = resolveWithin(workspaceDir(req.user.id), req.params[0]);
+    if (!filePath) throw new Error('Invalid file name');
     
     // Check if file exists
     await fs.access(filePath);
@@ -266,15 +818,63 @@ app.get('/download/:filename', async (req, res) => {
 
 // Health check
 app.get('/health', (req, res) => {
-  res.json({ status: 'OK', message: 'Server is running' });
+  res.json({ status: 'OK', message: 'Server is running', pools: getPoolStats() });
+});
+
+const metricsTokenMatches = (header) => {
+  const expected = Buffer.from(`Bearer ${config.metricsToken}`);
+  const actual = Buffer.from(header || '');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Prometheus scrape endpoint. Open unless METRICS_TOKEN is set, since
+// scrapers can't log in as a user.
+app.get('/metrics', (req, res, next) => {
+  if (config.metricsToken && !metricsTokenMatches(req.headers.authorization)) {
+    return next(new HttpError(401, 'Invalid metrics token'));
+  }
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(renderMetrics());
+});
+
+// Errors passed on by routes and middleware. HttpErrors and multer limit
+// errors are the client's fault and say why; anything else is logged and
+// reported without internal details.
+app.use((error, req, res, next) => {
+  const httpError = error instanceof multer.MulterError ? fromMulterError(error) : error;
+  const status = httpError.status || 500;
+  if (status >= 500) (req.log || logger).error('Request failed', { method: req.method, path: req.path, error });
+
+  res.status(status).json({
+    success: false,
+    message: status >= 500 ? 'Internal server error' : httpError.message,
+    code: httpError.code || null
+  });
 });
 
 // Start server
 const startServer = async () => {
   await ensureDirectories();
-  app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
+  await loadUsers();
+  await loadKeys();
+  await loadUploads();
+  await loadSessions();
+  await loadDatasets();
+  await loadHistory();
+  startSweeper();
+  startPools(config);
+  const server = app.listen(PORT, () => {
+    logger.info('Server listening', { url: `http://localhost:${PORT}` });
   });
+  attachTelemetrySocket(server);
 };
 
-startServer().catch(console.error);
\ No newline at end of file
+// Tests load the app without starting the server
+if (require.main === module) {
+  startServer().catch((error) => {
+    logger.error('Server failed to start', { error });
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { app };
\ No newline at end of file
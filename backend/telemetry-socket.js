@@ -0,0 +1,84 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const config = require('./config');
+const { verifyToken } = require('./auth');
+const { getJob } = require('./jobs');
+const { subscribe, snapshot } = require('./telemetry');
+const { logger } = require('./logger');
+
+// WebSocket channel at /telemetry streaming the events of telemetry.js to
+// signed-in users, starting with a snapshot. Browsers can't set headers on
+// WebSockets, so a URL token for /telemetry comes as a query parameter, as
+// for EventSource streams. The pools are shared, so everyone sees every task, but tasks of
+// other users' jobs come without their file name or job id.
+const TELEMETRY_PATH = '/telemetry';
+
+// Samples are skipped for a client that has this much unsent data; task
+// events are always queued so its timeline stays complete
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+const reject = (socket, status, reason) => {
+  socket.end(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+};
+
+// The parts of a task user may see
+const visibleTask = ({ context, ...task }, user) => {
+  const jobId = context && context.jobId;
+  const own = Boolean(jobId && getJob(jobId, user.id));
+  return { ...task, own, jobId: own ? jobId : null, file: own ? task.file : null };
+};
+
+const visibleEvent = (event, user) => {
+  if (event.type === 'taskStart' || event.type === 'taskEnd') {
+    return { ...event, task: visibleTask(event.task, user) };
+  }
+  if (event.type === 'sample' || event.type === 'snapshot') {
+    return {
+      ...event,
+      pools: event.pools.map(pool => ({
+        ...pool,
+        workers: pool.workers.map(worker => ({
+          ...worker,
+          tasks: worker.tasks.map(task => visibleTask(task, user))
+        }))
+      }))
+    };
+  }
+  return event;
+};
+
+const handleConnection = (socket, user) => {
+  const log = logger.child({ userId: user.id });
+  const send = (event) => {
+    if (socket.readyState !== WebSocket.OPEN) return;
+    if (event.type === 'sample' && socket.bufferedAmount > MAX_BUFFERED_BYTES) return;
+    socket.send(JSON.stringify(visibleEvent(event, user)));
+  };
+
+  send(snapshot());
+  const unsubscribe = subscribe(send);
+  socket.on('close', unsubscribe);
+  socket.on('error', (error) => log.warn('Telemetry socket error', { error }));
+};
+
+// Accept telemetry connections on server's upgrade requests
+const attachTelemetrySocket = (server) => {
+  const sockets = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== TELEMETRY_PATH) return reject(socket, 404, 'Not Found');
+    // Browsers send their origin; other pages must not use a visitor's token
+    const { origin } = req.headers;
+    if (origin && !config.corsOrigins.includes(origin)) return reject(socket, 403, 'Forbidden');
+    const token = url.searchParams.get('token');
+    const user = token && verifyToken(token, TELEMETRY_PATH);
+    if (!user) return reject(socket, 401, 'Unauthorized');
+
+    sockets.handleUpgrade(req, socket, head, connection => handleConnection(connection, user));
+  });
+  return sockets;
+};
+
+module.exports = {
+  attachTelemetrySocket
+};
@@ -0,0 +1,116 @@
+// Live activity of the worker pools, streamed by the telemetry socket. Pools
+// are tracked while they run: the shared thread and process pools for the
+// server's lifetime, each hybrid pool from its layout's first run until it
+// is closed after sitting idle or to make room. Subscribers receive every
+// task start and end as it happens, and while anyone is subscribed a sample
+// of every pool each SAMPLE_INTERVAL_MS: its queue depth and what each worker
+// is doing, with the throughput of its files and how long it has been idle.
+//
+// Events, each with type and time:
+//   { type: 'pools', pools }                    a pool was added or removed
+//   { type: 'taskStart', pool, task }
+//   { type: 'taskEnd', pool, task }             task adds status and bytes
+//   { type: 'sample', pools }
+// A task is { taskId, worker, file, size, context, startedAt }; sampled tasks
+// add bytes and bytesPerSecond.
+
+const SAMPLE_INTERVAL_MS = 500;
+
+const pools = new Map();
+const subscribers = new Set();
+let sampleTimer = null;
+
+// Bytes each running task had read at the previous sample, by pool and task id
+let previousBytes = new Map();
+
+const publish = (event) => {
+  for (const subscriber of subscribers) subscriber(event);
+};
+
+const poolSummary = (id, { label, pool }) => {
+  const { size, capacity } = pool.activity();
+  return { id, label, size, capacity };
+};
+
+const listPools = () => Array.from(pools, ([id, entry]) => poolSummary(id, entry));
+
+// Throughput since the previous sample, or since the task started
+const bytesPerSecond = (key, task, time) => {
+  const previous = previousBytes.get(key) || { bytes: 0, time: task.startedAt };
+  const elapsedMs = time - previous.time;
+  return elapsedMs > 0 ? ((task.bytes - previous.bytes) / elapsedMs) * 1000 : 0;
+};
+
+// remember keeps this sample's byte counts as the base for the next one
+const samplePools = (remember = true) => {
+  const time = Date.now();
+  const seenBytes = new Map();
+  const sampled = Array.from(pools, ([id, { label, pool }]) => {
+    const activity = pool.activity();
+    return {
+      id,
+      label,
+      size: activity.size,
+      capacity: activity.capacity,
+      queued: activity.queued,
+      busy: activity.workers.filter(worker => worker.tasks.length > 0).length,
+      workers: activity.workers.map(worker => ({
+        id: worker.id,
+        idleMs: worker.idleSince === null ? 0 : time - worker.idleSince,
+        tasks: worker.tasks.map((task) => {
+          const key = `${id}:${task.taskId}`;
+          seenBytes.set(key, { bytes: task.bytes, time });
+          return { ...task, bytesPerSecond: bytesPerSecond(key, task, time) };
+        })
+      }))
+    };
+  });
+  if (remember) previousBytes = seenBytes;
+  return { type: 'sample', time, pools: sampled };
+};
+
+// Follow pool's tasks under id until the returned function is called.
+// label names the pool to people, such as "Worker threads".
+const trackPool = (id, label, pool) => {
+  const onStart = ({ time, ...task }) => publish({ type: 'taskStart', time, pool: id, task });
+  const onEnd = ({ time, ...task }) => publish({ type: 'taskEnd', time, pool: id, task });
+  pool.on('taskStart', onStart);
+  pool.on('taskEnd', onEnd);
+  pools.set(id, { label, pool });
+  publish({ type: 'pools', time: Date.now(), pools: listPools() });
+
+  return () => {
+    pool.off('taskStart', onStart);
+    pool.off('taskEnd', onEnd);
+    pools.delete(id);
+    publish({ type: 'pools', time: Date.now(), pools: listPools() });
+  };
+};
+
+// Receive every event until the returned function is called. Sampling runs
+// only while someone is subscribed.
+const subscribe = (listener) => {
+  subscribers.add(listener);
+  if (!sampleTimer) {
+    sampleTimer = setInterval(() => publish(samplePools()), SAMPLE_INTERVAL_MS);
+    sampleTimer.unref();
+  }
+
+  return () => {
+    subscribers.delete(listener);
+    if (subscribers.size === 0) {
+      clearInterval(sampleTimer);
+      sampleTimer = null;
+      previousBytes = new Map();
+    }
+  };
+};
+
+// The current state of every pool, for a new subscriber
+const snapshot = () => ({ ...samplePools(false), type: 'snapshot' });
+
+module.exports = {
+  trackPool,
+  subscribe,
+  snapshot
+};
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const zlib = require('zlib');
+const { once } = require('events');
+const { Readable } = require('stream');
+const tar = require('tar-stream');
+const { archiveEntries, existingEntries, streamArchive } = require('../archive');
+
+let root;
+
+test.before(async () => {
+  root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'archive-test-'));
+  await fs.promises.mkdir(path.join(root, 'nested'));
+  await fs.promises.writeFile(path.join(root, 'a.txt.enc'), 'first');
+  await fs.promises.writeFile(path.join(root, 'nested', 'a.txt.enc'), 'second');
+  await fs.promises.writeFile(path.join(root, 'b.txt.enc'), 'third');
+});
+
+test.after(() => fs.promises.rm(root, { recursive: true, force: true }));
+
+const results = [
+  { originalName: 'a.txt', status: 'succeeded', processedPath: 'a.txt.enc' },
+  { originalName: 'a.txt', status: 'succeeded', processedPath: 'nested/a.txt.enc' },
+  { originalName: 'b.txt', status: 'failed' },
+  { originalName: 'c.txt', status: 'succeeded', processedPath: 'c.txt.enc' },
+  { originalName: 'd.txt', status: 'succeeded', processedPath: '../outside.enc' }
+];
+
+// Serve one archive of entries and collect the response
+const fetchArchive = async (entries, format) => {
+  const server = http.createServer((req, res) => streamArchive(res, entries, { format, name: 'job-1' }));
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/`);
+    return { headers: response.headers, body: Buffer.from(await response.arrayBuffer()) };
+  } finally {
+    server.close();
+  }
+};
+
+test('only outputs that exist inside the root are archived, with repeated names numbered', async () => {
+  const entries = archiveEntries(results, root);
+  assert.deepStrictEqual(entries.map(entry => entry.name), ['a.txt', 'a (1).txt', 'c.txt', 'd.txt']);
+  assert.strictEqual(entries[3].source, null);
+
+  const present = await existingEntries(entries);
+  assert.deepStrictEqual(present.map(entry => entry.name), ['a.txt', 'a (1).txt']);
+});
+
+test('a tar.gz archive streams every entry with its contents', async () => {
+  const { headers, body } = await fetchArchive(await existingEntries(archiveEntries(results, root)), 'tar.gz');
+  assert.strictEqual(headers.get('content-type'), 'application/gzip');
+  assert.strictEqual(headers.get('content-disposition'), 'attachment; filename="job-1.tar.gz"');
+
+  const contents = {};
+  const extract = tar.extract();
+  Readable.from([zlib.gunzipSync(body)]).pipe(extract);
+  for await (const entry of extract) {
+    const chunks = [];
+    for await (const chunk of entry) chunks.push(chunk);
+    contents[entry.header.name] = Buffer.concat(chunks).toString();
+  }
+  assert.deepStrictEqual(contents, { 'a.txt': 'first', 'a (1).txt': 'second' });
+});
+
+test('a zip archive is a complete zip file', async () => {
+  const { headers, body } = await fetchArchive(await existingEntries(archiveEntries(results, root)), 'zip');
+  assert.strictEqual(headers.get('content-type'), 'application/zip');
+  // Local file header first, end of central directory record last
+  assert.strictEqual(body.readUInt32LE(0), 0x04034b50);
+  assert.strictEqual(body.readUInt32LE(body.length - 22), 0x06054b50);
+  assert.strictEqual(body.readUInt16LE(body.length - 12), 2);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { describe } = require('../benchmark');
+
+test('statistics interpolate percentiles and use the sample standard deviation', () => {
+  const samples = [40, 10, 30, 20];
+  const stats = describe(samples);
+  assert.strictEqual(stats.mean, 25);
+  assert.strictEqual(stats.median, 25);
+  // Rank 0.95 * 3 = 2.85, between 30 and 40
+  assert.ok(Math.abs(stats.p95 - 38.5) < 1e-9);
+  assert.ok(Math.abs(stats.stddev - Math.sqrt(500 / 3)) < 1e-9);
+  assert.strictEqual(stats.min, 10);
+  assert.strictEqual(stats.max, 40);
+  // The caller's samples keep their order
+  assert.deepStrictEqual(samples, [40, 10, 30, 20]);
+});
+
+test('odd counts take the middle sample as the median', () => {
+  const stats = describe([5, 1, 9, 3, 7]);
+  assert.strictEqual(stats.median, 5);
+  assert.ok(Math.abs(stats.p95 - 8.6) < 1e-9);
+});
+
+test('a single sample has no spread', () => {
+  assert.deepStrictEqual(describe([12]), { mean: 12, median: 12, p95: 12, stddev: 0, min: 12, max: 12 });
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.HYBRID_PROCESSES = '1';
+process.env.HYBRID_THREADS = '2';
+
+const { processors, startPools, stopPools } = require('../processing');
+const { createJob, runJob, cancelJob } = require('../jobs');
+
+// Two files large enough that neither finishes before the job is stopped
+let dir;
+let files;
+
+test.before(async () => {
+  startPools({ threadPoolSize: 2, processPoolSize: 2 });
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'cancel-test-'));
+  files = [];
+  for (let i = 0; i < 2; i++) {
+    const filePath = path.join(dir, `input-${i}.txt`);
+    await fs.promises.writeFile(filePath, `File number ${i}\n`.repeat(6000000));
+    files.push({ originalname: `input-${i}.txt`, path: filePath, size: (await fs.promises.stat(filePath)).size });
+  }
+});
+
+test.after(async () => {
+  await stopPools();
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+// Run a job on method and report whether any progress came in before it
+// stopped; stop(job) is called on the first progress event
+const runStoppedJob = async (method, { timeoutMs, stop = () => {} }) => {
+  const outputDir = path.join(dir, `out-${method}-${Date.now()}`);
+  const job = createJob({ owner: 'u_test', method, operation: 'encrypt', algorithm: 'caesar', files, timeoutMs });
+  let progressed = false;
+  job.events.on('progress', () => {
+    if (!progressed) stop(job);
+    progressed = true;
+  });
+  await runJob(job, hooks => processors[method](files, 'encrypt', { algorithm: 'caesar', shift: 3, outputDir }, hooks));
+  const outputs = await fs.promises.readdir(outputDir).catch(() => []);
+  return { job, progressed, outputs };
+};
+
+for (const method of ['multithreading', 'multiprocessing', 'hybrid']) {
+  test(`${method}: cancelling a job stops its files and removes partial outputs`, async () => {
+    const { job, progressed, outputs } = await runStoppedJob(method, { timeoutMs: 60000, stop: cancelJob });
+
+    assert.ok(progressed);
+    assert.strictEqual(job.status, 'cancelled');
+    assert.strictEqual(job.error.code, 'ECANCELLED');
+    assert.deepStrictEqual(job.result.results.map(result => result.status), ['skipped', 'skipped']);
+    assert.strictEqual(job.result.results[0].error.message, 'Job was cancelled');
+    assert.strictEqual(job.summary.skipped, files.length);
+    assert.deepStrictEqual(outputs, []);
+  });
+
+  test(`${method}: a job that runs past its timeout is stopped the same way`, async () => {
+    const { job, progressed, outputs } = await runStoppedJob(method, { timeoutMs: 1000 });
+
+    assert.ok(progressed);
+    assert.strictEqual(job.status, 'timed_out');
+    assert.strictEqual(job.error.code, 'ETIMEDOUT');
+    assert.deepStrictEqual(job.result.results.map(result => result.status), ['skipped', 'skipped']);
+    assert.deepStrictEqual(outputs, []);
+  });
+}
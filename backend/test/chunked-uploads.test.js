@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const {
+  createSession,
+  getSession,
+  writeChunk,
+  completeSession,
+  discardSession,
+  toSessionSummary
+} = require('../chunked-uploads');
+
+const CHUNK_SIZE = 64 * 1024;
+const OWNER = 'u_test';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Three chunks, the last one short
+const data = crypto.randomBytes(CHUNK_SIZE * 2 + 1000);
+
+const chunkOf = (index) => data.subarray(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE);
+
+const send = (session, index, chunk = chunkOf(index), checksum = sha256(chunkOf(index))) =>
+  writeChunk(session, index, Readable.from([chunk]), { checksum, declaredLength: chunk.length });
+
+const openSession = async (t) => {
+  const session = await createSession({
+    originalname: 'data.bin',
+    size: data.length,
+    chunkSize: CHUNK_SIZE,
+    owner: OWNER
+  });
+  t.after(() => discardSession(session));
+  return session;
+};
+
+test('chunks arrive in any order and complete into an upload', async (t) => {
+  const session = await openSession(t);
+  assert.deepStrictEqual(toSessionSummary(session).received, []);
+  assert.strictEqual(toSessionSummary(session).totalChunks, 3);
+
+  await send(session, 2);
+  await send(session, 0);
+  assert.deepStrictEqual(toSessionSummary(session).received, [0, 2]);
+  assert.deepStrictEqual(toSessionSummary(session).ranges, [[0, CHUNK_SIZE], [CHUNK_SIZE * 2, data.length]]);
+
+  await assert.rejects(completeSession(session), { status: 409, code: 'EINCOMPLETE' });
+
+  await send(session, 1);
+  // Sending a chunk again is harmless
+  await send(session, 1);
+  assert.deepStrictEqual(toSessionSummary(session).ranges, [[0, data.length]]);
+
+  const file = await completeSession(session, { sha256: sha256(data) });
+  t.after(() => fs.promises.rm(file.path, { force: true }));
+  assert.strictEqual(file.originalname, 'data.bin');
+  assert.strictEqual(file.size, data.length);
+  assert.deepStrictEqual(await fs.promises.readFile(file.path), data);
+  await assert.rejects(getSession(session.id, OWNER), { status: 404 });
+});
+
+test('sessions belong to their owner', async (t) => {
+  const session = await openSession(t);
+  assert.strictEqual(await getSession(session.id, OWNER), session);
+  await assert.rejects(getSession(session.id, 'u_other'), { status: 404 });
+  await assert.rejects(getSession('../../etc/passwd', OWNER), { status: 404 });
+});
+
+test('chunks with the wrong length or checksum are not counted', async (t) => {
+  const session = await openSession(t);
+
+  await assert.rejects(send(session, 0, chunkOf(0), sha256('something else')), { status: 400, code: 'ECHECKSUM' });
+  await assert.rejects(send(session, 0, chunkOf(0).subarray(1), sha256(chunkOf(0).subarray(1))), { status: 400 });
+  await assert.rejects(send(session, 2, chunkOf(1)), { status: 413 });
+  await assert.rejects(send(session, 3), { status: 400 });
+  await assert.rejects(send(session, 0, chunkOf(0), 'not-a-checksum'), { status: 400 });
+  assert.deepStrictEqual(toSessionSummary(session).received, []);
+});
+
+test('a failed resend leaves the chunk that already arrived intact', async (t) => {
+  const session = await openSession(t);
+  for (const index of [0, 1, 2]) await send(session, index);
+
+  const corrupt = crypto.randomBytes(CHUNK_SIZE);
+  await assert.rejects(send(session, 1, corrupt, sha256(chunkOf(1))), { status: 400, code: 'ECHECKSUM' });
+  await assert.rejects(send(session, 1, corrupt.subarray(0, 100), sha256(corrupt.subarray(0, 100))), { status: 400 });
+  assert.deepStrictEqual(toSessionSummary(session).received, [0, 1, 2]);
+
+  const file = await completeSession(session, {});
+  t.after(() => fs.promises.rm(file.path, { force: true }));
+  assert.deepStrictEqual(await fs.promises.readFile(file.path), data);
+});
+
+test('a whole-file checksum mismatch keeps the session open', async (t) => {
+  const session = await openSession(t);
+  for (const index of [0, 1, 2]) await send(session, index);
+
+  await assert.rejects(completeSession(session, { sha256: sha256('other') }), { status: 400, code: 'ECHECKSUM' });
+  assert.strictEqual(await getSession(session.id, OWNER), session);
+});
+
+test('sessions check their size and chunk size', async () => {
+  const options = { originalname: 'a.bin', owner: OWNER };
+  await assert.rejects(createSession({ ...options, size: -1, chunkSize: CHUNK_SIZE }), { status: 400 });
+  await assert.rejects(createSession({ ...options, size: 10, chunkSize: 1024 }), { status: 400 });
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { createEncryptStream, createDecryptStream } = require('../ciphers');
+const { encodeHeader, decodeHeader } = require('../file-header');
+const { AuthenticationError, HeaderError } = require('../errors');
+
+const plaintext = Buffer.from('The quick brown fox jumps over the lazy dog.\n'.repeat(2000));
+
+const run = async (stream, data) => Buffer.concat(await Readable.from([data]).pipe(stream).toArray());
+
+const encrypt = async (data, options) => run(await createEncryptStream(options), data);
+
+// Decrypt a whole encrypted file the way file-processor.js does: the header
+// is parsed first and only the body goes through the stream
+const decrypt = async (data, options) => {
+  const header = decodeHeader(data);
+  const stream = await createDecryptStream(header, options);
+  return run(stream, data.subarray(header ? header.length : 0));
+};
+
+const flipByte = (data, position) => {
+  const copy = Buffer.from(data);
+  copy[position] ^= 0x01;
+  return copy;
+};
+
+test('classical ciphers round-trip and leave non-letters alone', async () => {
+  for (const options of [{ algorithm: 'caesar', shift: 3 }, { algorithm: 'vigenere', keyword: 'Lemon' }]) {
+    const encrypted = await encrypt(plaintext, options);
+    assert.strictEqual(decodeHeader(encrypted).metadata.algorithm, options.algorithm);
+    assert.notDeepStrictEqual(encrypted.subarray(decodeHeader(encrypted).length), plaintext);
+    assert.deepStrictEqual(await decrypt(encrypted, options), plaintext);
+  }
+
+  const encrypted = await encrypt(Buffer.from('Abc, xyz!'), { algorithm: 'caesar', shift: 3 });
+  assert.strictEqual(encrypted.subarray(decodeHeader(encrypted).length).toString(), 'Def, abc!');
+});
+
+test('headerless input falls back to the requested algorithm', async () => {
+  const decrypted = await decrypt(Buffer.from('Def, abc!'), { algorithm: 'caesar', shift: 3 });
+  assert.strictEqual(decrypted.toString(), 'Abc, xyz!');
+});
+
+for (const algorithm of ['aes-256-gcm', 'chacha20-poly1305']) {
+  test(`${algorithm} round-trips with each key derivation function`, async () => {
+    for (const kdf of ['scrypt', 'pbkdf2']) {
+      const options = { algorithm, passphrase: 'correct horse', kdf };
+      const encrypted = await encrypt(plaintext, options);
+      const { metadata } = decodeHeader(encrypted);
+      assert.strictEqual(metadata.kdf.name, kdf);
+      assert.deepStrictEqual(await decrypt(encrypted, options), plaintext);
+    }
+  });
+
+  test(`${algorithm} rejects tampering and wrong passphrases`, async () => {
+    const options = { algorithm, passphrase: 'correct horse', kdf: 'scrypt' };
+    const encrypted = await encrypt(plaintext, options);
+    const header = decodeHeader(encrypted);
+
+    // A changed ciphertext byte, a changed tag byte and a truncated body
+    await assert.rejects(decrypt(flipByte(encrypted, header.length + 10), options), AuthenticationError);
+    await assert.rejects(decrypt(flipByte(encrypted, encrypted.length - 1), options), AuthenticationError);
+    await assert.rejects(decrypt(encrypted.subarray(0, encrypted.length - 1), options), AuthenticationError);
+    await assert.rejects(decrypt(encrypted.subarray(0, header.length + 8), options), AuthenticationError);
+
+    // The header is authenticated too, so editing its metadata is caught
+    const edited = Buffer.concat([
+      encodeHeader({ ...header.metadata, note: 'edited' }),
+      encrypted.subarray(header.length)
+    ]);
+    await assert.rejects(decrypt(edited, options), AuthenticationError);
+
+    await assert.rejects(decrypt(encrypted, { ...options, passphrase: 'wrong horse' }), AuthenticationError);
+  });
+}
+
+test('authenticated ciphers need a header', async () => {
+  await assert.rejects(
+    createDecryptStream(null, { algorithm: 'aes-256-gcm', passphrase: 'secret' }),
+    HeaderError);
+});
+
+test('encryption uses a fresh salt and nonce for every file', async () => {
+  const options = { algorithm: 'aes-256-gcm', passphrase: 'secret', kdf: 'scrypt' };
+  const first = decodeHeader(await encrypt(plaintext, options)).metadata;
+  const second = decodeHeader(await encrypt(plaintext, options)).metadata;
+  assert.notStrictEqual(first.nonce, second.nonce);
+  assert.notStrictEqual(first.kdf.salt, second.kdf.salt);
+});
+
+test('header KDF parameters and nonce are checked before any key is derived', async () => {
+  const options = { algorithm: 'aes-256-gcm', passphrase: 'secret', kdf: 'scrypt' };
+  const { metadata } = decodeHeader(await encrypt(plaintext, options));
+  const { kdf } = metadata;
+  const pbkdf2 = { name: 'pbkdf2', salt: kdf.salt, iterations: 600000, digest: 'sha256' };
+  const opened = (changes) => createDecryptStream(
+    decodeHeader(encodeHeader({ ...metadata, ...changes })), options);
+
+  const rejected = [
+    { kdf: { ...kdf, N: 2 ** 22, r: 64 } },
+    { kdf: { ...kdf, N: 2 ** 21 } },
+    { kdf: { ...kdf, N: 10000 } },
+    { kdf: { ...kdf, r: 0 } },
+    { kdf: { ...kdf, p: 1000 } },
+    { kdf: { ...kdf, N: 2 ** 20, r: 8 } },
+    { kdf: { ...kdf, salt: 'c2hvcnQ=' } },
+    { kdf: { ...kdf, salt: 42 } },
+    { kdf: { ...kdf, name: 'argon2' } },
+    { kdf: null },
+    { kdf: { ...pbkdf2, iterations: 2e8 } },
+    { kdf: { ...pbkdf2, iterations: 0 } },
+    { kdf: { ...pbkdf2, iterations: '600000' } },
+    { kdf: { ...pbkdf2, digest: 'md5' } },
+    { nonce: Buffer.alloc(1024).toString('base64') },
+    { nonce: Buffer.alloc(8).toString('base64') },
+    { nonce: undefined }
+  ];
+  for (const changes of rejected) {
+    await assert.rejects(opened(changes), HeaderError, JSON.stringify(changes));
+  }
+
+  // The defaults themselves are accepted
+  await opened({});
+  await opened({ kdf: pbkdf2 });
+});
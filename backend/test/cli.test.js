@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+let dir;
+
+test.before(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'cli-test-'));
+  await fs.promises.writeFile(path.join(dir, 'passphrase'), 'correct horse\n');
+  await fs.promises.writeFile(path.join(dir, 'plain.txt'), 'some text to protect\n');
+});
+
+test.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+// Run the CLI in dir without LOG_LEVEL, resolving with its exit code and output
+const cli = (args) => new Promise((resolve) => {
+  const { LOG_LEVEL, ...env } = process.env;
+  execFile(process.execPath, [CLI, ...args], { cwd: dir, env, timeout: 60000 }, (error, stdout, stderr) => {
+    resolve({ code: error ? error.code : 0, stdout, stderr });
+  });
+});
+
+const decryptTampered = async (extraArgs) => {
+  const encrypted = await cli(['encrypt', '-a', 'aes-256-gcm', '-p', 'passphrase', '-o', 'out', '--json', 'plain.txt']);
+  assert.strictEqual(encrypted.code, 0, encrypted.stderr);
+  const { processedPath } = JSON.parse(encrypted.stdout).results[0];
+  const data = await fs.promises.readFile(path.join(dir, 'out', processedPath));
+  data[data.length - 1] ^= 1;
+  await fs.promises.writeFile(path.join(dir, 'tampered.enc'), data);
+
+  return cli(['decrypt', '-m', 'sequential', '-p', 'passphrase', '-o', 'out', ...extraArgs, 'tampered.enc']);
+};
+
+test('a failed file is reported on one line without the structured log', async () => {
+  const { code, stdout, stderr } = await decryptTampered([]);
+  assert.strictEqual(code, 1);
+  assert.match(stdout, /^failed {4}tampered\.enc: Authentication failed: wrong passphrase or corrupted file$/m);
+  assert.strictEqual(stderr, '');
+});
+
+test('--verbose adds the full log entry with its stack', async () => {
+  const { code, stderr } = await decryptTampered(['--verbose']);
+  assert.strictEqual(code, 1);
+  const entry = JSON.parse(stderr.trim().split('\n').pop());
+  assert.strictEqual(entry.msg, 'File failed');
+  assert.strictEqual(entry.error.code, 'EAUTH');
+  assert.match(entry.error.stack, /AuthenticationError/);
+});
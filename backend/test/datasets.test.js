@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { validateDatasetParams, planDataset, generateDataset, removeDataset, datasetFiles } = require('../datasets');
+
+const params = (overrides) => ({
+  name: 'sample',
+  fileCount: 4,
+  distribution: { type: 'lognormal', median: 20000, sigma: 1 },
+  contentType: 'text',
+  seed: 42,
+  ...overrides
+});
+
+const generate = async (t, overrides) => {
+  const dataset = planDataset(params(overrides), 'u_test');
+  t.after(() => removeDataset(dataset.id));
+  await generateDataset(dataset);
+  return Promise.all(datasetFiles(dataset).map(file => fs.promises.readFile(file.path)));
+};
+
+test('the same seed and parameters give byte-identical files', async (t) => {
+  const first = await generate(t);
+  const second = await generate(t);
+  assert.deepStrictEqual(second, first);
+  // Sizes follow the distribution rather than being all the same
+  assert.ok(new Set(first.map(data => data.length)).size > 1);
+  assert.match(first[0].toString('latin1'), /^[a-z \n]+$/);
+
+  const reseeded = await generate(t, { seed: 43 });
+  assert.notDeepStrictEqual(reseeded, first);
+});
+
+test('binary datasets write the planned sizes and a manifest', async (t) => {
+  const dataset = planDataset(params({ contentType: 'binary', distribution: { type: 'uniform', min: 100, max: 5000 } }), 'u_test');
+  t.after(() => removeDataset(dataset.id));
+  const summary = await generateDataset(dataset);
+
+  assert.strictEqual(summary.status, 'ready');
+  for (const file of datasetFiles(dataset)) {
+    assert.match(file.originalname, /^file-\d\.bin$/);
+    assert.strictEqual((await fs.promises.stat(file.path)).size, file.size);
+  }
+  const manifest = JSON.parse(await fs.promises.readFile(path.join(path.dirname(datasetFiles(dataset)[0].path), 'manifest.json')));
+  assert.strictEqual(manifest.totalBytes, summary.totalBytes);
+});
+
+test('invalid parameters and oversized datasets are refused', () => {
+  assert.strictEqual(validateDatasetParams(params(), Infinity), null);
+  assert.strictEqual(validateDatasetParams(params({ name: ' ' }), Infinity), 'Dataset name is required');
+  assert.strictEqual(validateDatasetParams(params({ distribution: { type: 'uniform', min: 10, max: 5 } }), Infinity),
+    'uniform distribution requires 0 < min <= max');
+  assert.match(validateDatasetParams(params({ distribution: { type: 'fixed', size: 1000 } }), 3999), /4000 bytes, above the 3999 byte limit/);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const tar = require('tar-stream');
+const { extractArchive } = require('../extract');
+const { uploadPath, removeUpload } = require('../uploads');
+
+const limits = { owner: 'u_test', maxBytes: 64 * 1024 * 1024, maxFileBytes: 16 * 1024 * 1024 };
+
+const packTgz = async (entries) => {
+  const pack = tar.pack();
+  for (const [name, data] of entries) pack.entry({ name }, data);
+  pack.finalize();
+  const chunks = [];
+  for await (const chunk of pack) chunks.push(chunk);
+  return zlib.gzipSync(Buffer.concat(chunks));
+};
+
+const tempDir = async (t) => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'extract-test-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+test('a tar.gz expands into one upload per file under the archive folder', async (t) => {
+  const dir = await tempDir(t);
+  const archivePath = path.join(dir, 'photos.tar.gz');
+  await fs.promises.writeFile(archivePath, await packTgz([['a.txt', 'first'], ['nested/b.txt', 'second']]));
+
+  const files = await extractArchive(archivePath, 'trip/photos.tar.gz', limits);
+  t.after(() => Promise.all(files.map(file => removeUpload(file.id))));
+  assert.deepStrictEqual(files.map(file => file.originalname), ['trip/a.txt', 'trip/nested/b.txt']);
+  assert.strictEqual(await fs.promises.readFile(uploadPath(files[1].id), 'utf8'), 'second');
+});
+
+test('a corrupt tar.gz is refused without an unhandled rejection', async (t) => {
+  const dir = await tempDir(t);
+  const archive = await packTgz([
+    ['first.txt', crypto.randomBytes(256 * 1024)],
+    ['second.txt', crypto.randomBytes(4 * 1024 * 1024)]
+  ]);
+  // Cut off inside the second file's data and followed by garbage
+  const corrupt = Buffer.concat([archive.subarray(0, Math.floor(archive.length / 2)), crypto.randomBytes(4096)]);
+  const archivePath = path.join(dir, 'bad.tar.gz');
+  await fs.promises.writeFile(archivePath, corrupt);
+
+  const unhandled = [];
+  const onUnhandled = (reason) => unhandled.push(reason);
+  process.on('unhandledRejection', onUnhandled);
+  t.after(() => process.off('unhandledRejection', onUnhandled));
+
+  await assert.rejects(extractArchive(archivePath, 'bad.tar.gz', limits), { status: 400 });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepStrictEqual(unhandled, []);
+});
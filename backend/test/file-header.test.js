@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { VERSION, encodeHeader, decodeHeader, readFileHeader } = require('../file-header');
+const { HeaderError } = require('../errors');
+
+const metadata = { algorithm: 'aes-256-gcm', nonce: 'AAAAAAAAAAAAAAAA' };
+
+test('decodeHeader reads back what encodeHeader wrote', () => {
+  const header = encodeHeader(metadata);
+  const body = Buffer.from('body bytes');
+  const decoded = decodeHeader(Buffer.concat([header, body]));
+
+  assert.deepStrictEqual(decoded.metadata, metadata);
+  assert.strictEqual(decoded.length, header.length);
+  assert.deepStrictEqual(decoded.raw, header);
+  assert.strictEqual(header.subarray(0, 4).toString(), 'PFEC');
+  assert.strictEqual(header[4], VERSION);
+});
+
+test('data without the magic bytes has no header', () => {
+  assert.strictEqual(decodeHeader(Buffer.from('plain text file')), null);
+  assert.strictEqual(decodeHeader(Buffer.from('PFE')), null);
+  assert.strictEqual(decodeHeader(Buffer.alloc(0)), null);
+});
+
+test('malformed headers raise HeaderError', () => {
+  const header = encodeHeader(metadata);
+
+  const otherVersion = Buffer.from(header);
+  otherVersion[4] = VERSION + 1;
+  assert.throws(() => decodeHeader(otherVersion), HeaderError);
+
+  assert.throws(() => decodeHeader(header.subarray(0, header.length - 1)), /truncated/);
+
+  const tooLarge = Buffer.from(header);
+  tooLarge.writeUInt32BE(64 * 1024 + 1, 5);
+  assert.throws(() => decodeHeader(tooLarge), /too large/);
+
+  const corrupted = Buffer.from(header);
+  corrupted[9] = '}'.charCodeAt(0);
+  assert.throws(() => decodeHeader(corrupted), /corrupted/);
+
+  for (const value of [null, 42, 'aes-256-gcm', [metadata]]) {
+    assert.throws(() => decodeHeader(encodeHeader(value)), { name: 'HeaderError', message: /must be an object/ });
+  }
+});
+
+test('readFileHeader reads only the header from disk', async (t) => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'header-test-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+  const withHeader = path.join(dir, 'encrypted');
+  const header = encodeHeader(metadata);
+  await fs.promises.writeFile(withHeader, Buffer.concat([header, Buffer.alloc(100000, 1)]));
+  const read = await readFileHeader(withHeader);
+  assert.deepStrictEqual(read.metadata, metadata);
+  assert.strictEqual(read.length, header.length);
+
+  const plain = path.join(dir, 'plain');
+  await fs.promises.writeFile(plain, 'no header here');
+  assert.strictEqual(await readFileHeader(plain), null);
+
+  const empty = path.join(dir, 'empty');
+  await fs.promises.writeFile(empty, '');
+  assert.strictEqual(await readFileHeader(empty), null);
+
+  const truncated = path.join(dir, 'truncated');
+  await fs.promises.writeFile(truncated, header.subarray(0, header.length - 3));
+  await assert.rejects(readFileHeader(truncated), HeaderError);
+});
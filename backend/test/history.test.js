@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// History goes to a scratch data directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-test-'));
+process.env.DATA_DIR = dataDir;
+
+const { recordJob, loadHistory, listHistory, getHistoryRecord } = require('../history');
+
+test.after(() => fs.promises.rm(dataDir, { recursive: true, force: true }));
+
+const processJob = (id, owner, createdAt) => ({
+  id,
+  kind: 'process',
+  owner,
+  status: 'completed',
+  method: 'multithreading',
+  operation: 'encrypt',
+  algorithm: 'caesar',
+  totalFiles: 1,
+  totalBytes: 2e6,
+  summary: { succeeded: 1, failed: 0, skipped: 0 },
+  result: { processingTime: 1000, results: [{ originalName: 'a.txt', status: 'succeeded', outputPath: 'a.txt.enc' }] },
+  createdAt,
+  finishedAt: createdAt + 1000
+});
+
+const benchmarkJob = (id, owner, createdAt) => ({
+  id,
+  kind: 'benchmark',
+  owner,
+  status: 'completed',
+  operation: 'encrypt',
+  algorithm: 'caesar',
+  totalFiles: 2,
+  totalBytes: 4e6,
+  result: { methods: [{ method: 'sequential', label: 'Sequential', mean: 10, median: 10, p95: 12, stddev: 1, min: 9, max: 12, throughputMBps: 400 }] },
+  createdAt,
+  finishedAt: createdAt + 100
+});
+
+test('runs are stored per owner, listed newest first and survive a reload', async () => {
+  await recordJob(processJob('job-1', 'u_alice', 1000));
+  await recordJob(benchmarkJob('bench-1', 'u_alice', 2000));
+  await recordJob(processJob('job-2', 'u_bob', 3000));
+  await recordJob(processJob('job-3', 'u_alice', 4000), { datasetId: 'ds_1' });
+  // A partly written line is skipped rather than breaking the store
+  await fs.promises.appendFile(path.join(dataDir, 'history.jsonl'), '{"id": "torn\n');
+
+  await loadHistory();
+  assert.deepStrictEqual(listHistory({ owner: 'u_alice' }).map(run => run.id), ['job-3', 'bench-1', 'job-1']);
+  assert.deepStrictEqual(listHistory({ owner: 'u_alice', kind: 'process', limit: 1 }).map(run => run.id), ['job-3']);
+  assert.deepStrictEqual(listHistory({ owner: 'u_bob' }).map(run => run.id), ['job-2']);
+
+  const [benchmark, run] = listHistory({ owner: 'u_alice' }).slice(1);
+  assert.deepStrictEqual(benchmark.methods, ['sequential']);
+  assert.strictEqual(benchmark.timings[0].p95, 12);
+  assert.deepStrictEqual(run.timings, { processingTime: 1000, throughputMBps: 2 });
+  // Summaries leave per-file results on disk
+  assert.strictEqual(run.results, undefined);
+});
+
+test('full records are read back only for their owner', async () => {
+  const record = await getHistoryRecord('job-3', 'u_alice');
+  assert.strictEqual(record.datasetId, 'ds_1');
+  assert.deepStrictEqual(record.results, [{ originalName: 'a.txt', status: 'succeeded', outputPath: 'a.txt.enc' }]);
+  assert.strictEqual(await getHistoryRecord('job-3', 'u_bob'), null);
+  assert.strictEqual(await getHistoryRecord('missing', 'u_alice'), null);
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Room for one 1 × 2 or 2 × 1 pool at a time; each test file runs in its own process
+process.env.HYBRID_MAX_WORKERS = '2';
+
+const { processors, processHybrid, stopPools } = require('../processing');
+const { runBenchmark } = require('../benchmark');
+
+const setup = async (t, { count = 4, lines = 1000 } = {}) => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'hybrid-test-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  const files = [];
+  for (let i = 0; i < count; i++) {
+    const filePath = path.join(dir, `input-${i}.txt`);
+    await fs.promises.writeFile(filePath, `File number ${i}\n`.repeat(lines));
+    files.push({ originalname: `input-${i}.txt`, path: filePath, size: (await fs.promises.stat(filePath)).size });
+  }
+  const options = { algorithm: 'caesar', shift: 3, outputDir: path.join(dir, 'out') };
+  return { files, options };
+};
+
+const pids = (result) => new Set(result.resources.workers.map(worker => worker.pid));
+
+test.after(() => stopPools());
+
+test('runs with the same layout share a warm pool', async (t) => {
+  const { files, options } = await setup(t);
+  const layout = { processes: 1, threads: 2 };
+
+  const first = await processHybrid(files, 'encrypt', options, { layout });
+  const second = await processHybrid(files, 'encrypt', options, { layout });
+  assert.strictEqual(first.summary.succeeded, files.length);
+  assert.strictEqual(second.summary.succeeded, files.length);
+  assert.strictEqual(first.method, 'Hybrid (1 × 2)');
+  assert.deepStrictEqual(pids(second), pids(first));
+});
+
+test('hybrid workers report their process CPU time and RSS', async (t) => {
+  const { files, options } = await setup(t);
+  const result = await processHybrid(files, 'encrypt', options, { layout: { processes: 1, threads: 2 } });
+
+  for (const worker of result.resources.workers) {
+    assert.notStrictEqual(worker.pid, process.pid);
+    assert.ok(worker.cpuUserMs >= 0 && worker.cpuSystemMs >= 0, JSON.stringify(worker));
+    assert.ok(worker.peakRssBytes > 0, JSON.stringify(worker));
+  }
+});
+
+test('layouts over the thread limit wait for running pools', async (t) => {
+  const { files, options } = await setup(t);
+  const [wide, tall] = await Promise.all([
+    processHybrid(files, 'encrypt', options, { layout: { processes: 1, threads: 2 } }),
+    processHybrid(files, 'encrypt', options, { layout: { processes: 2, threads: 1 } })
+  ]);
+  assert.strictEqual(wide.summary.succeeded, files.length);
+  assert.strictEqual(tall.summary.succeeded, files.length);
+  assert.strictEqual(tall.method, 'Hybrid (2 × 1)');
+
+  // A run that is cancelled while waiting skips its files
+  const controller = new AbortController();
+  const running = processHybrid(files, 'encrypt', options, { layout: { processes: 1, threads: 2 } });
+  const waiting = processHybrid(files, 'encrypt', options, { layout: { processes: 2, threads: 1 }, signal: controller.signal });
+  controller.abort(new Error('Job cancelled'));
+  const cancelled = await waiting;
+  assert.strictEqual(cancelled.summary.skipped, files.length);
+  assert.strictEqual((await running).summary.succeeded, files.length);
+});
+
+test('cancelling one run leaves the other runs in the same pool alone', async (t) => {
+  const large = await setup(t, { count: 2, lines: 2000000 });
+  const small = await setup(t);
+  const layout = { processes: 1, threads: 2 };
+  const controller = new AbortController();
+
+  // One file of each run at a time, so both are in the child process together
+  const [cancelled, finished] = await Promise.all([
+    processHybrid(large.files, 'encrypt', large.options, {
+      layout,
+      concurrency: 1,
+      signal: controller.signal,
+      onStart: () => controller.abort(new Error('Job cancelled'))
+    }),
+    processHybrid(small.files, 'encrypt', small.options, { layout, concurrency: 1 })
+  ]);
+
+  assert.strictEqual(cancelled.summary.skipped, large.files.length);
+  assert.strictEqual(cancelled.results[0].error.message, 'Job cancelled');
+  assert.deepStrictEqual(await fs.promises.readdir(large.options.outputDir).catch(() => []), []);
+  assert.strictEqual(finished.summary.succeeded, small.files.length);
+  // The child process was never replaced
+  assert.strictEqual(pids(finished).size, 1);
+});
+
+test('benchmark runs are timed without waiting for or starting their pool', async (t) => {
+  const large = await setup(t, { count: 2, lines: 2000000 });
+  const small = await setup(t);
+
+  // A run of another layout holds every thread the pools may use
+  const blockerStart = Date.now();
+  const blocker = processHybrid(large.files, 'encrypt', large.options, { layout: { processes: 2, threads: 1 } })
+    .then(() => Date.now() - blockerStart);
+  const benchmark = await runBenchmark({
+    processors,
+    methods: ['hybrid'],
+    files: small.files,
+    totalBytes: 0,
+    operation: 'encrypt',
+    options: small.options,
+    layout: { processes: 1, threads: 2 },
+    warmup: 0,
+    iterations: 2
+  });
+  const blockedMs = await blocker;
+
+  const [{ label, samples }] = benchmark.methods;
+  assert.strictEqual(label, 'Hybrid (1 × 2)');
+  for (const sample of samples) {
+    assert.ok(sample < blockedMs / 2, `${sample} ms timed while the pool was held for ${blockedMs} ms`);
+  }
+});
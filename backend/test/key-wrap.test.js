@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { createWrappedDataKey, unwrapDataKey, keyFingerprint } = require('../key-wrap');
+const { createEncryptStream, createDecryptStream } = require('../ciphers');
+const { decodeHeader } = require('../file-header');
+const { AuthenticationError, HeaderError } = require('../errors');
+
+const pemPair = (type, options = {}) => crypto.generateKeyPairSync(type, {
+  ...options,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+
+const rsa = pemPair('rsa', { modulusLength: 2048 });
+const x25519 = pemPair('x25519');
+const stranger = pemPair('x25519');
+
+test('data keys round-trip through RSA-OAEP and X25519 recipients', () => {
+  const { dataKey, recipients } = createWrappedDataKey([rsa.publicKey, x25519.publicKey]);
+  assert.deepStrictEqual(recipients.map(recipient => recipient.type), ['rsa', 'x25519']);
+  assert.strictEqual(recipients[0].fingerprint, keyFingerprint(rsa.privateKey));
+
+  assert.deepStrictEqual(unwrapDataKey(recipients, [rsa.privateKey]), dataKey);
+  assert.deepStrictEqual(unwrapDataKey(recipients, [x25519.privateKey]), dataKey);
+  assert.deepStrictEqual(unwrapDataKey(recipients, [stranger.privateKey, x25519.privateKey]), dataKey);
+});
+
+test('the wrong private key or a modified wrapped key is refused', () => {
+  const { recipients } = createWrappedDataKey([rsa.publicKey, x25519.publicKey]);
+  assert.throws(() => unwrapDataKey(recipients, [stranger.privateKey]), /not encrypted for any/);
+  assert.throws(() => unwrapDataKey(recipients, []), AuthenticationError);
+
+  for (const index of [0, 1]) {
+    const wrapped = Buffer.from(recipients[index].wrappedKey, 'base64');
+    wrapped[0] ^= 0x01;
+    const modified = recipients.map((recipient, i) =>
+      (i === index ? { ...recipient, wrappedKey: wrapped.toString('base64') } : recipient));
+    const privateKey = index === 0 ? rsa.privateKey : x25519.privateKey;
+    assert.throws(() => unwrapDataKey(modified, [privateKey]), /header was modified/);
+  }
+});
+
+test('malformed recipient entries are header errors', () => {
+  const { recipients } = createWrappedDataKey([x25519.publicKey]);
+  const [entry] = recipients;
+  const malformed = [
+    null,
+    [null],
+    ['rsa'],
+    [[entry]],
+    [{ ...entry, type: 'dsa' }],
+    [{ ...entry, fingerprint: 42 }],
+    [{ ...entry, nonce: undefined }],
+    [entry, null]
+  ];
+  for (const list of malformed) {
+    assert.throws(() => unwrapDataKey(list, [x25519.privateKey]), HeaderError, JSON.stringify(list));
+  }
+});
+
+test('files encrypted for recipients decrypt with their private keys', async () => {
+  const plaintext = Buffer.from('For your eyes only.\n'.repeat(500));
+  const run = async (stream, data) => Buffer.concat(await Readable.from([data]).pipe(stream).toArray());
+
+  const encrypted = await run(await createEncryptStream({ algorithm: 'aes-256-gcm', recipients: [rsa.publicKey] }), plaintext);
+  const header = decodeHeader(encrypted);
+  const decrypt = async (privateKeys) =>
+    run(await createDecryptStream(header, { algorithm: 'aes-256-gcm', privateKeys }), encrypted.subarray(header.length));
+
+  assert.deepStrictEqual(await decrypt([rsa.privateKey]), plaintext);
+  await assert.rejects(decrypt([x25519.privateKey]), AuthenticationError);
+});
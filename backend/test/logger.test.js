@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LOG_LEVEL = 'info';
+
+const { logger } = require('../logger');
+
+// Capture what each stream is sent while fn runs
+const capture = (t, fn) => {
+  const written = { stdout: [], stderr: [] };
+  for (const name of ['stdout', 'stderr']) {
+    t.mock.method(process[name], 'write', (chunk) => {
+      written[name].push(chunk);
+      return true;
+    });
+  }
+  fn();
+  t.mock.restoreAll();
+  return written;
+};
+
+test('entries are one JSON line with context, fields and serialized errors', (t) => {
+  const error = Object.assign(new Error('disk full'), { code: 'ENOSPC' });
+  const written = capture(t, () => {
+    logger.child({ requestId: 'req-1' }).child({ jobId: 'job-1' }).info('Job finished', { files: 3 });
+    logger.error('Write failed', { error });
+  });
+
+  assert.strictEqual(written.stdout.length, 1);
+  assert.ok(written.stdout[0].endsWith('\n'));
+  const info = JSON.parse(written.stdout[0]);
+  assert.strictEqual(info.level, 'info');
+  assert.strictEqual(info.msg, 'Job finished');
+  assert.strictEqual(info.pid, process.pid);
+  assert.strictEqual(info.requestId, 'req-1');
+  assert.strictEqual(info.jobId, 'job-1');
+  assert.strictEqual(info.files, 3);
+  assert.ok(!Number.isNaN(Date.parse(info.time)));
+
+  // Warnings and errors go to stderr
+  assert.strictEqual(written.stderr.length, 1);
+  const logged = JSON.parse(written.stderr[0]).error;
+  assert.deepStrictEqual({ ...logged, stack: undefined }, { name: 'Error', message: 'disk full', code: 'ENOSPC', stack: undefined });
+  assert.match(logged.stack, /disk full/);
+});
+
+test('entries below the configured level are dropped', (t) => {
+  const written = capture(t, () => {
+    logger.debug('Noisy detail');
+    logger.warn('Slow scrape');
+  });
+  assert.deepStrictEqual(written.stdout, []);
+  assert.strictEqual(JSON.parse(written.stderr[0]).level, 'warn');
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { normalizeRelativePath, resolveWithin, toRelativePath } = require('../paths');
+
+test('normalizeRelativePath cleans client paths', () => {
+  assert.strictEqual(normalizeRelativePath('photos/2023/a.jpg'), 'photos/2023/a.jpg');
+  assert.strictEqual(normalizeRelativePath('photos\\2023\\a.jpg'), 'photos/2023/a.jpg');
+  assert.strictEqual(normalizeRelativePath('/photos//./a.jpg'), 'photos/a.jpg');
+  assert.strictEqual(normalizeRelativePath('a<b>:c?.txt'), 'a_b__c_.txt');
+  assert.strictEqual(normalizeRelativePath('notes. '), 'notes');
+  assert.strictEqual(normalizeRelativePath('x'.repeat(300)).length, 255);
+});
+
+test('normalizeRelativePath refuses paths that climb or name nothing', () => {
+  for (const name of ['../a.txt', 'docs/../../a.txt', '..\\a.txt', 'docs/..', '', '.', '/', './/.', '...']) {
+    assert.strictEqual(normalizeRelativePath(name), null, name);
+  }
+});
+
+test('resolveWithin keeps paths inside their root', () => {
+  const root = path.resolve('/srv/data');
+  assert.strictEqual(resolveWithin(root, 'a/b.txt'), path.join(root, 'a', 'b.txt'));
+  assert.strictEqual(resolveWithin(root, 'a/../b.txt'), path.join(root, 'b.txt'));
+  assert.strictEqual(resolveWithin(root, '..dots'), path.join(root, '..dots'));
+
+  for (const relativePath of ['../b.txt', 'a/../../b.txt', '/etc/passwd', '', '.', '../data2/b.txt']) {
+    assert.strictEqual(resolveWithin(root, relativePath), null, relativePath);
+  }
+});
+
+test('toRelativePath uses forward slashes', () => {
+  const root = path.resolve('/srv/data');
+  assert.strictEqual(toRelativePath(root, path.join(root, 'a', 'b.txt')), 'a/b.txt');
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// History is read from and recorded to a scratch data directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'planner-test-'));
+process.env.DATA_DIR = dataDir;
+
+const { planProcessing } = require('../planner');
+const { startPools, stopPools } = require('../processing');
+const { recordJob } = require('../history');
+
+const MB = 1e6;
+const files = (count, size) => Array.from({ length: count }, (value, i) => ({ originalname: `f${i}`, size }));
+const caesar = { algorithm: 'caesar', shift: 3 };
+
+// Plans depend on the CPU count, so each test sets its own
+const withCpus = (t, count) => t.mock.method(os, 'cpus', () => new Array(count).fill({ model: 'test', speed: 0 }));
+
+test.before(() => startPools({ threadPoolSize: 4, processPoolSize: 4 }));
+
+test.after(async () => {
+  await stopPools();
+  await fs.promises.rm(dataDir, { recursive: true, force: true });
+});
+
+test('without history, small batches run sequentially', (t) => {
+  withCpus(t, 4);
+  const plan = planProcessing(files(1, 10 * MB), 'encrypt', caesar);
+  assert.strictEqual(plan.method, 'sequential');
+  assert.strictEqual(plan.concurrency, 1);
+  assert.deepStrictEqual(plan.estimates.map(estimate => estimate.method), ['sequential', 'multithreading', 'multiprocessing']);
+  assert.match(plan.reason, /single file/);
+  assert.match(plan.reason, /default costs were used/);
+
+  withCpus(t, 1);
+  assert.strictEqual(planProcessing(files(8, 10 * MB), 'encrypt', caesar).method, 'sequential');
+});
+
+test('without history, large batches go to the thread pool across every CPU', (t) => {
+  withCpus(t, 4);
+  const plan = planProcessing(files(8, 10 * MB), 'encrypt', caesar);
+  assert.strictEqual(plan.method, 'multithreading');
+  assert.strictEqual(plan.concurrency, 4);
+  assert.ok(plan.estimates.every(estimate => estimate.calibrationRuns === 0));
+});
+
+test('past runs that were slower than estimated steer the plan away from their method', async (t) => {
+  withCpus(t, 4);
+  // Worker threads took ten times their estimate on this workload
+  const now = Date.now();
+  await recordJob({
+    id: 'calibration-run',
+    kind: 'process',
+    owner: 'u_test',
+    status: 'completed',
+    method: 'multithreading',
+    operation: 'encrypt',
+    algorithm: 'caesar',
+    totalFiles: 8,
+    totalBytes: 80 * MB,
+    summary: { succeeded: 8, failed: 0, skipped: 0, mismatched: 0 },
+    result: { method: 'Worker Threads', processingTime: 6000, results: [] },
+    createdAt: now,
+    finishedAt: now
+  });
+
+  const plan = planProcessing(files(8, 10 * MB), 'encrypt', caesar);
+  assert.strictEqual(plan.method, 'multiprocessing');
+  const threads = plan.estimates.find(estimate => estimate.method === 'multithreading');
+  assert.strictEqual(threads.calibrationRuns, 1);
+  assert.ok(threads.estimatedMs > 5000, JSON.stringify(threads));
+  assert.match(plan.reason, /scaled by up to 1 past runs/);
+
+  // Other algorithms aren't affected
+  assert.strictEqual(planProcessing(files(8, 10 * MB), 'encrypt', { algorithm: 'vigenere', keyword: 'key' }).method,
+    'multithreading');
+});
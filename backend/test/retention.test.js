@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { collectCandidates, chooseRemovals } = require('../retention');
+const { SESSIONS_DIR, createSession, discardSession } = require('../chunked-uploads');
+const config = require('../config');
+
+const MINUTE = 60 * 1000;
+const now = Date.now();
+
+const candidate = (name, size, ageMs, ttlMs = 60 * MINUTE) =>
+  ({ path: `/files/${name}`, size, mtimeMs: now - ageMs, expiresAt: now - ageMs + ttlMs });
+
+const removed = (candidates, quotaBytes) =>
+  chooseRemovals(candidates, now, quotaBytes).removals.map(removal => path.basename(removal.path));
+
+test('expired candidates are removed whatever the quota', () => {
+  const candidates = [
+    candidate('expired', 10, 61 * MINUTE),
+    candidate('fresh', 10, 2 * MINUTE),
+    candidate('just-expired', 10, 10 * MINUTE, 10 * MINUTE)
+  ];
+  assert.deepStrictEqual(removed(candidates, Infinity), ['expired', 'just-expired']);
+  assert.strictEqual(chooseRemovals(candidates, now, Infinity).usedBytes, 10);
+});
+
+test('over the quota the oldest files go first, and only until it fits', () => {
+  const candidates = [
+    candidate('middle', 100, 20 * MINUTE),
+    candidate('newest', 100, 10 * MINUTE),
+    candidate('oldest', 100, 30 * MINUTE),
+    // Too new to evict: it may still be being written
+    candidate('writing', 100, 10 * 1000)
+  ];
+  assert.deepStrictEqual(removed(candidates, 250), ['oldest', 'middle']);
+  assert.strictEqual(chooseRemovals(candidates, now, 250).usedBytes, 200);
+  assert.deepStrictEqual(removed(candidates, 0), ['oldest', 'middle', 'newest']);
+  assert.deepStrictEqual(removed(candidates, 400), []);
+});
+
+test('open upload sessions count toward the quota but are only removed when idle too long', async (t) => {
+  const session = await createSession({ originalname: 'big.bin', size: 1024 * 1024, chunkSize: 64 * 1024, owner: 'u_test' });
+  t.after(() => discardSession(session));
+
+  const candidates = await collectCandidates();
+  const sessionCandidates = candidates.filter(found => path.dirname(found.path) === SESSIONS_DIR);
+  // One candidate for the session's state and partial data together
+  assert.strictEqual(sessionCandidates.length, 1);
+  assert.strictEqual(sessionCandidates[0].session, session);
+
+  const idle = { ...sessionCandidates[0], mtimeMs: now - 30 * MINUTE };
+  const old = candidate('old-output', 10, 30 * MINUTE);
+  assert.deepStrictEqual(removed([idle, old], 0), ['old-output']);
+  assert.strictEqual(chooseRemovals([idle, old], now, 0).usedBytes, session.size);
+
+  const expiredAt = session.updatedAt + config.uploadTtlSeconds * 1000;
+  assert.deepStrictEqual(chooseRemovals([sessionCandidates[0]], expiredAt, Infinity).removals, [sessionCandidates[0]]);
+});
@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+
+// Users and history go to a scratch data directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.AUTH_SECRET = 'server-test-secret';
+process.env.LOG_LEVEL = 'error';
+
+const { app } = require('../server');
+const { loadUsers } = require('../auth');
+const { datasetDir } = require('../datasets');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  await loadUsers();
+  server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+  server.closeAllConnections();
+  server.close();
+  await fs.promises.rm(dataDir, { recursive: true, force: true });
+});
+
+const api = (urlPath, { token, method = 'GET', body } = {}) => fetch(baseUrl + urlPath, {
+  method,
+  headers: {
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    ...(body ? { 'Content-Type': 'application/json' } : {})
+  },
+  body: body && JSON.stringify(body)
+});
+
+const register = async (username) => {
+  const response = await api('/auth/register', { method: 'POST', body: { username, password: 'password1' } });
+  assert.strictEqual(response.status, 201);
+  return (await response.json()).token;
+};
+
+const waitFor = async (check) => {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const value = await check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error('Timed out waiting');
+};
+
+test('DELETE /datasets/:id removes a dataset and its files', async () => {
+  const token = await register('dataset-owner');
+  const other = await register('dataset-other');
+
+  const created = await api('/datasets', {
+    token,
+    method: 'POST',
+    body: { name: 'small', fileCount: 3, distribution: { type: 'fixed', size: 1024 } }
+  });
+  assert.strictEqual(created.status, 202);
+  const { dataset } = await created.json();
+  await waitFor(async () => (await (await api(`/datasets/${dataset.id}`, { token })).json()).dataset.status === 'ready');
+  assert.strictEqual((await fs.promises.readdir(datasetDir(dataset.id))).length, 4);
+
+  // Other users can't see or delete it
+  assert.strictEqual((await api(`/datasets/${dataset.id}`, { token: other, method: 'DELETE' })).status, 404);
+
+  const deleted = await api(`/datasets/${dataset.id}`, { token, method: 'DELETE' });
+  assert.deepStrictEqual(await deleted.json(), { success: true, message: 'Dataset deleted' });
+  await assert.rejects(fs.promises.access(datasetDir(dataset.id)), { code: 'ENOENT' });
+  assert.strictEqual((await api(`/datasets/${dataset.id}`, { token, method: 'DELETE' })).status, 404);
+  assert.deepStrictEqual((await (await api('/datasets', { token })).json()).datasets, []);
+});
+
+test('invalid dataset parameters get a 400 from the shared error handler', async () => {
+  const token = await register('dataset-invalid');
+  const response = await api('/datasets', { token, method: 'POST', body: { name: 'bad', fileCount: 0 } });
+  assert.strictEqual(response.status, 400);
+  assert.deepStrictEqual(await response.json(),
+    { success: false, message: 'fileCount must be between 1 and 10000', code: null });
+});
+
+test('unknown history runs get a 404 from the shared error handler', async () => {
+  const token = await register('history-user');
+  const response = await api('/history/missing-run', { token });
+  assert.strictEqual(response.status, 404);
+  assert.deepStrictEqual(await response.json(), { success: false, message: 'Run not found', code: null });
+});
+
+test('archive requests for unknown formats or jobs get errors from the shared handler', async () => {
+  const token = await register('archive-user');
+  const badFormat = await api('/jobs/missing-job/archive?format=rar', { token });
+  assert.strictEqual(badFormat.status, 400);
+  assert.deepStrictEqual(await badFormat.json(),
+    { success: false, message: 'format must be one of: zip, tar.gz', code: null });
+
+  const missing = await api('/jobs/missing-job/archive', { token });
+  assert.strictEqual(missing.status, 404);
+  assert.strictEqual((await missing.json()).message, 'No finished process job with that id');
+});
+
+test('/metrics is a Prometheus scrape with process CPU time as a counter', async () => {
+  await api('/health');
+  const scrape = async () => {
+    const response = await api('/metrics');
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    return response.text();
+  };
+  const cpuSeconds = (text) => Number(text.match(/^process_cpu_seconds_total (\S+)$/m)[1]);
+
+  const first = await scrape();
+  assert.match(first, /^# TYPE process_cpu_seconds_total counter$/m);
+  assert.match(first, /^# TYPE process_resident_memory_bytes gauge$/m);
+  assert.match(first, /^http_requests_total\{method="GET",route="\/health",status="200"\} \d+$/m);
+  assert.match(first, /^http_request_duration_seconds_bucket\{method="GET",route="\/health",le="\+Inf"\} \d+$/m);
+
+  // A counter never goes down between scrapes
+  const second = await scrape();
+  assert.ok(cpuSeconds(first) > 0);
+  assert.ok(cpuSeconds(second) >= cpuSeconds(first));
+});
+
+test('requests without a valid token are refused', async () => {
+  const token = await register('auth-user');
+  assert.strictEqual((await api('/auth/me')).status, 401);
+  assert.strictEqual((await api('/auth/me', { token: `${token}x` })).status, 401);
+  assert.strictEqual((await api('/auth/me', { token })).status, 200);
+  // Session tokens aren't accepted in URLs
+  assert.strictEqual((await api(`/datasets?token=${token}`)).status, 401);
+});
+
+test('URL tokens work only for their path and only briefly', async (t) => {
+  const token = await register('url-user');
+  const issue = async (urlPath) =>
+    (await (await api('/auth/url-token', { token, method: 'POST', body: { path: urlPath } })).json()).token;
+
+  const urlToken = await issue('/datasets');
+  assert.strictEqual((await api(`/datasets?token=${urlToken}`)).status, 200);
+  assert.strictEqual((await api(`/uploads?token=${urlToken}`)).status, 401);
+  // Nor as a session token, or to get more of them
+  assert.strictEqual((await api('/datasets', { token: urlToken })).status, 401);
+  assert.strictEqual((await api('/auth/url-token', { token: urlToken, method: 'POST', body: { path: '/datasets' } })).status, 401);
+  assert.strictEqual((await api('/auth/url-token', { token, method: 'POST', body: { path: '/auth/me' } })).status, 400);
+
+  const issuedAt = Date.now();
+  t.mock.method(Date, 'now', () => issuedAt + 61 * 1000);
+  assert.strictEqual((await api(`/datasets?token=${urlToken}`)).status, 401);
+});
+
+test('unknown users and wrong passwords get the same answer', async () => {
+  await register('known-user');
+  const login = async (username, password) => {
+    const response = await api('/auth/login', { method: 'POST', body: { username, password } });
+    return [response.status, (await response.json()).message];
+  };
+  const timed = async (username) => {
+    const start = process.hrtime.bigint();
+    assert.deepStrictEqual(await login(username, 'wrong-password'), [401, 'Invalid username or password']);
+    return Number(process.hrtime.bigint() - start);
+  };
+  const wrongPassword = await timed('known-user');
+  const unknownUser = await timed('nobody-here');
+  // An unknown name still costs a password hash; skipping it would be many times faster
+  assert.ok(unknownUser > wrongPassword / 2, `${unknownUser} vs ${wrongPassword}`);
+  assert.strictEqual((await login('known-user', 'password1'))[0], 200);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// A small limit keeps the streams short; each test file runs in its own process
+process.env.UPLOAD_MAX_REQUEST_BYTES = String(1024 * 1024);
+
+const config = require('../config');
+const { limitRequestSize, meterUploadBytes } = require('../validation');
+
+const drain = () => new Writable({ write: (chunk, encoding, callback) => callback() });
+
+test('limitRequestSize refuses a declared length over the limit', () => {
+  let passed;
+  limitRequestSize({ headers: { 'content-length': String(config.uploadMaxRequestBytes + 1) } }, null, (error) => {
+    passed = error;
+  });
+  assert.strictEqual(passed.status, 413);
+
+  limitRequestSize({ headers: {} }, null, (error) => {
+    passed = error;
+  });
+  assert.strictEqual(passed, undefined);
+});
+
+test('meterUploadBytes counts every file of a request against the limit', async () => {
+  const req = {};
+  const chunk = Buffer.alloc(64 * 1024);
+  const chunks = (count) => Readable.from(Array(count).fill(chunk));
+  const limitChunks = Math.floor(config.uploadMaxRequestBytes / chunk.length);
+
+  // Splitting a request over several files doesn't get around the limit
+  await pipeline(chunks(Math.floor(limitChunks / 2)), meterUploadBytes(req), drain());
+  await assert.rejects(
+    pipeline(chunks(limitChunks), meterUploadBytes(req), drain()),
+    { status: 413 });
+  assert.ok(req.uploadedBytes > config.uploadMaxRequestBytes);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+
+process.env.LOG_LEVEL = 'error';
+
+const { createWorkerPool } = require('../worker-pool');
+
+const file = (name) => ({ originalname: name, path: `/nonexistent/${name}`, size: 1 });
+
+// Worker handles that finish their first tasksBeforeExit tasks and exit
+// when given the next one
+const fakeSpawn = ({ tasksBeforeExit = 0 } = {}) => {
+  const spawned = [];
+  const spawn = () => {
+    const worker = new EventEmitter();
+    let tasks = 0;
+    spawned.push({ worker, time: Date.now() });
+    worker.send = (message) => setImmediate(() => {
+      if (tasks++ < tasksBeforeExit) {
+        worker.emit('message', { type: 'result', taskId: message.taskId, result: { status: 'succeeded' } });
+      } else {
+        worker.emit('exit', 1);
+      }
+    });
+    worker.terminate = async () => {};
+    setImmediate(() => worker.emit('message', { type: 'ready' }));
+    return worker;
+  };
+  return { spawn, spawned };
+};
+
+test('a worker that keeps exiting is restarted with growing delays, then given up', async (t) => {
+  const { spawn, spawned } = fakeSpawn();
+  const pool = createWorkerPool({ size: 1, spawn, name: 'Test pool', restartDelayMs: 20, maxRestarts: 3 });
+  t.after(() => pool.close());
+  const restarts = [];
+  pool.on('restart', (id) => restarts.push(id));
+
+  const results = await pool.run([file('a'), file('b'), file('c'), file('d'), file('e')], 'encrypt', {});
+  // One file lost with each of the four workers, then the rest fail at once
+  assert.strictEqual(spawned.length, 4);
+  assert.deepStrictEqual(restarts, [0, 0, 0]);
+  assert.ok(results.every(result => result.status === 'failed'));
+  assert.match(results[0].error.message, /Test pool worker 0 exited with code 1 while processing a/);
+  assert.strictEqual(results[4].error.message, 'Test pool has no workers left: they kept exiting');
+
+  const gaps = spawned.slice(1).map((entry, index) => entry.time - spawned[index].time);
+  assert.ok(gaps[0] >= 15 && gaps[1] >= 35 && gaps[2] >= 75, `${gaps}`);
+
+  const [late] = await pool.run([file('f')], 'encrypt', {});
+  assert.strictEqual(late.error.message, 'Test pool has no workers left: they kept exiting');
+  assert.strictEqual(spawned.length, 4);
+});
+
+test('finishing a task resets the count of exits in a row', async (t) => {
+  // Each worker gets one file done, then exits on the next
+  const { spawn, spawned } = fakeSpawn({ tasksBeforeExit: 1 });
+  const pool = createWorkerPool({ size: 1, spawn, restartDelayMs: 1, maxRestarts: 1 });
+  t.after(() => pool.close());
+
+  const statuses = [];
+  for (const name of ['a', 'b', 'c', 'd', 'e']) {
+    const [result] = await pool.run([file(name)], 'encrypt', {});
+    statuses.push(result.status);
+  }
+  assert.deepStrictEqual(statuses, ['succeeded', 'failed', 'succeeded', 'failed', 'succeeded']);
+  assert.strictEqual(spawned.length, 3);
+});
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const config = require('./config');
+const { logger } = require('./logger');
+const { normalizeRelativePath } = require('./paths');
+
+// Uploaded data is stored as uploads/<id>, with its metadata in uploads/<id>.json.
+// Clients refer to uploads only by id, never by path.
+const UPLOADS_DIR = path.join(__dirname, 'uploads');
+
+const uploads = new Map();
+
+const createUploadId = () => `up_${crypto.randomBytes(12).toString('hex')}`;
+
+const UPLOAD_ID_PATTERN = /^up_[0-9a-f]{24}$/;
+
+const uploadPath = (id) => path.join(UPLOADS_DIR, id);
+
+const metadataPath = (id) => path.join(UPLOADS_DIR, `${id}.json`);
+
+// Extension check against config.uploadAllowedExtensions; an empty list allows any type
+const isAllowedType = (filename) => {
+  const allowed = config.uploadAllowedExtensions;
+  if (allowed.length === 0) return true;
+  const lower = filename.toLowerCase();
+  return allowed.some(extension => lower.endsWith(extension));
+};
+
+// Clean a client-side file name, which may carry a folder path. Names that
+// try to climb out of their folder keep only their base name.
+const uploadName = (name, fallback) =>
+  normalizeRelativePath(name) || normalizeRelativePath(path.basename(String(name))) || fallback;
+
+// Public view of an upload; the owner is only used for access checks
+const toUploadSummary = ({ id, originalname, size, createdAt }) => ({
+  id,
+  originalname,
+  size,
+  createdAt,
+  expiresAt: createdAt + config.uploadTtlSeconds * 1000
+});
+
+// Record data already written to uploadPath(id) under its client-side name,
+// owned by the user who sent it
+const registerUpload = async ({ id, originalname, size, owner }) => {
+  const upload = { id, originalname, size, owner, createdAt: Date.now() };
+  await fs.promises.writeFile(metadataPath(id), JSON.stringify(upload));
+  uploads.set(id, upload);
+  return upload;
+};
+
+// Store a stream as a new upload, for files that don't come through multer
+const saveUploadStream = async (originalname, stream, owner) => {
+  const id = createUploadId();
+  const output = fs.createWriteStream(uploadPath(id));
+  try {
+    await pipeline(stream, output);
+  } catch (error) {
+    await fs.promises.rm(uploadPath(id), { force: true });
+    throw error;
+  }
+  return registerUpload({ id, originalname, size: output.bytesWritten, owner });
+};
+
+const removeUpload = async (id) => {
+  uploads.delete(id);
+  await fs.promises.rm(uploadPath(id), { force: true });
+  await fs.promises.rm(metadataPath(id), { force: true });
+};
+
+// Register every upload already on disk whose data is still present
+const loadUploads = async () => {
+  await fs.promises.mkdir(UPLOADS_DIR, { recursive: true });
+  for (const entry of await fs.promises.readdir(UPLOADS_DIR)) {
+    const id = path.basename(entry, '.json');
+    if (!entry.endsWith('.json') || !UPLOAD_ID_PATTERN.test(id)) continue;
+    try {
+      const upload = JSON.parse(await fs.promises.readFile(metadataPath(id), 'utf8'));
+      await fs.promises.access(uploadPath(id));
+      uploads.set(id, upload);
+    } catch (error) {
+      logger.warn('Skipping upload', { upload: id, error: error.message });
+    }
+  }
+};
+
+const listUploads = () => Array.from(uploads.values());
+
+// An upload, if it exists and belongs to owner
+const getUpload = (id, owner) => {
+  const upload = typeof id === 'string' && UPLOAD_ID_PATTERN.test(id) ? uploads.get(id) : undefined;
+  return upload && upload.owner === owner ? upload : undefined;
+};
+
+// Upload in the shape the processors expect
+const uploadFile = (upload) => ({
+  originalname: upload.originalname,
+  path: uploadPath(upload.id),
+  size: upload.size
+});
+
+module.exports = {
+  UPLOADS_DIR,
+  uploadPath,
+  metadataPath,
+  createUploadId,
+  isAllowedType,
+  uploadName,
+  registerUpload,
+  saveUploadStream,
+  removeUpload,
+  loadUploads,
+  listUploads,
+  getUpload,
+  uploadFile,
+  toUploadSummary
+};
@@ -0,0 +1,181 @@
+const { Transform } = require('stream');
+const config = require('./config');
+const { HttpError } = require('./errors');
+const { validateCipherOptions } = require('./ciphers');
+const { OPERATIONS } = require('./file-processor');
+const { listKdfs } = require('./kdf');
+const { getDataset, datasetFiles } = require('./datasets');
+const { getUpload, uploadFile } = require('./uploads');
+const { getKey, listKeys } = require('./keys');
+
+// Request checks shared by the routes. Each throws an HttpError with the
+// status to respond with; the server's error handler turns it into JSON.
+
+const KEY_MODES = ['passphrase', 'public-key'];
+
+// Keys for public-key mode, as PEM strings that can be sent to the workers:
+// the public keys of the chosen recipients (key ids) to encrypt for, and the
+// user's private keys to decrypt with, either decryptionKeyId or every
+// private key they hold. Passphrase mode needs no keys.
+const parseKeyOptions = ({ keyMode = 'passphrase', operation, recipients, decryptionKeyId }, user) => {
+  if (!KEY_MODES.includes(keyMode)) {
+    throw new HttpError(400, `keyMode must be one of: ${KEY_MODES.join(', ')}`);
+  }
+  if (keyMode === 'passphrase') return {};
+
+  const keyOptions = {};
+  let privateKeys = listKeys(user.id).filter(key => key.privateKey);
+
+  if (operation !== 'decrypt') {
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+      throw new HttpError(400, 'Public-key mode needs at least one recipient key');
+    }
+    const recipientKeys = recipients.map((id) => {
+      const key = getKey(id, user.id);
+      if (!key) throw new HttpError(404, `Key not found: ${id}`);
+      return key;
+    });
+    keyOptions.recipients = recipientKeys.map(key => key.publicKey);
+    // Verifying decrypts again, which only works with a recipient's private key
+    privateKeys = recipientKeys.filter(key => key.privateKey);
+  }
+
+  if (operation !== 'encrypt') {
+    if (decryptionKeyId !== undefined) {
+      const key = getKey(decryptionKeyId, user.id);
+      if (!key) throw new HttpError(404, `Key not found: ${decryptionKeyId}`);
+      privateKeys = [key];
+    }
+    if (privateKeys.length === 0 || !privateKeys.every(key => key.privateKey)) {
+      throw new HttpError(400, operation === 'verify'
+        ? 'Verify needs the private key of at least one recipient'
+        : 'Decrypting in public-key mode needs a key with its private key');
+    }
+    keyOptions.privateKeys = privateKeys.map(key => key.privateKey);
+  }
+  return keyOptions;
+};
+
+// Cipher options shared by /process and /benchmark, with the keys from
+// parseKeyOptions for public-key mode
+const parseCipherOptions = (body, keyOptions = {}) => {
+  const {
+    operation,
+    algorithm = 'caesar',
+    shift = 3,
+    keyword,
+    passphrase,
+    kdf = 'scrypt'
+  } = body;
+
+  if (!OPERATIONS.includes(operation)) {
+    throw new HttpError(400, `operation must be one of: ${OPERATIONS.join(', ')}`);
+  }
+
+  const options = { algorithm, shift, keyword, passphrase, kdf, ...keyOptions };
+  const error = validateCipherOptions(options, operation) ||
+    (listKdfs().includes(kdf) ? null : `Unknown key derivation function: ${kdf}`);
+  if (error) throw new HttpError(400, error);
+  return options;
+};
+
+// Input files for /process and /benchmark: the user's uploads named by their
+// server-issued ids, or one of their datasets optionally narrowed to some of
+// its file names. Client-sent paths are never used.
+const resolveInputFiles = ({ uploadIds, datasetId, fileNames }, user) => {
+  let files;
+  if (datasetId) {
+    const dataset = getDataset(datasetId, user.id);
+    if (!dataset || dataset.status !== 'ready') {
+      throw new HttpError(404, `Dataset not found: ${datasetId}`);
+    }
+    files = datasetFiles(dataset);
+    if (Array.isArray(fileNames)) files = files.filter(file => fileNames.includes(file.originalname));
+  } else {
+    if (!Array.isArray(uploadIds) || uploadIds.length === 0) {
+      throw new HttpError(400, 'No files provided');
+    }
+    files = uploadIds.map((id) => {
+      const upload = getUpload(id, user.id);
+      if (!upload) throw new HttpError(404, `Upload not found: ${id}`);
+      return uploadFile(upload);
+    });
+  }
+
+  if (files.length > config.jobMaxFiles) {
+    throw new HttpError(413, `A job can process at most ${config.jobMaxFiles} files`);
+  }
+  return files;
+};
+
+// Time limit in ms for /process and /benchmark jobs: timeoutSeconds from the
+// request, which may not exceed config.jobTimeoutSeconds
+const parseJobTimeout = ({ timeoutSeconds = config.jobTimeoutSeconds }) => {
+  if (!Number.isInteger(timeoutSeconds) || timeoutSeconds < 1 || timeoutSeconds > config.jobTimeoutSeconds) {
+    throw new HttpError(400, `timeoutSeconds must be an integer from 1 to ${config.jobTimeoutSeconds}`);
+  }
+  return timeoutSeconds * 1000;
+};
+
+// Processes and threads per process for the hybrid method, from the request
+// or the configured defaults. The threads in all may not exceed
+// config.hybridMaxWorkers.
+const parseHybridLayout = ({ processes = config.hybridProcesses, threads = config.hybridThreads }) => {
+  if (!Number.isInteger(processes) || processes < 1 || !Number.isInteger(threads) || threads < 1) {
+    throw new HttpError(400, 'processes and threads must be positive integers');
+  }
+  if (processes * threads > config.hybridMaxWorkers) {
+    throw new HttpError(400, `processes × threads must be at most ${config.hybridMaxWorkers}`);
+  }
+  return { processes, threads };
+};
+
+const requestTooLarge = () =>
+  new HttpError(413, `Upload is larger than ${config.uploadMaxRequestBytes} bytes`);
+
+// Refuse an upload up front when its declared size is over the request limit
+const limitRequestSize = (req, res, next) => {
+  const length = Number(req.headers['content-length']);
+  if (length > config.uploadMaxRequestBytes) {
+    return next(requestTooLarge());
+  }
+  next();
+};
+
+// Pass-through stage for the files of an upload request that keeps a running
+// total of their bytes in req.uploadedBytes and fails with 413 once it passes
+// the request limit. Chunked bodies have no Content-Length for
+// limitRequestSize to check, so this is what holds them to the limit.
+const meterUploadBytes = (req) => new Transform({
+  transform(chunk, encoding, callback) {
+    req.uploadedBytes = (req.uploadedBytes || 0) + chunk.length;
+    if (req.uploadedBytes > config.uploadMaxRequestBytes) {
+      callback(requestTooLarge());
+      return;
+    }
+    callback(null, chunk);
+  }
+});
+
+const MULTER_ERRORS = {
+  LIMIT_FILE_SIZE: [413, `Each file must be at most ${config.uploadMaxFileBytes} bytes`],
+  LIMIT_FILE_COUNT: [413, `At most ${config.uploadMaxFiles} files can be uploaded at once`],
+  LIMIT_UNEXPECTED_FILE: [400, 'Files must be sent in the "files" field']
+};
+
+// multer reports limit violations as MulterErrors; give them proper statuses
+const fromMulterError = (error) => {
+  const [status, message] = MULTER_ERRORS[error.code] || [400, error.message];
+  return new HttpError(status, message, error.code);
+};
+
+module.exports = {
+  parseKeyOptions,
+  parseCipherOptions,
+  resolveInputFiles,
+  parseJobTimeout,
+  parseHybridLayout,
+  limitRequestSize,
+  meterUploadBytes,
+  fromMulterError
+};
@@ -0,0 +1,415 @@
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const { Worker } = require('worker_threads');
+const { fork } = require('child_process');
+const { deserializeError, SkippedError } = require('./errors');
+const { failedResult } = require('./file-processor');
+const { logger } = require('./logger');
+
+// A long-lived pool of workers fed from one shared queue. Each idle worker
+// pulls the next file as soon as it finishes its current one, so a few large
+// files never hold up the rest of the batch.
+//
+// spawn(id) must return a worker handle with send(), terminate() and on() for
+// 'message' / 'error' / 'exit' events; see threadWorker and childWorker.
+// capacity is how many tasks a worker is given at once: 1, unless the worker
+// runs a pool of its own (see crypto-hybrid.js).
+//
+// A worker that exits is restarted after restartDelayMs, doubling with each
+// exit in a row up to MAX_RESTART_DELAY_MS; finishing a task resets the
+// count. After maxRestarts exits in a row its slot is given up, and once
+// every slot is given up queued and new files fail.
+//
+// The pool emits 'taskStart' and 'taskEnd' with the task's id, worker, file
+// name and size, log context and time (taskEnd adds status and bytes), and
+// activity() reports what every worker is doing; see telemetry.js.
+//
+// Message protocol, parent to worker:
+//   { type: 'task', taskId, file, operation, options, context }   context: log fields
+//   { type: 'cancel', taskId, reason }   only to workers with a pool of their own,
+//                                        which stop the task and answer with a skipped result
+// worker to parent:
+//   { type: 'ready' }                     once, when the worker can take tasks
+//   { type: 'start', taskId, worker }     only from workers with a pool of their own
+//   { type: 'progress', taskId, bytes }   bytes of the current file read so far
+//   { type: 'output', taskId, path }      an output file is about to be written
+//   { type: 'result', taskId, result, metrics, worker }
+//   { type: 'error', taskId, error, metrics, worker }   error serialized with serializeError
+// metrics is the task's resource usage from startTaskMetrics. worker, which
+// workers with a pool of their own send, is the id of the inner worker that
+// ran the task.
+const MAX_RESTART_DELAY_MS = 10000;
+
+const createWorkerPool = ({ size, spawn, name = 'Pool', capacity = 1, restartDelayMs = 100, maxRestarts = 5 }) => {
+  const pool = new EventEmitter();
+  const slots = [];
+  const queue = [];
+  let nextTaskId = 1;
+  let closing = false;
+
+  const startWorker = (slot) => {
+    const worker = spawn(slot.id);
+    slot.worker = worker;
+    slot.tasks = new Map();
+    slot.idleSince = Date.now();
+    slot.ready = false;
+    slot.started = new Promise((resolve) => {
+      slot.markStarted = resolve;
+    });
+
+    worker.on('message', (message) => handleMessage(slot, worker, message));
+    worker.on('error', (error) => {
+      logger.error('Pool worker error', { pool: name, worker: slot.id, error });
+    });
+    worker.on('exit', (code) => handleExit(slot, worker, code));
+  };
+
+  const handleMessage = (slot, worker, message) => {
+    if (message.type === 'ready') {
+      if (slot.worker === worker) slot.ready = true;
+      slot.markStarted();
+      return;
+    }
+    const task = slot.tasks.get(message.taskId);
+    if (!task) {
+      // A stopped worker's last messages can still arrive after its tasks
+      // were cleaned up; an output it announced is removed too
+      if (message.type === 'output' && slot.worker !== worker) {
+        fs.rm(message.path, { force: true }).catch((error) => {
+          logger.error('Could not remove output of stopped task', { pool: name, path: message.path, error });
+        });
+      }
+      return;
+    }
+
+    if (message.type === 'start') {
+      startTask(task, `${slot.id}.${message.worker}`);
+      return;
+    }
+    if (message.type === 'progress') {
+      task.bytes = message.bytes;
+      if (task.onProgress) task.onProgress(task.file, message.bytes);
+      return;
+    }
+    if (message.type === 'output') {
+      task.outputs.push(message.path);
+      if (task.onOutput) task.onOutput(task.file, message.path);
+      return;
+    }
+
+    slot.tasks.delete(task.id);
+    slot.exits = 0;
+    if (slot.tasks.size === 0) slot.idleSince = Date.now();
+    if (message.metrics && task.onMetrics) {
+      task.onMetrics(message.worker === undefined ? slot.id : `${slot.id}.${message.worker}`, message.metrics);
+    }
+    if (message.type === 'result') {
+      task.resolve(message.result);
+    } else if (message.type === 'error') {
+      task.reject(deserializeError(message.error));
+    }
+    dispatch();
+  };
+
+  // A worker that dies takes its current files down with it; a fresh worker
+  // replaces it after a delay so the pool keeps its size, unless it keeps dying
+  const handleExit = (slot, worker, code) => {
+    if (slot.worker !== worker) return;
+    slot.markStarted();
+
+    const tasks = Array.from(slot.tasks.values());
+    slot.worker = null;
+    slot.tasks = new Map();
+
+    for (const task of tasks) {
+      task.reject(task.abortReason
+        ? new SkippedError(task.abortReason.message)
+        : new Error(`${name} worker ${slot.id} exited with code ${code} while processing ${task.file.originalname}`));
+    }
+    if (closing) return;
+
+    slot.exits++;
+    if (slot.exits > maxRestarts) {
+      slot.failed = true;
+      logger.error('Pool worker keeps exiting, giving up on it', { pool: name, worker: slot.id, code, exits: slot.exits });
+      failQueueIfNoWorkers();
+      return;
+    }
+
+    const delayMs = Math.min(restartDelayMs * 2 ** (slot.exits - 1), MAX_RESTART_DELAY_MS);
+    logger.warn('Pool worker exited, restarting', { pool: name, worker: slot.id, code, delayMs });
+    slot.restartTimer = setTimeout(() => {
+      slot.restartTimer = null;
+      pool.emit('restart', slot.id);
+      startWorker(slot);
+      dispatch();
+    }, delayMs);
+  };
+
+  const noWorkersError = () => new Error(`${name} has no workers left: they kept exiting`);
+
+  const failQueueIfNoWorkers = () => {
+    if (!slots.every(slot => slot.failed)) return;
+    for (const task of queue.splice(0)) {
+      task.reject(noWorkersError());
+    }
+  };
+
+  const taskInfo = (task) => ({
+    taskId: task.id,
+    worker: task.worker,
+    file: task.file.originalname,
+    size: task.file.size || null,
+    context: task.context,
+    startedAt: task.startedAt
+  });
+
+  // A task starts when a worker takes it: as it is sent, or for a worker with
+  // a pool of its own when that worker reports which inner worker took it.
+  // worker is the slot id, or "<slot>.<inner worker>".
+  const startTask = (task, worker) => {
+    task.worker = worker;
+    task.startedAt = Date.now();
+    if (task.onStart) task.onStart(task.file, worker);
+    pool.emit('taskStart', { ...taskInfo(task), time: task.startedAt });
+  };
+
+  const endTask = (task, status) => {
+    if (!task.startedAt) return;
+    pool.emit('taskEnd', { ...taskInfo(task), status, bytes: task.bytes, time: Date.now() });
+  };
+
+  // The least loaded worker with room gets the next task, so files spread
+  // across workers before any worker is given a second one
+  const leastLoadedSlot = () => slots
+    .filter(slot => slot.worker && slot.tasks.size < capacity)
+    .reduce((best, slot) => (!best || slot.tasks.size < best.tasks.size ? slot : best), null);
+
+  const dispatch = () => {
+    while (queue.length > 0) {
+      const slot = leastLoadedSlot();
+      if (!slot) return;
+
+      const task = queue.shift();
+      slot.tasks.set(task.id, task);
+      slot.worker.send({
+        type: 'task',
+        taskId: task.id,
+        file: task.file,
+        operation: task.operation,
+        options: task.options,
+        context: task.context
+      });
+      if (capacity === 1) startTask(task, slot.id);
+    }
+  };
+
+  const shutdownError = () => new SkippedError(`${name} is shut down`);
+
+  // Stop a queued or running task. A running task's worker is terminated and
+  // replaced, and whatever output it had started writing is removed. A worker
+  // running several tasks, which may belong to other runs, is asked to stop
+  // just this one instead.
+  const abortTask = async (task, reason) => {
+    const queued = queue.indexOf(task);
+    if (queued !== -1) {
+      queue.splice(queued, 1);
+      task.reject(new SkippedError(reason.message));
+      return;
+    }
+
+    const slot = slots.find(candidate => candidate.tasks.has(task.id));
+    if (!slot) return;
+    if (capacity > 1) {
+      task.abortReason = reason;
+      slot.worker.send({ type: 'cancel', taskId: task.id, reason: reason.message });
+      return;
+    }
+
+    const { worker } = slot;
+    const stopped = Array.from(slot.tasks.values());
+    if (closing) {
+      slot.worker = null;
+      slot.tasks = new Map();
+    } else {
+      startWorker(slot);
+    }
+    await worker.terminate();
+    await Promise.all(stopped.flatMap(stoppedTask => stoppedTask.outputs).map(output => fs.rm(output, { force: true })));
+    for (const stoppedTask of stopped) {
+      stoppedTask.reject(new SkippedError(reason.message));
+    }
+    dispatch();
+  };
+
+  const runTask = (file, operation, options, { onStart, onProgress, onOutput, onMetrics, logContext }, tasks) =>
+    new Promise((resolve, reject) => {
+      if (closing) {
+        reject(shutdownError());
+        return;
+      }
+      if (slots.every(slot => slot.failed)) {
+        reject(noWorkersError());
+        return;
+      }
+      const task = {
+        id: nextTaskId++,
+        file,
+        operation,
+        options,
+        onStart,
+        onProgress,
+        onOutput,
+        onMetrics,
+        context: logContext,
+        outputs: [],
+        bytes: 0,
+        worker: null,
+        startedAt: null,
+        resolve: (result) => {
+          endTask(task, result.status);
+          resolve(result);
+        },
+        reject: (error) => {
+          endTask(task, error instanceof SkippedError ? 'skipped' : 'failed');
+          reject(error);
+        }
+      };
+      tasks.add(task);
+      queue.push(task);
+      dispatch();
+    });
+
+  // Queue every file and resolve with one result per file in input order;
+  // a failing file never rejects the batch. onStart(file, workerId) is called
+  // as a worker takes a file, onProgress(file, bytes) as workers report bytes
+  // read, onOutput(file, path) before an output file is written,
+  // onResult(file, result) as each file finishes and onMetrics(workerId,
+  // metrics) with the resource usage of each task.
+  // logContext is sent with each task so worker logs carry the same fields.
+  // Aborting signal stops the batch: files not yet finished are reported as skipped.
+  // concurrency, when set, caps how many of the batch's files are handed to
+  // workers at once; by default every file is queued straight away.
+  pool.run = async (files, operation, options, { onStart, onProgress, onOutput, onResult, onMetrics, signal, logContext, concurrency } = {}) => {
+    const tasks = new Set();
+    const onAbort = () => {
+      for (const task of tasks) {
+        abortTask(task, signal.reason).catch((error) => {
+          logger.error('Could not stop task', { ...task.context, pool: name, taskId: task.id, error });
+        });
+      }
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    const runFile = async (file) => {
+      let result;
+      try {
+        if (signal && signal.aborted) throw new SkippedError(signal.reason.message);
+        result = await runTask(file, operation, options, { onStart, onProgress, onOutput, onMetrics, logContext }, tasks);
+      } catch (error) {
+        result = failedResult(file, operation, error);
+      }
+      if (onResult) onResult(file, result);
+      return result;
+    };
+
+    const results = new Array(files.length);
+    let next = 0;
+    const runNext = async () => {
+      while (next < files.length) {
+        const index = next++;
+        results[index] = await runFile(files[index]);
+      }
+    };
+
+    try {
+      await Promise.all(Array.from({ length: Math.min(concurrency || files.length, files.length) }, runNext));
+      return results;
+    } finally {
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  };
+
+  // Resolves once every worker has started and can take tasks, so a caller
+  // can keep start-up time out of what it measures
+  pool.ready = async () => {
+    let waiting;
+    while ((waiting = slots.filter(slot => slot.worker && !slot.ready)).length > 0) {
+      await Promise.all(waiting.map(slot => slot.started));
+    }
+  };
+
+  pool.stats = () => ({
+    size: slots.length,
+    busy: slots.filter(slot => slot.tasks.size > 0).length,
+    queued: queue.length
+  });
+
+  // What every worker is doing: its started tasks with the bytes read so far,
+  // and since when it has been idle (null while it has tasks)
+  pool.activity = () => ({
+    size: slots.length,
+    capacity,
+    queued: queue.length,
+    workers: slots.map(slot => ({
+      id: slot.id,
+      idleSince: slot.tasks.size === 0 ? slot.idleSince : null,
+      tasks: Array.from(slot.tasks.values())
+        .filter(task => task.startedAt)
+        .map(task => ({ ...taskInfo(task), bytes: task.bytes }))
+    }))
+  });
+
+  pool.close = async () => {
+    closing = true;
+    for (const slot of slots) {
+      clearTimeout(slot.restartTimer);
+    }
+    for (const task of queue.splice(0)) {
+      task.reject(shutdownError());
+    }
+    await Promise.all(slots.map(slot => slot.worker && slot.worker.terminate()));
+  };
+
+  for (let id = 0; id < size; id++) {
+    const slot = { id, worker: null, tasks: new Map(), idleSince: null, ready: false, exits: 0, failed: false, restartTimer: null };
+    slots.push(slot);
+    startWorker(slot);
+  }
+
+  return pool;
+};
+
+// Worker handle backed by a worker thread
+const threadWorker = (script) => () => {
+  const worker = new Worker(script);
+  return {
+    on: (event, listener) => worker.on(event, listener),
+    send: (message) => worker.postMessage(message),
+    terminate: () => worker.terminate()
+  };
+};
+
+// Worker handle backed by a child process talking over the fork IPC channel;
+// args are passed to the script on its command line
+const childWorker = (script, args = []) => () => {
+  const child = fork(script, args);
+  return {
+    on: (event, listener) => child.on(event, listener),
+    send: (message) => child.send(message),
+    terminate: () => new Promise((resolve) => {
+      if (child.exitCode !== null || child.signalCode !== null) {
+        resolve();
+        return;
+      }
+      child.once('exit', () => resolve());
+      child.kill();
+    })
+  };
+};
+
+module.exports = {
+  createWorkerPool,
+  threadWorker,
+  childWorker
+};
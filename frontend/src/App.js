@@ -1,18 +1,88 @@
-import React, { useState, useRef } from 'react';
-import { Upload, FileText, Lock, Unlock, Download, BarChart3, Clock, Cpu, Zap } from 'lucide-react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, BarChart, Bar, ResponsiveContainer } from 'recharts';
-
-const API_BASE_URL = 'http://localhost:5000';
+import React, { useState, useRef, useEffect } from 'react';
+import { Upload, FileText, Lock, Unlock, Download, BarChart3, Clock, Cpu, Zap, AlertCircle, RotateCcw, ShieldCheck, LogOut, Trash2, XCircle, Sparkles, Layers } from 'lucide-react';
+import { apiFetch, openAuthUrl, cancelJob, getAuthToken, setAuthToken, onSessionExpired, watchJob } from './api';
+import { uploadFilesInChunks } from './chunkedUpload';
+import { formatTime, formatBytes } from './format';
+import BenchmarkPanel from './components/BenchmarkPanel';
+import DatasetPanel from './components/DatasetPanel';
+import HistoryPanel from './components/HistoryPanel';
+import KeyPicker from './components/KeyPicker';
+import LoginPanel from './components/LoginPanel';
+import TelemetryPanel from './components/TelemetryPanel';
 
 export default function FileEncryptorApp() {
+  const [user, setUser] = useState(null);
+  const [checkingSession, setCheckingSession] = useState(Boolean(getAuthToken()));
   const [files, setFiles] = useState([]);
   const [uploadedFiles, setUploadedFiles] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState([]);
   const [operation, setOperation] = useState('encrypt');
   const [processing, setProcessing] = useState(false);
   const [results, setResults] = useState([]);
   const [performanceData, setPerformanceData] = useState([]);
   const [currentMethod, setCurrentMethod] = useState('');
+  const [currentJobId, setCurrentJobId] = useState(null);
+  const [jobProgress, setJobProgress] = useState({});
+  const [activeDataset, setActiveDataset] = useState(null);
+  const [view, setView] = useState('workspace');
+  const [algorithms, setAlgorithms] = useState([]);
+  const [kdfs, setKdfs] = useState([]);
+  const [kdf, setKdf] = useState('scrypt');
+  const [algorithm, setAlgorithm] = useState('caesar');
+  const [shift, setShift] = useState(3);
+  const [keyword, setKeyword] = useState('');
+  const [passphrase, setPassphrase] = useState('');
+  const [keyMode, setKeyMode] = useState('passphrase');
+  const [recipients, setRecipients] = useState([]);
+  const [decryptionKeyId, setDecryptionKeyId] = useState('');
+  const [expandArchives, setExpandArchives] = useState(true);
+  const [hybridProcesses, setHybridProcesses] = useState(2);
+  const [hybridThreads, setHybridThreads] = useState(2);
   const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+
+  // Resume a stored session, and return to the login screen when it expires
+  useEffect(() => {
+    onSessionExpired(() => setUser(null));
+    if (!getAuthToken()) return;
+
+    apiFetch('/auth/me')
+      .then(response => response.json())
+      .then(result => {
+        if (result.success) setUser(result.user);
+      })
+      .catch(error => console.error('Error checking session:', error))
+      .finally(() => setCheckingSession(false));
+  }, []);
+
+  useEffect(() => {
+    apiFetch('/algorithms')
+      .then(response => response.json())
+      .then(result => {
+        if (result.success) {
+          setAlgorithms(result.algorithms);
+          setKdfs(result.kdfs);
+        }
+      })
+      .catch(error => console.error('Error loading algorithms:', error));
+  }, []);
+
+  const selectedAlgorithm = algorithms.find(a => a.name === algorithm);
+
+  // Processing input: the selected dataset, or else the uploaded files by id
+  const inputSource = activeDataset
+    ? { datasetId: activeDataset.id }
+    : { uploadIds: uploadedFiles.map(file => file.id) };
+  const hasInput = Boolean(activeDataset) || uploadedFiles.length > 0;
+
+  // Public-key mode replaces the passphrase of authenticated ciphers with key ids
+  const keySettings = selectedAlgorithm?.authenticated && keyMode === 'public-key'
+    ? { keyMode, recipients, ...(decryptionKeyId ? { decryptionKeyId } : {}) }
+    : {};
+
+  // Processes × threads used when the hybrid method runs
+  const hybridLayout = { processes: hybridProcesses, threads: hybridThreads };
 
   const handleFileSelect = (event) => {
     const selectedFiles = Array.from(event.target.files);
@@ -25,89 +95,181 @@ export default function FileEncryptorApp() {
       return;
     }
 
-    const formData = new FormData();
-    files.forEach(file => {
-      formData.append('files', file);
-    });
+    // Files picked from a folder carry their path relative to it
+    const entries = files.map(file => ({ file, name: file.webkitRelativePath || file.name }));
+    setUploading(true);
+    setUploadProgress(entries.map(({ file, name }) => ({ name, size: file.size, loaded: 0, status: 'waiting' })));
 
     try {
-      const response = await fetch(`${API_BASE_URL}/upload`, {
-        method: 'POST',
-        body: formData,
+      const { files: uploaded, failures } = await uploadFilesInChunks(entries, {
+        expandArchives,
+        onUpdate: (index, changes) => setUploadProgress(prev =>
+          prev.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)))
       });
 
-      const result = await response.json();
-      if (result.success) {
-        setUploadedFiles(result.files);
-        alert(`${result.files.length} files uploaded successfully!`);
+      setUploadedFiles(uploaded);
+      if (failures.length > 0) {
+        alert(`${failures.length} of ${entries.length} files failed to upload:\n` +
+          failures.slice(0, 5).map(failure => `${failure.name}: ${failure.message}`).join('\n') +
+          '\n\nSelect the same files and upload again to resume.');
       } else {
-        alert('Error uploading files: ' + result.message);
+        alert(`${uploaded.length} files uploaded successfully!`);
       }
     } catch (error) {
       console.error('Upload error:', error);
       alert('Error uploading files');
+    } finally {
+      setUploading(false);
     }
   };
 
-  const processFiles = async (method) => {
-    if (uploadedFiles.length === 0) {
-      alert('Please upload files first');
+  const processFiles = async (method, runSource = inputSource, runOperation = operation) => {
+    if (!runSource.datasetId && runSource.uploadIds.length === 0) {
+      alert('Please upload files or select a dataset first');
       return;
     }
 
     setProcessing(true);
     setCurrentMethod(method);
+    setJobProgress(prev => ({ ...prev, [method]: null }));
 
     try {
-      const response = await fetch(`${API_BASE_URL}/process`, {
+      const response = await apiFetch('/process', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          files: uploadedFiles,
-          operation,
+          ...runSource,
+          operation: runOperation,
           method,
-          shift: 3
+          algorithm,
+          shift,
+          keyword,
+          passphrase,
+          kdf,
+          ...keySettings,
+          ...hybridLayout
         }),
       });
 
-      const result = await response.json();
-      if (result.success) {
-        setResults(prev => [...prev, result]);
-        
-        // Update performance data
-        const newPerformanceData = {
-          method: result.method,
-          time: result.processingTime,
-          files: uploadedFiles.length,
-          operation
-        };
-        
-        setPerformanceData(prev => [...prev, newPerformanceData]);
-        
-        alert(`${operation} completed in ${result.processingTime}ms using ${result.method}`);
-      } else {
-        alert('Error processing files: ' + result.message);
+      const accepted = await response.json();
+      if (!accepted.success) {
+        alert('Error processing files: ' + accepted.message);
+        return;
       }
+
+      setCurrentJobId(accepted.jobId);
+      const job = await watchJob(accepted.jobId, (progress) => {
+        setJobProgress(prev => ({ ...prev, [method]: progress }));
+      });
+      const result = job.result;
+      // Keep the request alongside the results so failed files can be retried;
+      // results are returned in the same order as the files sent
+      setResults(prev => [...prev, {
+        ...result,
+        jobId: job.id,
+        expiresAt: job.expiresAt,
+        methodKey: method,
+        plan: job.plan,
+        source: runSource,
+        operation: runOperation
+      }]);
+
+      const { succeeded, failed, skipped } = result.summary;
+      if (job.status !== 'completed') {
+        alert(`${job.error.message}: ${succeeded} succeeded, ${failed} failed, ${skipped} skipped`);
+        return;
+      }
+
+      // Update performance data; stopped runs would skew the comparison
+      const newPerformanceData = {
+        method: result.method,
+        time: result.processingTime,
+        files: result.summary.total,
+        operation: runOperation,
+        algorithm: result.algorithm,
+        throughput: job.throughput,
+        resources: result.resources,
+        plan: job.plan
+      };
+
+      setPerformanceData(prev => [...prev, newPerformanceData]);
+
+      alert(`${runOperation} completed in ${result.processingTime}ms using ${result.method}` +
+        `${job.plan ? ' (chosen automatically)' : ''}: ` +
+        `${succeeded} succeeded, ${failed} failed, ${skipped} skipped`);
     } catch (error) {
       console.error('Processing error:', error);
-      alert('Error processing files');
+      alert('Error processing files: ' + error.message);
     } finally {
       setProcessing(false);
       setCurrentMethod('');
+      setCurrentJobId(null);
+    }
+  };
+
+  const cancelProcessing = async () => {
+    try {
+      const result = await cancelJob(currentJobId);
+      if (!result.success) alert('Error cancelling job: ' + result.message);
+    } catch (error) {
+      console.error('Cancel error:', error);
+    }
+  };
+
+  const retryFailed = (result) => {
+    const isFailed = (index) => result.results[index].status === 'failed';
+    const retrySource = result.source.datasetId
+      ? {
+        datasetId: result.source.datasetId,
+        fileNames: result.results.filter((file, index) => isFailed(index)).map(file => file.originalName)
+      }
+      : { uploadIds: result.source.uploadIds.filter((id, index) => isFailed(index)) };
+    processFiles(result.methodKey, retrySource, result.operation);
+  };
+
+  // Outputs are also removed by the server once they expire
+  const deleteResult = async (result) => {
+    try {
+      const response = await apiFetch(`/jobs/${result.jobId}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (data.success) {
+        setResults(prev => prev.filter(item => item !== result));
+      } else {
+        alert('Error deleting outputs: ' + data.message);
+      }
+    } catch (error) {
+      console.error('Delete error:', error);
+      alert('Error deleting outputs');
+    }
+  };
+
+  const deleteUpload = async (id) => {
+    try {
+      const response = await apiFetch(`/uploads/${id}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (data.success) {
+        setUploadedFiles(prev => prev.filter(file => file.id !== id));
+      } else {
+        alert('Error deleting upload: ' + data.message);
+      }
+    } catch (error) {
+      console.error('Delete error:', error);
+      alert('Error deleting upload');
     }
   };
 
   const downloadFile = async (filename) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/download/${filename}`);
+      const encoded = filename.split('/').map(encodeURIComponent).join('/');
+      const response = await apiFetch(`/download/${encoded}`);
       if (response.ok) {
         const blob = await response.blob();
         const url = window.URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = filename;
+        a.download = filename.split('/').pop();
         document.body.appendChild(a);
         a.click();
         window.URL.revokeObjectURL(url);
@@ -121,19 +283,106 @@ export default function FileEncryptorApp() {
     }
   };
 
+  const downloadAll = async (jobId) => {
+    try {
+      await openAuthUrl(`/jobs/${jobId}/archive?format=zip`);
+    } catch (error) {
+      console.error('Download error:', error);
+      alert('Error downloading files');
+    }
+  };
+
   const clearAll = () => {
     setFiles([]);
     setUploadedFiles([]);
+    setUploadProgress([]);
     setResults([]);
     setPerformanceData([]);
+    setActiveDataset(null);
+    setRecipients([]);
+    setDecryptionKeyId('');
     if (fileInputRef.current) {
       fileInputRef.current.value = '';
     }
+    if (folderInputRef.current) {
+      folderInputRef.current.value = '';
+    }
+  };
+
+  // CPU time of the whole run. The server's figure already includes its worker
+  // threads (and sequential work), so only child processes are added to it.
+  const totalCpuMs = ({ main, workers }) => workers
+    .filter(worker => worker.pid !== main.pid && worker.cpuUserMs !== null)
+    .reduce((sum, worker) => sum + worker.cpuUserMs + worker.cpuSystemMs, main.cpuUserMs + main.cpuSystemMs);
+
+  const renderResources = (resources) => {
+    const { main, workers } = resources;
+    return (
+      <div className="mt-2 pt-2 border-t border-gray-200 text-xs text-gray-600 space-y-1">
+        <p>
+          CPU: <span className="font-medium">{formatTime(totalCpuMs(resources))}</span>
+          {' '}(server {formatTime(main.cpuUserMs)} user, {formatTime(main.cpuSystemMs)} system)
+        </p>
+        <p>
+          Server peak RSS: <span className="font-medium">{formatBytes(main.peakRssBytes)}</span>,
+          heap {formatBytes(main.peakHeapBytes)}
+        </p>
+        {main.eventLoopDelay && (
+          <p>
+            Event-loop delay: mean {main.eventLoopDelay.meanMs.toFixed(1)}ms,
+            p99 {main.eventLoopDelay.p99Ms.toFixed(1)}ms, max {main.eventLoopDelay.maxMs.toFixed(1)}ms
+          </p>
+        )}
+        {workers.map(worker => (
+          <p key={worker.worker}>
+            {worker.worker === 'main' ? 'Server thread' : `Worker ${worker.worker}`}
+            {worker.threadId !== null ? ` (thread ${worker.threadId})` : ` (pid ${worker.pid})`}:
+            {' '}{worker.tasks} files, active {formatTime(worker.activeMs)}
+            {worker.cpuUserMs !== null && `, CPU ${formatTime(worker.cpuUserMs)} user / ${formatTime(worker.cpuSystemMs)} system`}
+            {worker.peakRssBytes !== null && `, RSS ${formatBytes(worker.peakRssBytes)}`}
+            , heap {formatBytes(worker.peakHeapBytes)}
+          </p>
+        ))}
+      </div>
+    );
+  };
+
+  const renderProgress = (method) => {
+    const progress = jobProgress[method];
+    if (!progress) return null;
+
+    const percent = progress.totalBytes > 0
+      ? Math.min(100, (progress.bytesProcessed / progress.totalBytes) * 100)
+      : (progress.filesCompleted / Math.max(1, progress.totalFiles)) * 100;
+
+    return (
+      <div className="mt-2">
+        <div className="w-full bg-gray-200 rounded-full h-2">
+          <div
+            className="bg-blue-600 h-2 rounded-full transition-all"
+            style={{ width: `${percent}%` }}
+          />
+        </div>
+        <p className="text-xs text-gray-600 mt-1">
+          {progress.filesCompleted}/{progress.totalFiles} files
+          {' · '}{formatBytes(progress.bytesProcessed)} of {formatBytes(progress.totalBytes)}
+          {' · '}{formatBytes(progress.throughput)}/s
+          {' · '}{formatTime(progress.elapsedMs)}
+        </p>
+      </div>
+    );
+  };
+
+  // Workspace state belongs to whoever was signed in, so it goes on every switch
+  const signIn = (signedIn) => {
+    clearAll();
+    setUser(signedIn);
   };
 
-  const formatTime = (time) => {
-    if (time < 1000) return `${time}ms`;
-    return `${(time / 1000).toFixed(2)}s`;
+  const signOut = () => {
+    setAuthToken(null);
+    clearAll();
+    setUser(null);
   };
 
   const getMethodIcon = (method) => {
@@ -147,16 +396,33 @@ export default function FileEncryptorApp() {
     }
   };
 
-  const chartData = performanceData.map((data, index) => ({
-    name: data.method,
-    time: data.time,
-    files: data.files,
-    id: index
-  }));
+  if (!user) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-6">
+        <div className="text-center mb-8">
+          <h1 className="text-4xl font-bold text-gray-800 mb-2">
+            Parallel File Encryptor/Decryptor
+          </h1>
+        </div>
+        {!checkingSession && <LoginPanel onLogin={signIn} />}
+      </div>
+    );
+  }
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-6">
       <div className="max-w-7xl mx-auto">
+        <div className="flex justify-end items-center text-sm text-gray-600 mb-2">
+          Signed in as <span className="font-medium ml-1">{user.username}</span>
+          <button
+            onClick={signOut}
+            className="flex items-center ml-4 text-blue-600 hover:text-blue-800"
+          >
+            <LogOut className="w-4 h-4 mr-1" />
+            Sign out
+          </button>
+        </div>
+
         <div className="text-center mb-8">
           <h1 className="text-4xl font-bold text-gray-800 mb-2">
             Parallel File Encryptor/Decryptor
@@ -166,238 +432,617 @@ export default function FileEncryptorApp() {
           </p>
         </div>
 
-        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
-          {/* File Upload Section */}
-          <div className="bg-white rounded-xl shadow-lg p-6">
-            <h2 className="text-2xl font-semibold text-gray-800 mb-4 flex items-center">
-              <Upload className="w-6 h-6 mr-2 text-blue-600" />
-              File Upload
-            </h2>
-            
-            <div className="space-y-4">
-              <div>
-                <input
-                  ref={fileInputRef}
-                  type="file"
-                  multiple
-                  accept=".txt"
-                  onChange={handleFileSelect}
-                  className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
-                />
-                <p className="text-sm text-gray-500 mt-1">
-                  Select multiple text files (up to 1000 files)
-                </p>
-              </div>
+        <div className="flex justify-center space-x-2 mb-8">
+          {[['workspace', 'Workspace'], ['history', 'History']].map(([name, label]) => (
+            <button
+              key={name}
+              onClick={() => setView(name)}
+              className={`py-2 px-4 rounded-lg transition-colors ${
+                view === name ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {view === 'history' && <HistoryPanel />}
+
+        {/* Kept mounted so running jobs keep reporting while history is open */}
+        <div className={view === 'history' ? 'hidden' : ''}>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+            {/* File Upload Section */}
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <h2 className="text-2xl font-semibold text-gray-800 mb-4 flex items-center">
+                <Upload className="w-6 h-6 mr-2 text-blue-600" />
+                File Upload
+              </h2>
               
-              {files.length > 0 && (
-                <div className="bg-gray-50 p-3 rounded-lg">
-                  <p className="text-sm font-medium text-gray-700">
-                    Selected: {files.length} files
+              <div className="space-y-4">
+                <div>
+                  <input
+                    ref={fileInputRef}
+                    type="file"
+                    multiple
+                    onChange={handleFileSelect}
+                    className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+                  />
+                  <p className="text-sm text-gray-500 mt-1">
+                    Select multiple files of any type (up to 1000 files)
                   </p>
-                  <div className="max-h-32 overflow-y-auto mt-2">
-                    {files.slice(0, 10).map((file, index) => (
-                      <div key={index} className="flex items-center text-xs text-gray-600 py-1">
-                        <FileText className="w-3 h-3 mr-1" />
-                        {file.name} ({(file.size / 1024).toFixed(1)} KB)
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Or upload a folder
+                  </label>
+                  <input
+                    ref={folderInputRef}
+                    type="file"
+                    webkitdirectory=""
+                    onChange={handleFileSelect}
+                    className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+                  />
+                </div>
+
+                <label className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={expandArchives}
+                    onChange={(e) => setExpandArchives(e.target.checked)}
+                    className="mr-2"
+                  />
+                  Expand ZIP and tar archives, keeping their folder structure
+                </label>
+                
+                {files.length > 0 && (
+                  <div className="bg-gray-50 p-3 rounded-lg">
+                    <p className="text-sm font-medium text-gray-700">
+                      Selected: {files.length} files
+                    </p>
+                    <div className="max-h-32 overflow-y-auto mt-2">
+                      {files.slice(0, 10).map((file, index) => (
+                        <div key={index} className="flex items-center text-xs text-gray-600 py-1">
+                          <FileText className="w-3 h-3 mr-1" />
+                          {file.webkitRelativePath || file.name} ({(file.size / 1024).toFixed(1)} KB)
+                        </div>
+                      ))}
+                      {files.length > 10 && (
+                        <p className="text-xs text-gray-500">...and {files.length - 10} more files</p>
+                      )}
+                    </div>
+                  </div>
+                )}
+                
+                <button
+                  onClick={uploadFiles}
+                  disabled={files.length === 0 || uploading}
+                  className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+                >
+                  {uploading ? 'Uploading...' : 'Upload Files'}
+                </button>
+                <p className="text-xs text-gray-500">
+                  Large files are sent in parallel chunks. If an upload is interrupted,
+                  select the same files again to resume it.
+                </p>
+
+                {uploadProgress.length > 0 && (
+                  <div className="max-h-48 overflow-y-auto space-y-2">
+                    {uploadProgress.map((entry, index) => (
+                      <div key={index} className="text-xs text-gray-600">
+                        <div className="flex justify-between">
+                          <span className="truncate mr-2" title={entry.error || entry.name}>{entry.name}</span>
+                          <span className={entry.status === 'failed' ? 'text-red-600' : ''}>
+                            {entry.status === 'failed'
+                              ? 'Failed'
+                              : `${formatBytes(entry.loaded)} of ${formatBytes(entry.size)}`}
+                          </span>
+                        </div>
+                        <div className="w-full bg-gray-200 rounded-full h-2">
+                          <div
+                            className={`${entry.status === 'failed' ? 'bg-red-500' : entry.status === 'done' ? 'bg-green-500' : 'bg-blue-600'} h-2 rounded-full transition-all`}
+                            style={{ width: `${entry.size > 0 ? Math.min(100, (entry.loaded / entry.size) * 100) : entry.status === 'done' ? 100 : 0}%` }}
+                          />
+                        </div>
                       </div>
                     ))}
-                    {files.length > 10 && (
-                      <p className="text-xs text-gray-500">...and {files.length - 10} more files</p>
-                    )}
                   </div>
-                </div>
-              )}
+                )}
+              </div>
+            </div>
+
+            {/* Operation Settings */}
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <h2 className="text-2xl font-semibold text-gray-800 mb-4">
+                Operation Settings
+              </h2>
               
-              <button
-                onClick={uploadFiles}
-                disabled={files.length === 0}
-                className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
-              >
-                Upload Files
-              </button>
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Operation Type
+                  </label>
+                  <div className="flex space-x-4">
+                    <label className="flex items-center">
+                      <input
+                        type="radio"
+                        value="encrypt"
+                        checked={operation === 'encrypt'}
+                        onChange={(e) => setOperation(e.target.value)}
+                        className="mr-2"
+                      />
+                      <Lock className="w-4 h-4 mr-1" />
+                      Encrypt
+                    </label>
+                    <label className="flex items-center">
+                      <input
+                        type="radio"
+                        value="decrypt"
+                        checked={operation === 'decrypt'}
+                        onChange={(e) => setOperation(e.target.value)}
+                        className="mr-2"
+                      />
+                      <Unlock className="w-4 h-4 mr-1" />
+                      Decrypt
+                    </label>
+                    <label className="flex items-center">
+                      <input
+                        type="radio"
+                        value="verify"
+                        checked={operation === 'verify'}
+                        onChange={(e) => setOperation(e.target.value)}
+                        className="mr-2"
+                      />
+                      <ShieldCheck className="w-4 h-4 mr-1" />
+                      Verify
+                    </label>
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Algorithm
+                  </label>
+                  <select
+                    value={algorithm}
+                    onChange={(e) => setAlgorithm(e.target.value)}
+                    className="block w-full border border-gray-300 rounded-lg p-2 text-sm"
+                  >
+                    {algorithms.map(a => (
+                      <option key={a.name} value={a.name}>
+                        {a.label}{a.authenticated ? ' (authenticated)' : ''}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                {selectedAlgorithm?.requires === 'shift' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Shift
+                    </label>
+                    <input
+                      type="number"
+                      value={shift}
+                      onChange={(e) => setShift(Number(e.target.value))}
+                      className="block w-full border border-gray-300 rounded-lg p-2 text-sm"
+                    />
+                  </div>
+                )}
+
+                {selectedAlgorithm?.requires === 'keyword' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Keyword
+                    </label>
+                    <input
+                      type="text"
+                      value={keyword}
+                      onChange={(e) => setKeyword(e.target.value)}
+                      placeholder="Letters only"
+                      className="block w-full border border-gray-300 rounded-lg p-2 text-sm"
+                    />
+                  </div>
+                )}
+
+                {selectedAlgorithm?.requires === 'passphrase' && (
+                  <div className="flex space-x-4">
+                    <label className="flex items-center text-sm">
+                      <input
+                        type="radio"
+                        value="passphrase"
+                        checked={keyMode === 'passphrase'}
+                        onChange={(e) => setKeyMode(e.target.value)}
+                        className="mr-2"
+                      />
+                      Passphrase
+                    </label>
+                    <label className="flex items-center text-sm">
+                      <input
+                        type="radio"
+                        value="public-key"
+                        checked={keyMode === 'public-key'}
+                        onChange={(e) => setKeyMode(e.target.value)}
+                        className="mr-2"
+                      />
+                      Public key
+                    </label>
+                  </div>
+                )}
+
+                {selectedAlgorithm?.requires === 'passphrase' && keyMode === 'public-key' && (
+                  <KeyPicker
+                    operation={operation}
+                    recipients={recipients}
+                    onRecipientsChange={setRecipients}
+                    decryptionKeyId={decryptionKeyId}
+                    onDecryptionKeyChange={setDecryptionKeyId}
+                    disabled={processing}
+                  />
+                )}
+
+                {selectedAlgorithm?.requires === 'passphrase' && keyMode === 'passphrase' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Passphrase
+                    </label>
+                    <input
+                      type="password"
+                      value={passphrase}
+                      onChange={(e) => setPassphrase(e.target.value)}
+                      className="block w-full border border-gray-300 rounded-lg p-2 text-sm"
+                    />
+                    {operation !== 'decrypt' && (
+                      <div className="mt-2">
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Key Derivation
+                        </label>
+                        <select
+                          value={kdf}
+                          onChange={(e) => setKdf(e.target.value)}
+                          className="block w-full border border-gray-300 rounded-lg p-2 text-sm"
+                        >
+                          {kdfs.map(name => (
+                            <option key={name} value={name}>{name}</option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
+                    {operation === 'decrypt' && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        Algorithm and key derivation settings are read from each file's header
+                      </p>
+                    )}
+                  </div>
+                )}
+
+                {activeDataset ? (
+                  <div className="bg-green-50 p-3 rounded-lg">
+                    <p className="text-sm font-medium text-green-700">
+                      Ready to process: dataset {activeDataset.name} ({activeDataset.fileCount} files)
+                    </p>
+                  </div>
+                ) : uploadedFiles.length > 0 && (
+                  <div className="bg-green-50 p-3 rounded-lg">
+                    <p className="text-sm font-medium text-green-700">
+                      Ready to process: {uploadedFiles.length} files
+                    </p>
+                    <div className="space-y-1 mt-2 max-h-32 overflow-y-auto">
+                      {uploadedFiles.map(file => (
+                        <div key={file.id} className="flex items-center justify-between text-xs text-gray-600">
+                          <span className="truncate" title={`Expires ${new Date(file.expiresAt).toLocaleString()}`}>
+                            {file.originalname} ({formatBytes(file.size)})
+                          </span>
+                          <button
+                            onClick={() => deleteUpload(file.id)}
+                            disabled={processing}
+                            className="ml-2 text-red-600 hover:text-red-800 disabled:opacity-50 disabled:cursor-not-allowed"
+                            title="Delete upload"
+                          >
+                            <Trash2 className="w-3 h-3" />
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
             </div>
           </div>
 
-          {/* Operation Settings */}
-          <div className="bg-white rounded-xl shadow-lg p-6">
-            <h2 className="text-2xl font-semibold text-gray-800 mb-4">
-              Operation Settings
-            </h2>
-            
-            <div className="space-y-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Operation Type
-                </label>
-                <div className="flex space-x-4">
-                  <label className="flex items-center">
+          <DatasetPanel
+            activeDataset={activeDataset}
+            onSelect={setActiveDataset}
+            disabled={processing}
+          />
+
+          {/* Processing Buttons */}
+          {hasInput && (
+            <div className="bg-white rounded-xl shadow-lg p-6 mt-8">
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-2xl font-semibold text-gray-800">
+                  Processing Methods
+                </h2>
+                {processing && currentJobId && (
+                  <button
+                    onClick={cancelProcessing}
+                    className="flex items-center py-2 px-4 bg-red-50 text-red-700 rounded-lg hover:bg-red-100 transition-colors"
+                  >
+                    <XCircle className="w-4 h-4 mr-2" />
+                    Cancel
+                  </button>
+                )}
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-5 gap-4">
+                <div>
+                  <button
+                    onClick={() => processFiles('auto')}
+                    disabled={processing}
+                    title="Pick the method expected to be fastest for these files on this server"
+                    className="w-full flex items-center justify-center py-3 px-4 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+                  >
+                    <Sparkles className="w-5 h-5 mr-2" />
+                    {processing && currentMethod === 'auto' ? 'Processing...' : 'Auto'}
+                  </button>
+                  {renderProgress('auto')}
+                </div>
+
+                <div>
+                  <button
+                    onClick={() => processFiles('multithreading')}
+                    disabled={processing}
+                    className="w-full flex items-center justify-center py-3 px-4 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+                  >
+                    <Cpu className="w-5 h-5 mr-2" />
+                    {processing && currentMethod === 'multithreading' ? 'Processing...' : 'Multithreading'}
+                  </button>
+                  {renderProgress('multithreading')}
+                </div>
+                
+                <div>
+                  <button
+                    onClick={() => processFiles('multiprocessing')}
+                    disabled={processing}
+                    className="w-full flex items-center justify-center py-3 px-4 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+                  >
+                    <Zap className="w-5 h-5 mr-2" />
+                    {processing && currentMethod === 'multiprocessing' ? 'Processing...' : 'Multiprocessing'}
+                  </button>
+                  {renderProgress('multiprocessing')}
+                </div>
+
+                <div>
+                  <button
+                    onClick={() => processFiles('hybrid')}
+                    disabled={processing}
+                    className="w-full flex items-center justify-center py-3 px-4 bg-teal-600 text-white rounded-lg hover:bg-teal-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+                  >
+                    <Layers className="w-5 h-5 mr-2" />
+                    {processing && currentMethod === 'hybrid' ? 'Processing...' : 'Hybrid'}
+                  </button>
+                  <div className="flex items-center justify-center mt-2 text-xs text-gray-600">
                     <input
-                      type="radio"
-                      value="encrypt"
-                      checked={operation === 'encrypt'}
-                      onChange={(e) => setOperation(e.target.value)}
-                      className="mr-2"
+                      type="number"
+                      min="1"
+                      value={hybridProcesses}
+                      onChange={(e) => setHybridProcesses(Number(e.target.value))}
+                      disabled={processing}
+                      className="w-14 border border-gray-300 rounded p-1"
+                      title="Child processes"
                     />
-                    <Lock className="w-4 h-4 mr-1" />
-                    Encrypt
-                  </label>
-                  <label className="flex items-center">
+                    <span className="mx-1">processes ×</span>
                     <input
-                      type="radio"
-                      value="decrypt"
-                      checked={operation === 'decrypt'}
-                      onChange={(e) => setOperation(e.target.value)}
-                      className="mr-2"
+                      type="number"
+                      min="1"
+                      value={hybridThreads}
+                      onChange={(e) => setHybridThreads(Number(e.target.value))}
+                      disabled={processing}
+                      className="w-14 border border-gray-300 rounded p-1"
+                      title="Worker threads in each process"
                     />
-                    <Unlock className="w-4 h-4 mr-1" />
-                    Decrypt
-                  </label>
+                    <span className="ml-1">threads</span>
+                  </div>
+                  {renderProgress('hybrid')}
                 </div>
-              </div>
-
-              {uploadedFiles.length > 0 && (
-                <div className="bg-green-50 p-3 rounded-lg">
-                  <p className="text-sm font-medium text-green-700">
-                    Ready to process: {uploadedFiles.length} files
-                  </p>
+                
+                <div>
+                  <button
+                    onClick={() => processFiles('sequential')}
+                    disabled={processing}
+                    className="w-full flex items-center justify-center py-3 px-4 bg-orange-600 text-white rounded-lg hover:bg-orange-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+                  >
+                    <Clock className="w-5 h-5 mr-2" />
+                    {processing && currentMethod === 'sequential' ? 'Processing...' : 'Sequential'}
+                  </button>
+                  {renderProgress('sequential')}
                 </div>
-              )}
+              </div>
             </div>
-          </div>
-        </div>
+          )}
 
-        {/* Processing Buttons */}
-        {uploadedFiles.length > 0 && (
-          <div className="bg-white rounded-xl shadow-lg p-6 mt-8">
-            <h2 className="text-2xl font-semibold text-gray-800 mb-4">
-              Processing Methods
-            </h2>
-            
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-              <button
-                onClick={() => processFiles('multithreading')}
-                disabled={processing}
-                className="flex items-center justify-center py-3 px-4 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
-              >
-                <Cpu className="w-5 h-5 mr-2" />
-                {processing && currentMethod === 'multithreading' ? 'Processing...' : 'Multithreading'}
-              </button>
-              
-              <button
-                onClick={() => processFiles('multiprocessing')}
-                disabled={processing}
-                className="flex items-center justify-center py-3 px-4 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
-              >
-                <Zap className="w-5 h-5 mr-2" />
-                {processing && currentMethod === 'multiprocessing' ? 'Processing...' : 'Multiprocessing'}
-              </button>
-              
-              <button
-                onClick={() => processFiles('sequential')}
-                disabled={processing}
-                className="flex items-center justify-center py-3 px-4 bg-orange-600 text-white rounded-lg hover:bg-orange-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
-              >
-                <Clock className="w-5 h-5 mr-2" />
-                {processing && currentMethod === 'sequential' ? 'Processing...' : 'Sequential'}
-              </button>
+          {hasInput && (
+            <div className="bg-white rounded-xl shadow-lg p-6 mt-8">
+              <TelemetryPanel />
             </div>
-          </div>
-        )}
+          )}
 
-        {/* Performance Chart */}
-        {performanceData.length > 0 && (
-          <div className="bg-white rounded-xl shadow-lg p-6 mt-8">
-            <h2 className="text-2xl font-semibold text-gray-800 mb-4 flex items-center">
-              <BarChart3 className="w-6 h-6 mr-2 text-blue-600" />
-              Performance Comparison
-            </h2>
-            
-            <div className="h-80">
-              <ResponsiveContainer width="100%" height="100%">
-                <BarChart data={chartData}>
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis dataKey="name" />
-                  <YAxis />
-                  <Tooltip 
-                    formatter={(value, name) => [formatTime(value), 'Processing Time']}
-                  />
-                  <Legend />
-                  <Bar dataKey="time" fill="#3B82F6" name="Processing Time (ms)" />
-                </BarChart>
-              </ResponsiveContainer>
-            </div>
-            
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-6">
-              {performanceData.map((data, index) => (
-                <div key={index} className="bg-gray-50 p-4 rounded-lg">
-                  <div className="flex items-center mb-2">
-                    {getMethodIcon(data.method.toLowerCase())}
-                    <h3 className="font-semibold text-gray-800 ml-2">{data.method}</h3>
+          {/* Performance Comparison */}
+          {(hasInput || performanceData.length > 0) && (
+            <div className="bg-white rounded-xl shadow-lg p-6 mt-8">
+              <h2 className="text-2xl font-semibold text-gray-800 mb-4 flex items-center">
+                <BarChart3 className="w-6 h-6 mr-2 text-blue-600" />
+                Performance Comparison
+              </h2>
+
+              {hasInput && (
+                <BenchmarkPanel
+                  source={inputSource}
+                  settings={{ operation, algorithm, shift, keyword, passphrase, kdf, ...keySettings, ...hybridLayout }}
+                  disabled={processing}
+                />
+              )}
+
+              {performanceData.length > 0 && (
+                <h3 className="text-lg font-semibold text-gray-800 mt-6">Recent Runs</h3>
+              )}
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
+                {performanceData.map((data, index) => (
+                  <div key={index} className="bg-gray-50 p-4 rounded-lg">
+                    <div className="flex items-center mb-2">
+                      {getMethodIcon(data.method.toLowerCase())}
+                      <h3 className="font-semibold text-gray-800 ml-2">{data.method}</h3>
+                    </div>
+                    <p className="text-sm text-gray-600">
+                      Time: <span className="font-medium">{formatTime(data.time)}</span>
+                    </p>
+                    <p className="text-sm text-gray-600">
+                      Files: <span className="font-medium">{data.files}</span>
+                    </p>
+                    <p className="text-sm text-gray-600">
+                      Operation: <span className="font-medium capitalize">{data.operation}</span>
+                    </p>
+                    <p className="text-sm text-gray-600">
+                      Algorithm: <span className="font-medium">{data.algorithm}</span>
+                    </p>
+                    <p className="text-sm text-gray-600">
+                      Throughput: <span className="font-medium">{formatBytes(data.throughput)}/s</span>
+                    </p>
+                    {data.resources && renderResources(data.resources)}
+                    {data.plan && (
+                      <p className="text-xs text-gray-500 mt-2">Chosen automatically: {data.plan.reason}</p>
+                    )}
                   </div>
-                  <p className="text-sm text-gray-600">
-                    Time: <span className="font-medium">{formatTime(data.time)}</span>
-                  </p>
-                  <p className="text-sm text-gray-600">
-                    Files: <span className="font-medium">{data.files}</span>
-                  </p>
-                  <p className="text-sm text-gray-600">
-                    Operation: <span className="font-medium capitalize">{data.operation}</span>
-                  </p>
-                </div>
-              ))}
+                ))}
+              </div>
             </div>
-          </div>
-        )}
+          )}
 
-        {/* Results Section */}
-        {results.length > 0 && (
-          <div className="bg-white rounded-xl shadow-lg p-6 mt-8">
-            <h2 className="text-2xl font-semibold text-gray-800 mb-4">
-              Processing Results
-            </h2>
-            
-            <div className="space-y-4">
-              {results.map((result, resultIndex) => (
-                <div key={resultIndex} className="border border-gray-200 rounded-lg p-4">
-                  <div className="flex items-center justify-between mb-3">
-                    <h3 className="font-semibold text-gray-800">
-                      {result.method} - {formatTime(result.processingTime)}
-                    </h3>
-                    <span className="text-sm text-gray-500">
-                      {result.results.length} files processed
-                    </span>
-                  </div>
-                  
-                  <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-2 max-h-40 overflow-y-auto">
-                    {result.results.map((file, fileIndex) => (
-                      <div key={fileIndex} className="flex items-center justify-between bg-gray-50 p-2 rounded text-sm">
-                        <span className="truncate mr-2">{file.originalName}</span>
+          {/* Results Section */}
+          {results.length > 0 && (
+            <div className="bg-white rounded-xl shadow-lg p-6 mt-8">
+              <h2 className="text-2xl font-semibold text-gray-800 mb-4">
+                Processing Results
+              </h2>
+              
+              <div className="space-y-4">
+                {results.map((result, resultIndex) => (
+                  <div key={resultIndex} className="border border-gray-200 rounded-lg p-4">
+                    <div className="flex items-center justify-between mb-3">
+                      <h3 className="font-semibold text-gray-800">
+                        {result.method} - {formatTime(result.processingTime)}
+                        {result.plan && (
+                          <span className="ml-2 text-xs font-normal text-gray-500" title={result.plan.reason}>
+                            chosen automatically
+                          </span>
+                        )}
+                      </h3>
+                      <div className="flex items-center space-x-3">
+                        <span className="text-sm text-gray-500">
+                          <span className="text-green-700">{result.summary.succeeded} succeeded</span>
+                          {' · '}
+                          <span className={result.summary.failed > 0 ? 'text-red-700' : ''}>
+                            {result.summary.failed} failed
+                          </span>
+                          {' · '}
+                          {result.summary.skipped} skipped
+                          {result.summary.mismatched > 0 && (
+                            <span className="text-red-700">{' · '}{result.summary.mismatched} mismatched</span>
+                          )}
+                        </span>
+                        {result.results.some(file => file.processedPath) && (
+                          <button
+                            onClick={() => downloadAll(result.jobId)}
+                            className="flex items-center text-sm bg-blue-50 text-blue-700 py-1 px-2 rounded hover:bg-blue-100 transition-colors"
+                          >
+                            <Download className="w-4 h-4 mr-1" />
+                            Download all
+                          </button>
+                        )}
+                        {result.expiresAt && (
+                          <span className="text-xs text-gray-500">
+                            Expires {new Date(result.expiresAt).toLocaleString()}
+                          </span>
+                        )}
                         <button
-                          onClick={() => downloadFile(file.processedPath)}
-                          className="flex items-center text-blue-600 hover:text-blue-800 transition-colors"
+                          onClick={() => deleteResult(result)}
+                          className="flex items-center text-sm bg-gray-100 text-gray-700 py-1 px-2 rounded hover:bg-gray-200 transition-colors"
                         >
-                          <Download className="w-4 h-4" />
+                          <Trash2 className="w-4 h-4 mr-1" />
+                          Delete
                         </button>
+                        {result.summary.failed > 0 && (
+                          <button
+                            onClick={() => retryFailed(result)}
+                            disabled={processing}
+                            className="flex items-center text-sm bg-red-50 text-red-700 py-1 px-2 rounded hover:bg-red-100 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                          >
+                            <RotateCcw className="w-4 h-4 mr-1" />
+                            Retry failed
+                          </button>
+                        )}
                       </div>
-                    ))}
+                    </div>
+                    
+                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-2 max-h-40 overflow-y-auto">
+                      {result.results.map((file, fileIndex) => (
+                        file.status === 'succeeded' ? (
+                          <div
+                            key={fileIndex}
+                            title={`Input SHA-256: ${file.inputSha256}\nOutput SHA-256: ${file.outputSha256}`}
+                            className="flex items-center justify-between bg-gray-50 p-2 rounded text-sm"
+                          >
+                            <span className="truncate mr-2">{file.originalName}</span>
+                            {file.verified ? (
+                              <span className="flex items-center text-green-700 text-xs">
+                                <ShieldCheck className="w-4 h-4 mr-1" />
+                                Verified
+                              </span>
+                            ) : (
+                              <button
+                                onClick={() => downloadFile(file.processedPath)}
+                                className="flex items-center text-blue-600 hover:text-blue-800 transition-colors"
+                              >
+                                <Download className="w-4 h-4" />
+                              </button>
+                            )}
+                          </div>
+                        ) : (
+                          <div
+                            key={fileIndex}
+                            title={file.error ? file.error.message : ''}
+                            className={`p-2 rounded text-sm ${file.status === 'failed' ? 'bg-red-50 text-red-800' : 'bg-gray-100 text-gray-500'}`}
+                          >
+                            <div className="flex items-center">
+                              <AlertCircle className="w-4 h-4 mr-1 flex-shrink-0" />
+                              <span className="truncate">{file.originalName}</span>
+                              <span className="ml-auto text-xs capitalize">{file.status}</span>
+                            </div>
+                            {file.error && (
+                              <p className="text-xs truncate mt-1">{file.error.message}</p>
+                            )}
+                          </div>
+                        )
+                      ))}
+                    </div>
                   </div>
-                </div>
-              ))}
+                ))}
+              </div>
             </div>
-          </div>
-        )}
+          )}
 
-        {/* Clear All Button */}
-        {(files.length > 0 || uploadedFiles.length > 0 || results.length > 0) && (
-          <div className="text-center mt-8">
-            <button
-              onClick={clearAll}
-              className="bg-red-600 text-white py-2 px-6 rounded-lg hover:bg-red-700 transition-colors"
-            >
-              Clear All
-            </button>
-          </div>
-        )}
+          {/* Clear All Button */}
+          {(files.length > 0 || uploadedFiles.length > 0 || results.length > 0) && (
+            <div className="text-center mt-8">
+              <button
+                onClick={clearAll}
+                className="bg-red-600 text-white py-2 px-6 rounded-lg hover:bg-red-700 transition-colors"
+              >
+                Clear All
+              </button>
+            </div>
+          )}
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,114 @@
+export const API_BASE_URL = 'http://localhost:5000';
+
+const TOKEN_KEY = 'authToken';
+
+let authToken = localStorage.getItem(TOKEN_KEY);
+let sessionExpiredHandler = null;
+
+export const getAuthToken = () => authToken;
+
+export const setAuthToken = (token) => {
+  authToken = token;
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+  }
+};
+
+// Called when the server rejects the stored token
+export const onSessionExpired = (handler) => {
+  sessionExpiredHandler = handler;
+};
+
+// fetch against the API with the session token attached
+export const apiFetch = async (path, options = {}) => {
+  const headers = { ...options.headers };
+  if (authToken) headers.Authorization = `Bearer ${authToken}`;
+
+  const response = await fetch(`${API_BASE_URL}${path}`, { ...options, headers });
+  if (response.status === 401 && authToken) {
+    setAuthToken(null);
+    if (sessionExpiredHandler) sessionExpiredHandler();
+  }
+  return response;
+};
+
+// API URL carrying a token as a query parameter, for links and EventSource
+// and WebSocket streams, which can't send an Authorization header. The token
+// is issued for this path only and expires within a minute, so get the URL
+// right before using it.
+export const authUrl = async (path) => {
+  const [pathname] = path.split('?');
+  const response = await apiFetch('/auth/url-token', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ path: pathname }),
+  });
+  const result = await response.json();
+  if (!result.success) throw new Error(result.message);
+
+  const separator = path.includes('?') ? '&' : '?';
+  return `${API_BASE_URL}${path}${separator}token=${encodeURIComponent(result.token)}`;
+};
+
+// WebSocket URL of an API path, carrying a token like authUrl
+export const socketUrl = async (path) => (await authUrl(path)).replace(/^http/, 'ws');
+
+// Follow an authenticated link, such as a download, from a click handler
+export const openAuthUrl = async (path) => {
+  window.location.assign(await authUrl(path));
+};
+
+// Ask the server to stop a running job; its stream then ends with 'cancelled'
+export const cancelJob = async (jobId) => {
+  const response = await apiFetch(`/jobs/${jobId}/cancel`, { method: 'POST' });
+  return response.json();
+};
+
+// Follow a job's Server-Sent Events until it finishes. Resolves with the job
+// summary when it completes, is cancelled or times out (check job.status),
+// and rejects when it fails. onUpdate receives the summary after every event.
+// A stream that drops after it opened is reopened with a fresh token, which
+// EventSource's own retries can't get.
+export const watchJob = (jobId, onUpdate) =>
+  new Promise((resolve, reject) => {
+    const update = (event) => onUpdate(JSON.parse(event.data));
+    const updateFromJob = (event) => onUpdate(JSON.parse(event.data).job);
+
+    const open = async () => {
+      const source = new EventSource(await authUrl(`/jobs/${jobId}/events`));
+      let opened = false;
+      source.onopen = () => {
+        opened = true;
+      };
+
+      source.addEventListener('status', update);
+      source.addEventListener('progress', update);
+      source.addEventListener('file', updateFromJob);
+      source.addEventListener('iteration', updateFromJob);
+      const finish = (event) => {
+        source.close();
+        resolve(JSON.parse(event.data));
+      };
+      source.addEventListener('complete', finish);
+      source.addEventListener('cancelled', finish);
+      source.addEventListener('failed', (event) => {
+        source.close();
+        const job = JSON.parse(event.data);
+        reject(new Error(job.error ? job.error.message : 'Job failed'));
+      });
+      source.onerror = () => {
+        if (source.readyState !== EventSource.CLOSED) return;
+        if (opened) {
+          open().catch(reject);
+        } else {
+          reject(new Error('Lost connection to job progress stream'));
+        }
+      };
+    };
+
+    open().catch(reject);
+  });
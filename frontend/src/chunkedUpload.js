@@ -0,0 +1,150 @@
+import { apiFetch } from './api';
+
+// Resumable uploads. Each file is sent in chunks, several at a time, with the
+// SHA-256 of every chunk so the server can refuse damaged ones. A file's
+// session id is kept in localStorage under its name, size and modification
+// time, so choosing the same file again after a page reload picks up where
+// the upload stopped.
+
+const CHUNK_SIZE = 8 * 1024 * 1024;
+const PARALLEL_CHUNKS = 4;
+const PARALLEL_FILES = 2;
+const MAX_ATTEMPTS = 3;
+
+const resumeKey = (file, name) => `chunkedUpload:${name}:${file.size}:${file.lastModified}`;
+
+const sha256 = async (blob) => {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// API call that throws the server's message, status and code on refusal
+const request = async (path, options) => {
+  const response = await apiFetch(path, options);
+  const result = await response.json();
+  if (!result.success) {
+    const error = new Error(result.message);
+    error.status = response.status;
+    error.code = result.code;
+    throw error;
+  }
+  return result;
+};
+
+const postJson = (path, body) => request(path, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+// The session saved for this file if the server still has it, or a new one
+const openSession = async (file, name, expandArchives) => {
+  const key = resumeKey(file, name);
+  const savedId = localStorage.getItem(key);
+  if (savedId) {
+    try {
+      const { session } = await request(`/uploads/chunked/${savedId}`);
+      if (session.size === file.size) return session;
+    } catch (error) {
+      if (error.status !== 404) throw error;
+    }
+    localStorage.removeItem(key);
+  }
+
+  const { session } = await postJson('/uploads/chunked', {
+    filename: name,
+    size: file.size,
+    chunkSize: CHUNK_SIZE,
+    expandArchives
+  });
+  localStorage.setItem(key, session.id);
+  return session;
+};
+
+// Network errors, server errors and damaged chunks are worth another try;
+// other refusals would only be refused again
+const isRetryable = (error) => !error.status || error.status >= 500 || error.code === 'ECHECKSUM';
+
+const sendChunk = async (file, session, index) => {
+  const start = index * session.chunkSize;
+  const chunk = file.slice(start, Math.min(start + session.chunkSize, file.size));
+  const checksum = await sha256(chunk);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await request(`/uploads/chunked/${session.id}/chunks/${index}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/octet-stream', 'X-Chunk-Sha256': checksum },
+        body: chunk
+      });
+      return chunk.size;
+    } catch (error) {
+      if (attempt >= MAX_ATTEMPTS || !isRetryable(error)) throw error;
+      await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+    }
+  }
+};
+
+// Upload one file under name, resuming its earlier session when there is one.
+// onProgress receives the bytes the server holds so far. Resolves with the
+// uploads the file became: several when an archive was expanded.
+export const uploadFileInChunks = async (file, name, { expandArchives = false, onProgress = () => {} } = {}) => {
+  const session = await openSession(file, name, expandArchives);
+  const received = new Set(session.received);
+  const pending = [];
+  for (let index = 0; index < session.totalChunks; index++) {
+    if (!received.has(index)) pending.push(index);
+  }
+
+  let uploadedBytes = session.ranges.reduce((sum, [start, end]) => sum + end - start, 0);
+  onProgress(uploadedBytes);
+
+  const sendPending = async () => {
+    while (pending.length > 0) {
+      const index = pending.shift();
+      try {
+        uploadedBytes += await sendChunk(file, session, index);
+      } catch (error) {
+        // Stop the other senders; the session keeps what already arrived
+        pending.length = 0;
+        throw error;
+      }
+      onProgress(uploadedBytes);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(PARALLEL_CHUNKS, pending.length) }, sendPending));
+
+  const { files } = await postJson(`/uploads/chunked/${session.id}/complete`, {});
+  localStorage.removeItem(resumeKey(file, name));
+  return files;
+};
+
+// Upload entries ({ file, name }) a few files at a time. onUpdate(index,
+// changes) reports each file's status ('uploading', 'done' or 'failed') and
+// loaded bytes. Resolves with the uploads in entry order and the failures.
+export const uploadFilesInChunks = async (entries, { expandArchives = false, onUpdate = () => {} } = {}) => {
+  const uploaded = [];
+  const failures = [];
+  let next = 0;
+
+  const uploadNext = async () => {
+    while (next < entries.length) {
+      const index = next++;
+      const { file, name } = entries[index];
+      onUpdate(index, { status: 'uploading' });
+      try {
+        uploaded[index] = await uploadFileInChunks(file, name, {
+          expandArchives,
+          onProgress: loaded => onUpdate(index, { loaded })
+        });
+        onUpdate(index, { status: 'done', loaded: file.size });
+      } catch (error) {
+        failures.push({ name, message: error.message });
+        onUpdate(index, { status: 'failed', error: error.message });
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(PARALLEL_FILES, entries.length) }, uploadNext));
+
+  return { files: uploaded.filter(Boolean).flat(), failures };
+};
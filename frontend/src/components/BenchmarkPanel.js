@@ -0,0 +1,228 @@
+import React, { useState } from 'react';
+import { Play, XCircle } from 'lucide-react';
+import { XAxis, YAxis, CartesianGrid, Tooltip, Legend, BarChart, Bar, ErrorBar, ResponsiveContainer } from 'recharts';
+import { apiFetch, cancelJob, watchJob } from '../api';
+import { formatTime } from '../format';
+
+const METHODS = [
+  { name: 'multithreading', label: 'Multithreading' },
+  { name: 'multiprocessing', label: 'Multiprocessing' },
+  { name: 'hybrid', label: 'Hybrid' },
+  { name: 'sequential', label: 'Sequential' }
+];
+
+// Runs POST /benchmark over the current input and charts mean time per
+// method with one standard deviation as error bars
+export default function BenchmarkPanel({ source, settings, disabled }) {
+  const [methods, setMethods] = useState(METHODS.map(method => method.name));
+  const [warmup, setWarmup] = useState(1);
+  const [iterations, setIterations] = useState(5);
+  const [running, setRunning] = useState(false);
+  const [jobId, setJobId] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [benchmark, setBenchmark] = useState(null);
+
+  const toggleMethod = (name) => {
+    setMethods(prev => prev.includes(name)
+      ? prev.filter(method => method !== name)
+      : [...prev, name]);
+  };
+
+  const runBenchmark = async () => {
+    if (methods.length === 0) {
+      alert('Select at least one method');
+      return;
+    }
+
+    setRunning(true);
+    setProgress(null);
+
+    try {
+      const response = await apiFetch('/benchmark', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          ...settings,
+          ...source,
+          methods,
+          warmup,
+          iterations
+        }),
+      });
+
+      const accepted = await response.json();
+      if (!accepted.success) {
+        alert('Error starting benchmark: ' + accepted.message);
+        return;
+      }
+
+      setJobId(accepted.jobId);
+      const job = await watchJob(accepted.jobId, setProgress);
+      if (job.status === 'completed') {
+        setBenchmark(job.result);
+      } else {
+        alert('Benchmark stopped: ' + job.error.message);
+      }
+    } catch (error) {
+      console.error('Benchmark error:', error);
+      alert('Error running benchmark: ' + error.message);
+    } finally {
+      setRunning(false);
+      setJobId(null);
+    }
+  };
+
+  const cancelBenchmark = async () => {
+    try {
+      const result = await cancelJob(jobId);
+      if (!result.success) alert('Error cancelling benchmark: ' + result.message);
+    } catch (error) {
+      console.error('Cancel error:', error);
+    }
+  };
+
+  const chartData = benchmark
+    ? benchmark.methods.map(method => ({
+      name: method.label,
+      mean: Number(method.mean.toFixed(2)),
+      stddev: Number(method.stddev.toFixed(2))
+    }))
+    : [];
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-end gap-4">
+        <div>
+          <p className="block text-sm font-medium text-gray-700 mb-2">Methods</p>
+          <div className="flex space-x-4">
+            {METHODS.map(method => (
+              <label key={method.name} className="flex items-center text-sm">
+                <input
+                  type="checkbox"
+                  checked={methods.includes(method.name)}
+                  onChange={() => toggleMethod(method.name)}
+                  className="mr-2"
+                />
+                {method.label}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <label className="text-sm font-medium text-gray-700">
+          Warmup runs
+          <input
+            type="number"
+            min="0"
+            max="20"
+            value={warmup}
+            onChange={(e) => setWarmup(Number(e.target.value))}
+            className="block w-24 border border-gray-300 rounded-lg p-2 text-sm mt-1"
+          />
+        </label>
+
+        <label className="text-sm font-medium text-gray-700">
+          Measured runs
+          <input
+            type="number"
+            min="1"
+            max="100"
+            value={iterations}
+            onChange={(e) => setIterations(Number(e.target.value))}
+            className="block w-24 border border-gray-300 rounded-lg p-2 text-sm mt-1"
+          />
+        </label>
+
+        <button
+          onClick={runBenchmark}
+          disabled={disabled || running}
+          className="flex items-center py-2 px-4 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+        >
+          <Play className="w-4 h-4 mr-2" />
+          {running ? 'Benchmarking...' : 'Run Benchmark'}
+        </button>
+
+        {running && jobId && (
+          <button
+            onClick={cancelBenchmark}
+            className="flex items-center py-2 px-4 bg-red-50 text-red-700 rounded-lg hover:bg-red-100 transition-colors"
+          >
+            <XCircle className="w-4 h-4 mr-2" />
+            Cancel
+          </button>
+        )}
+      </div>
+
+      {running && progress && (
+        <div className="mt-4">
+          <div className="w-full bg-gray-200 rounded-full h-2">
+            <div
+              className="bg-blue-600 h-2 rounded-full transition-all"
+              style={{ width: `${(progress.iterationsCompleted / Math.max(1, progress.totalIterations)) * 100}%` }}
+            />
+          </div>
+          <p className="text-xs text-gray-600 mt-1">
+            {progress.iterationsCompleted}/{progress.totalIterations} runs
+          </p>
+        </div>
+      )}
+
+      {benchmark && (
+        <div className="mt-6">
+          <div className="h-80">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="name" />
+                <YAxis />
+                <Tooltip
+                  formatter={(value, name) => [formatTime(value), name]}
+                />
+                <Legend />
+                <Bar dataKey="mean" fill="#3B82F6" name="Mean Time (ms)">
+                  <ErrorBar dataKey="stddev" width={6} strokeWidth={2} stroke="#1F2937" />
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          <p className="text-xs text-gray-500 mt-2">
+            {benchmark.files} files, {benchmark.warmup} warmup and {benchmark.iterations} measured
+            runs per method. Error bars show one standard deviation.
+          </p>
+
+          <div className="overflow-x-auto mt-4">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b">
+                  <th className="py-2 pr-4">Method</th>
+                  <th className="py-2 pr-4">Mean</th>
+                  <th className="py-2 pr-4">Median</th>
+                  <th className="py-2 pr-4">p95</th>
+                  <th className="py-2 pr-4">Std Dev</th>
+                  <th className="py-2 pr-4">Throughput</th>
+                  <th className="py-2 pr-4">Failures</th>
+                </tr>
+              </thead>
+              <tbody>
+                {benchmark.methods.map(method => (
+                  <tr key={method.method} className="border-b last:border-0">
+                    <td className="py-2 pr-4 font-medium">{method.label}</td>
+                    <td className="py-2 pr-4">{formatTime(method.mean)}</td>
+                    <td className="py-2 pr-4">{formatTime(method.median)}</td>
+                    <td className="py-2 pr-4">{formatTime(method.p95)}</td>
+                    <td className="py-2 pr-4">{formatTime(method.stddev)}</td>
+                    <td className="py-2 pr-4">{method.throughputMBps.toFixed(2)} MB/s</td>
+                    <td className="py-2 pr-4">{method.failures}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,271 @@
+import React, { useState, useEffect } from 'react';
+import { Database, Check, Trash2 } from 'lucide-react';
+import { apiFetch, watchJob } from '../api';
+import { formatBytes } from '../format';
+
+const DISTRIBUTIONS = {
+  fixed: 'Fixed size',
+  uniform: 'Uniform',
+  lognormal: 'Log-normal'
+};
+
+const describeDistribution = ({ type, size, min, max, median, sigma }) => {
+  switch (type) {
+    case 'fixed':
+      return `fixed ${formatBytes(size)}`;
+    case 'uniform':
+      return `uniform ${formatBytes(min)}–${formatBytes(max)}`;
+    case 'lognormal':
+      return `log-normal median ${formatBytes(median)}, σ ${sigma}`;
+    default:
+      return type;
+  }
+};
+
+// Generates seeded synthetic datasets on the server and picks one as the
+// input for processing and benchmark runs
+export default function DatasetPanel({ activeDataset, onSelect, disabled }) {
+  const [datasets, setDatasets] = useState([]);
+  const [name, setName] = useState('');
+  const [fileCount, setFileCount] = useState(100);
+  const [distributionType, setDistributionType] = useState('fixed');
+  const [sizeKb, setSizeKb] = useState(64);
+  const [minKb, setMinKb] = useState(1);
+  const [maxKb, setMaxKb] = useState(1024);
+  const [medianKb, setMedianKb] = useState(64);
+  const [sigma, setSigma] = useState(1);
+  const [contentType, setContentType] = useState('text');
+  const [seed, setSeed] = useState(1);
+  const [generating, setGenerating] = useState(false);
+  const [progress, setProgress] = useState(null);
+
+  const loadDatasets = async () => {
+    try {
+      const response = await apiFetch('/datasets');
+      const result = await response.json();
+      if (result.success) {
+        setDatasets(result.datasets);
+      }
+    } catch (error) {
+      console.error('Error loading datasets:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadDatasets();
+  }, []);
+
+  const buildDistribution = () => {
+    switch (distributionType) {
+      case 'uniform':
+        return { type: 'uniform', min: minKb * 1024, max: maxKb * 1024 };
+      case 'lognormal':
+        return { type: 'lognormal', median: medianKb * 1024, sigma };
+      default:
+        return { type: 'fixed', size: sizeKb * 1024 };
+    }
+  };
+
+  const generateDataset = async () => {
+    setGenerating(true);
+    setProgress(null);
+
+    try {
+      const response = await apiFetch('/datasets', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          name: name || `dataset-${seed}`,
+          fileCount,
+          distribution: buildDistribution(),
+          contentType,
+          seed
+        }),
+      });
+
+      const accepted = await response.json();
+      if (!accepted.success) {
+        alert('Error generating dataset: ' + accepted.message);
+        return;
+      }
+
+      await watchJob(accepted.jobId, setProgress);
+      await loadDatasets();
+      onSelect({ ...accepted.dataset, status: 'ready' });
+    } catch (error) {
+      console.error('Dataset error:', error);
+      alert('Error generating dataset: ' + error.message);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const deleteDataset = async (dataset) => {
+    if (!window.confirm(`Delete ${dataset.name} and its ${dataset.fileCount} files?`)) return;
+
+    try {
+      const response = await apiFetch(`/datasets/${dataset.id}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (!result.success) {
+        alert('Error deleting dataset: ' + result.message);
+        return;
+      }
+      if (activeDataset && activeDataset.id === dataset.id) onSelect(null);
+      await loadDatasets();
+    } catch (error) {
+      console.error('Delete error:', error);
+      alert('Error deleting dataset');
+    }
+  };
+
+  const numberInput = (label, value, setValue, props = {}) => (
+    <label className="text-sm font-medium text-gray-700">
+      {label}
+      <input
+        type="number"
+        value={value}
+        onChange={(e) => setValue(Number(e.target.value))}
+        className="block w-full border border-gray-300 rounded-lg p-2 text-sm mt-1"
+        {...props}
+      />
+    </label>
+  );
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mt-8">
+      <h2 className="text-2xl font-semibold text-gray-800 mb-4 flex items-center">
+        <Database className="w-6 h-6 mr-2 text-blue-600" />
+        Synthetic Datasets
+      </h2>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        <div className="space-y-3">
+          <label className="block text-sm font-medium text-gray-700">
+            Name
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder={`dataset-${seed}`}
+              className="block w-full border border-gray-300 rounded-lg p-2 text-sm mt-1"
+            />
+          </label>
+
+          <div className="grid grid-cols-2 gap-3">
+            {numberInput('File count', fileCount, setFileCount, { min: 1, max: 10000 })}
+            {numberInput('Seed', seed, setSeed)}
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <label className="text-sm font-medium text-gray-700">
+              Size distribution
+              <select
+                value={distributionType}
+                onChange={(e) => setDistributionType(e.target.value)}
+                className="block w-full border border-gray-300 rounded-lg p-2 text-sm mt-1"
+              >
+                {Object.entries(DISTRIBUTIONS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+
+            <label className="text-sm font-medium text-gray-700">
+              Content
+              <select
+                value={contentType}
+                onChange={(e) => setContentType(e.target.value)}
+                className="block w-full border border-gray-300 rounded-lg p-2 text-sm mt-1"
+              >
+                <option value="text">ASCII text</option>
+                <option value="binary">Random binary</option>
+              </select>
+            </label>
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            {distributionType === 'fixed' && numberInput('Size (KB)', sizeKb, setSizeKb, { min: 1 })}
+            {distributionType === 'uniform' && numberInput('Min (KB)', minKb, setMinKb, { min: 1 })}
+            {distributionType === 'uniform' && numberInput('Max (KB)', maxKb, setMaxKb, { min: 1 })}
+            {distributionType === 'lognormal' && numberInput('Median (KB)', medianKb, setMedianKb, { min: 1 })}
+            {distributionType === 'lognormal' && numberInput('Sigma', sigma, setSigma, { min: 0, step: 0.1 })}
+          </div>
+
+          <button
+            onClick={generateDataset}
+            disabled={disabled || generating}
+            className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+          >
+            {generating ? 'Generating...' : 'Generate Dataset'}
+          </button>
+
+          {generating && progress && (
+            <div>
+              <div className="w-full bg-gray-200 rounded-full h-2">
+                <div
+                  className="bg-blue-600 h-2 rounded-full transition-all"
+                  style={{ width: `${(progress.bytesProcessed / Math.max(1, progress.totalBytes)) * 100}%` }}
+                />
+              </div>
+              <p className="text-xs text-gray-600 mt-1">
+                {progress.filesCompleted}/{progress.totalFiles} files
+                {' · '}{formatBytes(progress.bytesProcessed)} of {formatBytes(progress.totalBytes)}
+              </p>
+            </div>
+          )}
+        </div>
+
+        <div>
+          <p className="block text-sm font-medium text-gray-700 mb-2">Registered datasets</p>
+          {datasets.length === 0 ? (
+            <p className="text-sm text-gray-500">No datasets yet</p>
+          ) : (
+            <div className="space-y-2 max-h-72 overflow-y-auto">
+              {datasets.map(dataset => {
+                const active = activeDataset && activeDataset.id === dataset.id;
+                return (
+                  <div
+                    key={dataset.id}
+                    className={`flex items-center justify-between p-3 rounded-lg text-sm ${active ? 'bg-blue-50 border border-blue-200' : 'bg-gray-50'}`}
+                  >
+                    <div className="mr-2 min-w-0">
+                      <p className="font-medium text-gray-800 truncate">{dataset.name}</p>
+                      <p className="text-xs text-gray-500">
+                        {dataset.fileCount} files · {formatBytes(dataset.totalBytes)}
+                        {' · '}{describeDistribution(dataset.params.distribution)}
+                        {' · '}{dataset.params.contentType} · seed {dataset.params.seed}
+                      </p>
+                      <p className="text-xs text-gray-400">
+                        <span className="font-mono">{dataset.id}</span>
+                        {' · '}Expires {new Date(dataset.expiresAt).toLocaleString()}
+                      </p>
+                    </div>
+                    <div className="flex items-center">
+                      <button
+                        onClick={() => onSelect(active ? null : dataset)}
+                        disabled={disabled || dataset.status !== 'ready'}
+                        className="flex items-center text-blue-600 hover:text-blue-800 disabled:text-gray-400 transition-colors"
+                      >
+                        {active ? (<><Check className="w-4 h-4 mr-1" />In use</>) : 'Use'}
+                      </button>
+                      <button
+                        onClick={() => deleteDataset(dataset)}
+                        disabled={disabled || dataset.status !== 'ready'}
+                        className="ml-3 text-red-600 hover:text-red-800 disabled:text-gray-400 transition-colors"
+                        title="Delete dataset"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,233 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { RefreshCw } from 'lucide-react';
+import { XAxis, YAxis, CartesianGrid, Tooltip, Legend, LineChart, Line, ResponsiveContainer } from 'recharts';
+import { apiFetch } from '../api';
+import { formatTime, formatBytes } from '../format';
+
+const METHOD_COLORS = {
+  multithreading: '#3B82F6',
+  multiprocessing: '#10B981',
+  hybrid: '#14B8A6',
+  sequential: '#F59E0B'
+};
+
+const METRICS = {
+  throughput: { label: 'Throughput (MB/s)', format: (value) => `${value.toFixed(2)} MB/s` },
+  time: { label: 'Time (ms)', format: formatTime }
+};
+
+// One { method, throughput, time } entry per method measured in a run
+const runMeasurements = (run) => {
+  if (!run.timings) return [];
+  if (run.kind === 'benchmark') {
+    return run.timings.map(timing => ({
+      method: timing.method,
+      throughput: timing.throughputMBps,
+      time: timing.mean
+    }));
+  }
+  return [{
+    method: run.method,
+    throughput: run.timings.throughputMBps,
+    time: run.timings.processingTime
+  }];
+};
+
+const runLabel = (run) =>
+  `${new Date(run.createdAt).toLocaleString()}${run.codeVersion ? ` @${run.codeVersion}` : ''}`;
+
+// Past process and benchmark runs from GET /history. Selected runs are
+// overlaid on one chart, oldest first, with a line per method.
+export default function HistoryPanel() {
+  const [runs, setRuns] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [metric, setMetric] = useState('throughput');
+  const [loading, setLoading] = useState(false);
+  const [detail, setDetail] = useState(null);
+
+  const loadHistory = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await apiFetch('/history');
+      const data = await response.json();
+      if (data.success) setRuns(data.runs.filter(run => run.status === 'completed'));
+    } catch (error) {
+      console.error('Error loading history:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  const toggleRun = (id) => {
+    setSelected(prev => prev.includes(id)
+      ? prev.filter(runId => runId !== id)
+      : [...prev, id]);
+  };
+
+  const showDetail = async (id) => {
+    try {
+      const response = await apiFetch(`/history/${id}`);
+      const data = await response.json();
+      if (data.success) setDetail(data.run);
+    } catch (error) {
+      console.error('Error loading run:', error);
+    }
+  };
+
+  const selectedRuns = runs
+    .filter(run => selected.includes(run.id))
+    .sort((a, b) => a.createdAt - b.createdAt);
+
+  const chartMethods = Array.from(new Set(
+    selectedRuns.flatMap(run => runMeasurements(run).map(measurement => measurement.method))));
+
+  const chartData = selectedRuns.map((run) => {
+    const point = { name: runLabel(run) };
+    for (const measurement of runMeasurements(run)) {
+      point[measurement.method] = Number(measurement[metric].toFixed(2));
+    }
+    return point;
+  });
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-semibold text-gray-800">Run History</h2>
+        <div className="flex items-center space-x-4">
+          <select
+            value={metric}
+            onChange={(e) => setMetric(e.target.value)}
+            className="border border-gray-300 rounded-lg p-2 text-sm"
+          >
+            {Object.entries(METRICS).map(([name, { label }]) => (
+              <option key={name} value={name}>{label}</option>
+            ))}
+          </select>
+          <button
+            onClick={loadHistory}
+            disabled={loading}
+            className="flex items-center py-2 px-4 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:cursor-not-allowed transition-colors"
+          >
+            <RefreshCw className="w-4 h-4 mr-2" />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {runs.length === 0 ? (
+        <p className="text-sm text-gray-600">
+          {loading ? 'Loading history...' : 'No runs recorded yet.'}
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600 border-b">
+                <th className="py-2 pr-4" />
+                <th className="py-2 pr-4">Date</th>
+                <th className="py-2 pr-4">Kind</th>
+                <th className="py-2 pr-4">Methods</th>
+                <th className="py-2 pr-4">Operation</th>
+                <th className="py-2 pr-4">Algorithm</th>
+                <th className="py-2 pr-4">Files</th>
+                <th className="py-2 pr-4">Size</th>
+                <th className="py-2 pr-4">CPUs</th>
+                <th className="py-2 pr-4">Version</th>
+                <th className="py-2 pr-4" />
+              </tr>
+            </thead>
+            <tbody>
+              {runs.map(run => (
+                <tr key={run.id} className="border-b last:border-0">
+                  <td className="py-2 pr-4">
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(run.id)}
+                      onChange={() => toggleRun(run.id)}
+                    />
+                  </td>
+                  <td className="py-2 pr-4">{new Date(run.createdAt).toLocaleString()}</td>
+                  <td className="py-2 pr-4 capitalize">{run.kind}</td>
+                  <td className="py-2 pr-4">{(run.methods || []).join(', ')}</td>
+                  <td className="py-2 pr-4 capitalize">{run.operation}</td>
+                  <td className="py-2 pr-4">{run.algorithm}</td>
+                  <td className="py-2 pr-4">{run.fileCount}</td>
+                  <td className="py-2 pr-4">{formatBytes(run.totalBytes)}</td>
+                  <td className="py-2 pr-4">{run.cpuCount}</td>
+                  <td className="py-2 pr-4 font-mono">{run.codeVersion || '-'}</td>
+                  <td className="py-2 pr-4">
+                    <button
+                      onClick={() => showDetail(run.id)}
+                      className="text-blue-600 hover:text-blue-800"
+                    >
+                      Details
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {selectedRuns.length > 0 && (
+        <div className="h-80 mt-6">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="name" />
+              <YAxis />
+              <Tooltip formatter={(value, name) => [METRICS[metric].format(value), name]} />
+              <Legend />
+              {chartMethods.map(method => (
+                <Line
+                  key={method}
+                  type="monotone"
+                  dataKey={method}
+                  stroke={METHOD_COLORS[method] || '#6B7280'}
+                  connectNulls
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {detail && (
+        <div className="mt-6 bg-gray-50 p-4 rounded-lg">
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="font-semibold text-gray-800">
+              {detail.label || detail.kind} run from {new Date(detail.createdAt).toLocaleString()}
+            </h3>
+            <button onClick={() => setDetail(null)} className="text-sm text-gray-600 hover:text-gray-800">
+              Close
+            </button>
+          </div>
+          {detail.results ? (
+            <div className="space-y-1 max-h-64 overflow-y-auto">
+              {detail.results.map((file, index) => (
+                <div key={index} className="flex justify-between text-sm">
+                  <span className="text-gray-700">{file.originalName}</span>
+                  <span className={file.status === 'succeeded' ? 'text-green-600' : 'text-red-600'}>
+                    {file.status}{file.error ? `: ${file.error.message}` : ''}
+                  </span>
+                </div>
+              ))}
+            </div>
+          ) : (
+            detail.timings && detail.timings.map(timing => (
+              <p key={timing.method} className="text-sm text-gray-600">
+                {timing.label}: mean {formatTime(timing.mean)}, p95 {formatTime(timing.p95)},
+                {' '}{timing.throughputMBps.toFixed(2)} MB/s
+              </p>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
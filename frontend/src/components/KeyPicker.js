@@ -0,0 +1,246 @@
+import React, { useState, useEffect } from 'react';
+import { KeyRound, Download, Trash2 } from 'lucide-react';
+import { apiFetch, openAuthUrl } from '../api';
+
+const KEY_TYPES = {
+  x25519: 'X25519',
+  'rsa-2048': 'RSA 2048',
+  'rsa-3072': 'RSA 3072',
+  'rsa-4096': 'RSA 4096'
+};
+
+const describeKey = (key) =>
+  `${key.type === 'rsa' ? `RSA ${key.modulusLength}` : 'X25519'} · ${key.fingerprint.slice(0, 16)}`;
+
+// Public-key mode settings: the recipients to encrypt for, or the private key
+// to decrypt with, plus generating, importing, exporting and deleting keys
+export default function KeyPicker({
+  operation,
+  recipients,
+  onRecipientsChange,
+  decryptionKeyId,
+  onDecryptionKeyChange,
+  disabled
+}) {
+  const [keys, setKeys] = useState([]);
+  const [name, setName] = useState('');
+  const [keyType, setKeyType] = useState('x25519');
+  const [pem, setPem] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const loadKeys = async () => {
+    try {
+      const response = await apiFetch('/keys');
+      const result = await response.json();
+      if (result.success) {
+        setKeys(result.keys);
+      }
+    } catch (error) {
+      console.error('Error loading keys:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadKeys();
+  }, []);
+
+  const addKey = async (path, body) => {
+    if (!name.trim()) {
+      alert('Please name the key first');
+      return;
+    }
+    setBusy(true);
+    try {
+      const response = await apiFetch(path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, ...body })
+      });
+      const result = await response.json();
+      if (!result.success) {
+        alert('Error adding key: ' + result.message);
+        return;
+      }
+      setName('');
+      setPem('');
+      await loadKeys();
+    } catch (error) {
+      console.error('Key error:', error);
+      alert('Error adding key');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const generateKey = () => {
+    const [type, modulusLength] = keyType.split('-');
+    return addKey('/keys', { type, ...(modulusLength ? { modulusLength: Number(modulusLength) } : {}) });
+  };
+
+  const importPemFile = async (event) => {
+    const [file] = event.target.files;
+    if (file) setPem(await file.text());
+    event.target.value = '';
+  };
+
+  const deleteKey = async (key) => {
+    const warning = key.hasPrivateKey
+      ? `Delete ${key.name}? Files encrypted only for this key can no longer be decrypted.`
+      : `Delete ${key.name}?`;
+    if (!window.confirm(warning)) return;
+
+    try {
+      const response = await apiFetch(`/keys/${key.id}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (!result.success) {
+        alert('Error deleting key: ' + result.message);
+        return;
+      }
+      onRecipientsChange(recipients.filter(id => id !== key.id));
+      if (decryptionKeyId === key.id) onDecryptionKeyChange('');
+      await loadKeys();
+    } catch (error) {
+      console.error('Delete error:', error);
+      alert('Error deleting key');
+    }
+  };
+
+  const exportKey = async (key) => {
+    try {
+      await openAuthUrl(`/keys/${key.id}/public`);
+    } catch (error) {
+      console.error('Export error:', error);
+      alert('Error exporting key');
+    }
+  };
+
+  const toggleRecipient = (id) => {
+    onRecipientsChange(recipients.includes(id)
+      ? recipients.filter(recipient => recipient !== id)
+      : [...recipients, id]);
+  };
+
+  const privateKeys = keys.filter(key => key.hasPrivateKey);
+
+  return (
+    <div className="space-y-3">
+      {operation === 'decrypt' ? (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Decrypt with
+          </label>
+          <select
+            value={decryptionKeyId}
+            onChange={(e) => onDecryptionKeyChange(e.target.value)}
+            disabled={disabled}
+            className="block w-full border border-gray-300 rounded-lg p-2 text-sm"
+          >
+            <option value="">Any of my private keys</option>
+            {privateKeys.map(key => (
+              <option key={key.id} value={key.id}>{key.name}</option>
+            ))}
+          </select>
+        </div>
+      ) : (
+        <p className="text-sm font-medium text-gray-700">
+          Recipients {recipients.length > 0 && `(${recipients.length} selected)`}
+        </p>
+      )}
+
+      <div className="max-h-40 overflow-y-auto space-y-1">
+        {keys.length === 0 && (
+          <p className="text-xs text-gray-500">No keys yet. Generate a key pair or import a public key below.</p>
+        )}
+        {keys.map(key => (
+          <div key={key.id} className="flex items-center justify-between text-xs text-gray-600">
+            <label className="flex items-center truncate">
+              {operation !== 'decrypt' && (
+                <input
+                  type="checkbox"
+                  checked={recipients.includes(key.id)}
+                  onChange={() => toggleRecipient(key.id)}
+                  disabled={disabled}
+                  className="mr-2"
+                />
+              )}
+              <KeyRound className={`w-3 h-3 mr-1 ${key.hasPrivateKey ? 'text-green-600' : 'text-gray-400'}`} />
+              <span className="truncate" title={key.hasPrivateKey ? 'Key pair' : 'Public key only'}>
+                {key.name} ({describeKey(key)})
+              </span>
+            </label>
+            <div className="flex items-center ml-2">
+              <button
+                onClick={() => exportKey(key)}
+                className="text-blue-600 hover:text-blue-800"
+                title="Export public key"
+              >
+                <Download className="w-3 h-3" />
+              </button>
+              <button
+                onClick={() => deleteKey(key)}
+                disabled={disabled}
+                className="ml-2 text-red-600 hover:text-red-800 disabled:opacity-50 disabled:cursor-not-allowed"
+                title="Delete key"
+              >
+                <Trash2 className="w-3 h-3" />
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <details className="text-sm">
+        <summary className="cursor-pointer text-gray-700">Add a key</summary>
+        <div className="space-y-2 mt-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Key name"
+            className="block w-full border border-gray-300 rounded-lg p-2 text-sm"
+          />
+          <div className="flex space-x-2">
+            <select
+              value={keyType}
+              onChange={(e) => setKeyType(e.target.value)}
+              className="flex-1 border border-gray-300 rounded-lg p-2 text-sm"
+            >
+              {Object.entries(KEY_TYPES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <button
+              onClick={generateKey}
+              disabled={busy}
+              className="py-2 px-4 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+            >
+              Generate
+            </button>
+          </div>
+          <textarea
+            value={pem}
+            onChange={(e) => setPem(e.target.value)}
+            placeholder="-----BEGIN PUBLIC KEY----- (or a private key)"
+            rows={3}
+            className="block w-full border border-gray-300 rounded-lg p-2 text-xs font-mono"
+          />
+          <div className="flex items-center justify-between">
+            <input
+              type="file"
+              accept=".pem,.pub,.key,text/plain"
+              onChange={importPemFile}
+              className="text-xs text-gray-500"
+            />
+            <button
+              onClick={() => addKey('/keys/import', { pem })}
+              disabled={busy || !pem.trim()}
+              className="py-2 px-4 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+            >
+              Import PEM
+            </button>
+          </div>
+        </div>
+      </details>
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { Lock } from 'lucide-react';
+import { apiFetch, setAuthToken } from '../api';
+
+// Sign-in and registration form. On success the session token is stored
+// and onLogin receives the signed-in user.
+export default function LoginPanel({ onLogin }) {
+  const [mode, setMode] = useState('login');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const submit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError('');
+
+    try {
+      const response = await apiFetch(`/auth/${mode}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ username, password }),
+      });
+
+      const result = await response.json();
+      if (result.success) {
+        setAuthToken(result.token);
+        onLogin(result.user);
+      } else {
+        setError(result.message);
+      }
+    } catch (error) {
+      console.error('Login error:', error);
+      setError('Could not reach the server');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="max-w-sm mx-auto bg-white rounded-xl shadow-lg p-6">
+      <h2 className="text-2xl font-semibold text-gray-800 mb-4 flex items-center">
+        <Lock className="w-6 h-6 mr-2 text-blue-600" />
+        {mode === 'login' ? 'Sign In' : 'Create Account'}
+      </h2>
+
+      <form onSubmit={submit} className="space-y-4">
+        <label className="block text-sm font-medium text-gray-700">
+          Username
+          <input
+            type="text"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            className="block w-full border border-gray-300 rounded-lg p-2 text-sm mt-1"
+          />
+        </label>
+
+        <label className="block text-sm font-medium text-gray-700">
+          Password
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+            className="block w-full border border-gray-300 rounded-lg p-2 text-sm mt-1"
+          />
+        </label>
+
+        {error && <p className="text-sm text-red-700">{error}</p>}
+
+        <button
+          type="submit"
+          disabled={submitting || !username || !password}
+          className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+        >
+          {mode === 'login' ? 'Sign In' : 'Create Account'}
+        </button>
+      </form>
+
+      <button
+        onClick={() => {
+          setMode(mode === 'login' ? 'register' : 'login');
+          setError('');
+        }}
+        className="w-full text-sm text-blue-600 hover:text-blue-800 mt-4"
+      >
+        {mode === 'login' ? 'Need an account? Register' : 'Already have an account? Sign in'}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,244 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Activity } from 'lucide-react';
+import { socketUrl } from '../api';
+import { formatTime, formatBytes } from '../format';
+
+// History drawn on the timeline
+const WINDOW_MS = 30000;
+const RECONNECT_MS = 2000;
+
+const STATUS_COLORS = {
+  running: 'bg-blue-500',
+  succeeded: 'bg-green-500',
+  failed: 'bg-red-500',
+  skipped: 'bg-gray-400',
+  // Finished while the socket was disconnected
+  ended: 'bg-gray-300'
+};
+
+const compareLanes = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+// Live pool telemetry from the /telemetry WebSocket: a Gantt-style timeline
+// of the files each worker handled over the last WINDOW_MS, with each
+// worker's current throughput, idle time and share of the window spent busy.
+// Tasks of other users' jobs show without their file names.
+export default function TelemetryPanel() {
+  const [connected, setConnected] = useState(false);
+  const [pools, setPools] = useState([]);
+  const [now, setNow] = useState(0);
+  // Task bars by "<pool>:<taskId>"; drawn on the next sample rather than on
+  // every task event, which can arrive thousands of times a second
+  const barsRef = useRef(new Map());
+  // Labels of every pool seen, so a hybrid pool that has been closed stays on the timeline
+  const labelsRef = useRef(new Map());
+
+  useEffect(() => {
+    let socket = null;
+    let reconnectTimer = null;
+    let closed = false;
+    const bars = barsRef.current;
+    const labels = labelsRef.current;
+
+    const startBar = (pool, task, time) => {
+      const key = `${pool}:${task.taskId}`;
+      if (bars.has(key)) return;
+      bars.set(key, {
+        key,
+        pool,
+        worker: String(task.worker),
+        file: task.file,
+        own: task.own,
+        start: task.startedAt || time,
+        end: null,
+        status: 'running'
+      });
+    };
+
+    const endBar = (pool, task, time) => {
+      startBar(pool, task, time);
+      const bar = bars.get(`${pool}:${task.taskId}`);
+      bar.end = time;
+      bar.status = task.status;
+    };
+
+    const showSample = (event) => {
+      const running = new Set();
+      for (const pool of event.pools) {
+        labels.set(pool.id, pool.label);
+        for (const worker of pool.workers) {
+          for (const task of worker.tasks) {
+            startBar(pool.id, task, event.time);
+            running.add(`${pool.id}:${task.taskId}`);
+          }
+        }
+      }
+      // A fresh connection may have missed the end of tasks it knew about
+      if (event.type === 'snapshot') {
+        for (const bar of bars.values()) {
+          if (bar.end === null && !running.has(bar.key)) {
+            bar.end = event.time;
+            bar.status = 'ended';
+          }
+        }
+      }
+      for (const [key, bar] of bars) {
+        if (bar.end !== null && bar.end < event.time - WINDOW_MS) bars.delete(key);
+      }
+      setPools(event.pools);
+      setNow(event.time);
+    };
+
+    const handleEvent = (event) => {
+      if (event.type === 'taskStart') startBar(event.pool, event.task, event.time);
+      if (event.type === 'taskEnd') endBar(event.pool, event.task, event.time);
+      if (event.type === 'pools') event.pools.forEach(pool => labels.set(pool.id, pool.label));
+      if (event.type === 'sample' || event.type === 'snapshot') showSample(event);
+    };
+
+    const reconnect = () => {
+      setConnected(false);
+      if (!closed) reconnectTimer = setTimeout(connect, RECONNECT_MS);
+    };
+
+    // Every connection needs a fresh token in its URL
+    const connect = async () => {
+      let url;
+      try {
+        url = await socketUrl('/telemetry');
+      } catch (error) {
+        reconnect();
+        return;
+      }
+      if (closed) return;
+      socket = new WebSocket(url);
+      socket.onopen = () => setConnected(true);
+      socket.onmessage = (message) => handleEvent(JSON.parse(message.data));
+      socket.onclose = reconnect;
+    };
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      if (socket) socket.close();
+    };
+  }, []);
+
+  const windowStart = now - WINDOW_MS;
+  const position = (time) => Math.max(0, Math.min(100, ((time - windowStart) / WINDOW_MS) * 100));
+  const bars = Array.from(barsRef.current.values());
+
+  // Pools that are running or still have bars on the timeline, each with a
+  // lane per worker: pool slots, or for hybrid pools "<process>.<thread>"
+  const sampled = new Map(pools.map(pool => [pool.id, pool]));
+  const poolIds = Array.from(new Set([...pools.map(pool => pool.id), ...bars.map(bar => bar.pool)]));
+  const sections = poolIds.map((id) => {
+    const pool = sampled.get(id);
+    const poolBars = bars.filter(bar => bar.pool === id);
+    const lanes = new Set(poolBars.map(bar => bar.worker));
+    if (pool && pool.capacity === 1) pool.workers.forEach(worker => lanes.add(String(worker.id)));
+
+    const runningTasks = new Map();
+    if (pool) {
+      for (const worker of pool.workers) {
+        for (const task of worker.tasks) runningTasks.set(String(task.worker), task);
+      }
+    }
+
+    return {
+      id,
+      label: labelsRef.current.get(id) || id,
+      pool,
+      lanes: Array.from(lanes).sort(compareLanes).map((lane) => {
+        const laneBars = poolBars.filter(bar => bar.worker === lane);
+        const busyMs = laneBars.reduce((sum, bar) =>
+          sum + Math.max(0, (bar.end === null ? now : bar.end) - Math.max(bar.start, windowStart)), 0);
+        const lastEnd = Math.max(0, ...laneBars.map(bar => bar.end || 0));
+        const slot = pool && pool.capacity === 1 ? pool.workers.find(worker => String(worker.id) === lane) : null;
+        return {
+          lane,
+          bars: laneBars,
+          task: runningTasks.get(lane),
+          idleMs: slot ? slot.idleMs : lastEnd > 0 ? now - lastEnd : null,
+          busyShare: Math.min(1, busyMs / WINDOW_MS)
+        };
+      })
+    };
+  }).filter(section => section.lanes.length > 0);
+
+  const describeBar = (bar) => {
+    const end = bar.end === null ? now : bar.end;
+    return `${bar.own ? bar.file : "Another user's file"} · ${bar.status} · ${formatTime(end - bar.start)}`;
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-semibold text-gray-800 flex items-center">
+          <Activity className="w-6 h-6 mr-2 text-blue-600" />
+          Live Worker Activity
+        </h2>
+        <span className={`text-xs ${connected ? 'text-green-700' : 'text-gray-500'}`}>
+          {connected ? 'Live' : 'Connecting...'}
+        </span>
+      </div>
+
+      {sections.length === 0 && (
+        <p className="text-sm text-gray-500">
+          No pool workers yet. Runs on worker threads, child processes or hybrid pools show up here as they
+          happen; sequential runs use the server thread and have no workers to show.
+        </p>
+      )}
+
+      {sections.map(section => (
+        <div key={section.id} className="mb-6">
+          <div className="flex items-center justify-between text-sm mb-2">
+            <h3 className="font-semibold text-gray-800">{section.label}</h3>
+            {section.pool ? (
+              <span className="text-gray-600">
+                {section.pool.busy}/{section.pool.size} {section.pool.capacity > 1 ? 'processes' : 'workers'} busy
+                {' · '}{section.pool.queued} queued
+              </span>
+            ) : (
+              <span className="text-gray-500">Finished</span>
+            )}
+          </div>
+
+          <div className="space-y-1">
+            {section.lanes.map(lane => (
+              <div key={lane.lane} className="flex items-center text-xs">
+                <span className="w-16 shrink-0 text-gray-600">Worker {lane.lane}</span>
+                <div className="relative flex-1 h-5 bg-gray-100 rounded overflow-hidden">
+                  {lane.bars.map(bar => (
+                    <div
+                      key={bar.key}
+                      title={describeBar(bar)}
+                      className={`absolute top-0 h-5 border-r border-white ${STATUS_COLORS[bar.status] || STATUS_COLORS.failed} ${bar.own ? '' : 'opacity-40'}`}
+                      style={{
+                        left: `${position(bar.start)}%`,
+                        width: `${Math.max(0.3, position(bar.end === null ? now : bar.end) - position(bar.start))}%`
+                      }}
+                    />
+                  ))}
+                </div>
+                <span className="w-64 shrink-0 pl-3 text-gray-600 truncate">
+                  {lane.task
+                    ? `${lane.task.own ? lane.task.file : "Another user's file"} · ${formatBytes(Math.round(lane.task.bytesPerSecond))}/s`
+                    : lane.idleMs !== null ? `Idle ${formatTime(lane.idleMs)}` : 'Idle'}
+                  {' · '}{Math.round(lane.busyShare * 100)}% busy
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      {sections.length > 0 && (
+        <div className="flex justify-between text-xs text-gray-500 ml-16 mr-64">
+          <span>-{WINDOW_MS / 1000}s</span>
+          <span>now</span>
+        </div>
+      )}
+    </div>
+  );
+}
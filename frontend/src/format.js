@@ -0,0 +1,11 @@
+export const formatTime = (time) => {
+  if (time < 1000) return `${Math.round(time)}ms`;
+  return `${(time / 1000).toFixed(2)}s`;
+};
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+};